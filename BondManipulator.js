@@ -4,12 +4,11 @@ Initialization:
 The BondManipulator class is initialized with a MoleculeInfo instance and a MoleculeRenderer instance. This allows it to access molecular data and update the visual representation of the molecule.
 2. Bond Manipulation:
 The moveElectronPairFromBondToAtom method allows for the manipulation of a specific bond identified by a bond identifier (e.g., '1-2' for a bond between atoms 1 and 2). It supports different types of electron movements, such as 'combined' and 'split'.
-It updates the charges on the atoms involved in the bond based on the type of electron movement.
 3. Animation of Bond Transitions:
 The startBondTransition method initiates an animation to visually represent the transition of a bond from one state to another. This includes changing bond orders and moving electrons.
-The animation is handled using requestAnimationFrame to smoothly update the bond's visual state over time.
+The animation runs on the renderer's Timeline (see timeline.js), so it takes transitionDuration milliseconds on any display and follows pause, seek and playback speed.
 4. Charge Management:
-The updateCharges method adjusts the formal charges of the atoms involved in a bond based on the electron movement type. This is important for accurately representing the electronic state of the molecule.
+Charges, lone pairs and single electrons belong to the molecule's ElectronLedger. Each electron movement hands the ledger the changes for its arrow type in one call (applyArrow), so bond orders, charges and lone pairs always change together; if the ledger refuses the movement, nothing is animated.
 5. Utility Methods:
 findBondIndex helps locate the index of a bond between two atoms within the molecule.
 getBondTransitionProgress retrieves the current progress of a bond transition, which is used by the renderer to update the visual representation.
@@ -21,181 +20,238 @@ class BondManipulator {
     this.moleculeInfo = moleculeInfo;
     this.renderer = renderer;
     this.bondTransitions = new Map();
-    this.charges = new Map();
+    this.transitionDuration = 3000; // Milliseconds a bond transition takes at normal speed
+    this.motionDuration = 800; // Milliseconds atoms take to slide into place (see startAtomMotion)
+  }
 
-    // Initialize charges for all atoms
-    const atomCount = this.moleculeInfo.getAtomCount();
-    for (let i = 0; i < atomCount; i++) {
-      this.charges.set(i, this.moleculeInfo.getFormalCharge(i));
+  // Apply the ledger changes of one arrow type (see ElectronLedger.getArrowChanges); logs and returns null
+  // when the ledger refuses them, in which case nothing has changed. Otherwise returns the arrow's atoms as they
+  // are numbered now: a hydrogen that lost its bond is moved by OCL, and running transitions, atom motions and
+  // whatever the renderer shows on this molecule's atoms follow it.
+  applyArrow(arrowType, atoms) {
+    const ledger = this.moleculeInfo.ledger;
+    const problems = ledger.apply(ElectronLedger.getArrowChanges(arrowType, atoms));
+    if (problems.length > 0) {
+      console.error(`Cannot apply ${arrowType} ${atoms.join('-')}: ${problems.join(' ')}`);
+      return null;
+    }
+    const atomMap = ledger.atomMap;
+    if (!atomMap) {
+      return atoms;
     }
+    this.adoptAtoms(this, atomMap);
+    this.renderer.moleculeMap.forEach((molecule, moleculeId) => {
+      if (molecule.bondManipulator === this) {
+        this.renderer.remapAtoms(moleculeId, atomMap.map(atomIndex => ({ moleculeId, atomIndex })));
+      }
+    });
+    return atoms.map(atom => atomMap[atom]);
   }
 
-  // Updated method to move electrons from the first atom in the bond to the bond
+  // Move the lone pair of the first atom in the identifier into its bond with the second atom (A2B)
   moveElectronPairFromAtomToBond(bondIdentifier) {
-    const [atom1, atom2] = bondIdentifier.split('-').map(Number);
-    const donorAtom = atom1; // The first atom in the identifier is the donor
-    const receiverAtom = atom2; // The second atom in the identifier is the receiver
+    const [donorAtom, receiverAtom] = bondIdentifier.split('-').map(Number);
     console.log(`Attempting to move electron pair from atom ${donorAtom} to bond ${bondIdentifier}`);
-    
-    const molecule = this.moleculeInfo.getMolecule();
-    if (!molecule) {
-      console.error('Molecule is not initialized.');
+
+    // A2B strengthens an existing bond; new bonds are formed with moveElectronPairFromAtomToAtom
+    if (this.moleculeInfo.getBondOrder(donorAtom, receiverAtom) === 0) {
+      console.log(`Cannot move electron pair: atoms ${donorAtom} and ${receiverAtom} are not bonded.`);
       return;
     }
-
-    // Check if donor atom has a negative charge or lone pair
-    const donorCharge = this.getCharge(donorAtom);
-    const donorLonePairs = this.moleculeInfo.getLonePairs(donorAtom);
-
-    if (donorCharge < 0 || donorLonePairs > 0) {
-      // Start the bond transition animation
-      console.log("i am in");
-      this.startBondTransition(donorAtom, receiverAtom, 'increase', donorAtom);
-
-      // Update the bond order
-      const currentOrder = this.moleculeInfo.getBondOrder(atom1, atom2);
-      if (currentOrder < 3) {
-        this.moleculeInfo.setBondOrder(atom1, atom2, currentOrder + 1);
-        console.log("current order: " + this.moleculeInfo.getBondOrder(atom1, atom2));
-        // Update charges using the updateCharges method
-        this.updateCharges(donorAtom, receiverAtom, 'A2B');
-      }
-    } else {
-      console.log(`Cannot move electron pair: donor atom ${donorAtom} has no negative charge or lone pairs.`);
+    const applied = this.applyArrow('A2B', [donorAtom, receiverAtom]);
+    if (applied) {
+      this.startBondTransition(applied[0], applied[1], 'increase', 'atom-to-bond');
     }
   }
+
+  // Both bond electrons move onto the second atom as a new lone pair (B2A)
   moveElectronPairFromBondToAtom(bondIdentifier) {
     console.log(`Manipulating bond: ${bondIdentifier}`);
     const [atom1, atom2] = bondIdentifier.split('-').map(Number);
-    this.startBondTransition(atom1, atom2, 'decrease', 'bond-to-atom');
-    
-    // Update charges: atom2 (receiving atom) gets -1 charge, atom1 (donating atom) gets +1 charge
-    this.updateCharge(atom2, -1);  // Receiving atom gets -1 charge
-    this.updateCharge(atom1, +1);  // Donating atom gets +1 charge
+    const applied = this.applyArrow('B2A', [atom1, atom2]);
+    if (applied) {
+      this.startBondTransition(applied[0], applied[1], 'decrease', 'bond-to-atom');
+    }
   }
-  // Always move electrons towards the second atom in the identifier
+
+  // A lone pair on the donor attacks the acceptor and becomes a new bond between them (A2A)
+  moveElectronPairFromAtomToAtom(donorAtom, acceptorAtom) {
+    const applied = this.applyArrow('A2A', [donorAtom, acceptorAtom]);
+    if (applied) {
+      this.startBondTransition(applied[0], applied[1], 'increase', 'atom-to-atom');
+    }
+  }
+
+  // Always move electrons towards the second atom in the identifier (B2B)
   moveElectronsBetweenBonds(bondPath) {
     console.log(`Moving electrons along bond path: ${bondPath}`);
     const [atom1, atom2, atom3] = bondPath.split('-').map(Number);
-    this.startBondTransition(atom1, atom2, 'decrease', 'bond-to-bond');
-    this.startBondTransition(atom2, atom3, 'increase', 'bond-to-bond');
-    
-    // Update charges: atom1 (start) gets +1 charge, atom3 (end) gets -1 charge, atom2 (middle) is unaffected
-    this.updateCharge(atom1, +1);  // First atom in the path gets +1 charge
-    this.updateCharge(atom3, -1);  // Last atom in the path gets -1 charge
-    // atom2 (middle atom) charge remains unchanged
-  }  
+    const applied = this.applyArrow('B2B', [atom1, atom2, atom3]);
+    if (applied) {
+      this.startBondTransition(applied[0], applied[1], 'decrease', 'bond-to-bond');
+      this.startBondTransition(applied[1], applied[2], 'increase', 'bond-to-bond');
+    }
+  }
+
+  // Homolysis: one bond electron goes to each atom as a single electron
   B2ASingle(bondIdentifier) {
     console.log(`Splitting bond: ${bondIdentifier}`);
     const [atom1, atom2] = bondIdentifier.split('-').map(Number);
-    const molecule = this.moleculeInfo.getMolecule();
-    if (!molecule) {
-      console.error('Molecule is not initialized.');
-      return;
-    }
-    
-    const currentBondOrder = this.moleculeInfo.getBondOrder(atom1, atom2);
-    if (currentBondOrder > 0) {
-      
-      // Add single electrons to both atoms
-      this.moleculeInfo.setSingleElectron(atom1, this.moleculeInfo.getSingleElectron(atom1) + 1);
-      this.moleculeInfo.setSingleElectron(atom2, this.moleculeInfo.getSingleElectron(atom2) + 1);
-      console.log(`Added single electrons to atoms ${atom1} and ${atom2}`);
-
-      // Start the bond transition animation
-      this.startBondTransition(atom1, atom2, 'decrease');
-    } else {
-      console.log("Bond order is already 0, cannot split further.");
+    const applied = this.applyArrow('B2ASingle', [atom1, atom2]);
+    if (applied) {
+      this.startBondTransition(applied[0], applied[1], 'decrease', 'bond-to-atoms');
     }
   }
-    // Helper method to update charges
-  updateCharges(atom1, atom2, movementType) {
-      const charge1 = this.getCharge(atom1);
-      const charge2 = this.getCharge(atom2);
-      if (movementType === 'A2B') {
-        this.charges.set(atom1, charge1 + 1);
-        this.charges.set(atom2, charge2 - 1);
-          // Check if the donor atom has available electrons to move
-        let lonePairs = this.moleculeInfo.getLonePairs(atom1);
-        if (this.getCharge(atom1) < 0 || lonePairs > 0) {
-          // Decrease lone pairs if available, otherwise the charge update is sufficient
-          if (lonePairs > 0) {
-            this.moleculeInfo.lonePairs[atom1] = lonePairs - 1;
-          }
-        } else {
-          console.warn('No electron pair available to move from atom:', atom1);
-          return;
-        }
-      } else if (movementType === "combined") { //if both electron move from bond to atom
-        this.charges.set(atom1, charge1 - 1);
-        this.charges.set(atom2, charge2 + 1);
-      } else if (movementType === 'B2B') {
-        
-        this.charges.set(atom1, charge1 -1 );
-        this.charges.set(atom2, charge2 + 1);
-      }
-      
-      
-    }
-  
-    // Helper method to get the current charge of an atom
-  getCharge(atom) {
-      return this.charges.get(atom) ?? 0; // Return 0 if no charge is set
-    }
-    
-  // New method to move electrons from one bond to another
-
 
+  // Radical recombination: one single electron from each atom pairs up into a new bond
+  combineSingleElectrons(atom1, atom2) {
+    const applied = this.applyArrow('A2ASingle', [atom1, atom2]);
+    if (applied) {
+      this.startBondTransition(applied[0], applied[1], 'increase', 'atoms-to-bond');
+    }
+  }
 
+  getCharge(atomIndex) {
+    return this.moleculeInfo.getFormalCharge(atomIndex);
+  }
 
+  // The electron ledger has already written the new bond order to the model, so snapshots taken
+  // after a step are complete; the transition only animates the drawing from the old order.
   startBondTransition(atom1, atom2, bondChange, electronMovement) {
     const bondKey = `${Math.min(atom1, atom2)}-${Math.max(atom1, atom2)}`;
-    const initialOrder = this.moleculeInfo.getBondOrder(atom1, atom2);
-    const targetOrder = bondChange === 'increase' ? Math.min(3, initialOrder + 1) : Math.max(0, initialOrder - 1);
+    const targetOrder = this.moleculeInfo.getBondOrder(atom1, atom2);
+    const initialOrder = bondChange === 'increase' ? targetOrder - 1 : targetOrder + 1;
 
-    this.bondTransitions.set(bondKey, {
+    // The tween holds on to its own transition object, so it keeps running when a split or merge
+    // moves the transition to another key or manipulator (see adoptAtoms and detachTransition)
+    const transitionInfo = {
       progress: 0,
       initialOrder,
       targetOrder,
       bondChange,
       electronMovement,
       atom1,
-      atom2
+      atom2,
+      done: false,
+      cancelled: false
+    };
+    this.bondTransitions.set(bondKey, transitionInfo);
+
+    // Seeking the timeline back can revive a finished transition, so done follows the progress
+    transitionInfo.tween = this.renderer.timeline.add({
+      duration: this.transitionDuration,
+      onUpdate: progress => {
+        transitionInfo.progress = progress;
+        transitionInfo.done = progress >= 1;
+      }
     });
+  }
 
-    const animate = () => {
-      const transitionInfo = this.bondTransitions.get(bondKey);
-      if (!transitionInfo) return;
+  // Drop any running transitions, e.g. when a snapshot is restored
+  cancelTransitions() {
+    this.bondTransitions.forEach(transitionInfo => {
+      transitionInfo.cancelled = true;
+      this.renderer.timeline.cancel(transitionInfo.tween);
+    });
+    this.bondTransitions.clear();
+    this.stopAtomMotion();
+    this.renderer.requestRender();
+  }
 
-      transitionInfo.progress = Math.min(transitionInfo.progress + 0.005, 1);
-      console.log(`Bond ${bondKey} transition progress: ${transitionInfo.progress}`);
-      this.bondTransitions.set(bondKey, transitionInfo);
+  // Take the transition of a bond out of this manipulator without stopping it, e.g. for a bond
+  // that was removed from the molecule but should keep animating as a ghost
+  detachTransition(atom1, atom2) {
+    const bondKey = `${Math.min(atom1, atom2)}-${Math.max(atom1, atom2)}`;
+    const transitionInfo = this.bondTransitions.get(bondKey);
+    this.bondTransitions.delete(bondKey);
+    return transitionInfo && !transitionInfo.done ? transitionInfo : null;
+  }
 
-      if (transitionInfo.progress < 1) {
-        requestAnimationFrame(animate);
-      } else {
-        this.moleculeInfo.setBondOrder(atom1, atom2, transitionInfo.targetOrder);
-        this.bondTransitions.delete(bondKey);
+  // Take over the running transitions and atom motions of the atoms in atomMap (old index -> new index) from
+  // source after a merge or split renumbered them. source may be this manipulator itself; with keepExisting
+  // the atoms are added to what this manipulator already holds. Charges travel with the ledger.
+  adoptAtoms(source, atomMap, keepExisting = false) {
+    const transitions = keepExisting ? new Map(this.bondTransitions) : new Map();
+    const offsets = new Map(keepExisting ? this.getAtomOffsets() : []);
+    source.getAtomOffsets().forEach((offset, atom) => {
+      if (atomMap[atom] !== undefined) {
+        offsets.set(atomMap[atom], offset);
       }
+    });
 
-      this.renderer.renderMolecules();
-    };
+    source.bondTransitions.forEach(transitionInfo => {
+      const atom1 = atomMap[transitionInfo.atom1];
+      const atom2 = atomMap[transitionInfo.atom2];
+      if (atom1 !== undefined && atom2 !== undefined) {
+        transitionInfo.atom1 = atom1;
+        transitionInfo.atom2 = atom2;
+        transitions.set(`${Math.min(atom1, atom2)}-${Math.max(atom1, atom2)}`, transitionInfo);
+      }
+    });
 
-    animate();
+    this.bondTransitions = transitions;
+    this.stopAtomMotion();
+    if (offsets.size > 0) {
+      this.startAtomMotions(offsets);
+    }
   }
 
-  getBondTransitionProgress(atom1, atom2) {
-    return this.bondTransitions.get(`${Math.min(atom1, atom2)}-${Math.max(atom1, atom2)}`);
+  // Slide atoms in from a canvas offset to their real position, e.g. a molecule approaching another
+  startAtomMotion(atoms, fromOffset) {
+    this.startAtomMotions(new Map(atoms.map(atom => [atom, fromOffset])));
+  }
+
+  // Slide each atom of offsets (atom index -> canvas offset) in from its own offset, e.g. the umbrella flip of a
+  // Walden inversion (see Actions.animateInversion). Atoms still sliding keep the rest of their way to go, so
+  // a motion started during another one adds to it.
+  startAtomMotions(offsets) {
+    const combined = this.getAtomOffsets();
+    offsets.forEach((offset, atom) => {
+      const current = combined.get(atom);
+      combined.set(atom, current ? { x: current.x + offset.x, y: current.y + offset.y } : offset);
+    });
+    this.stopAtomMotion();
+    const atomMotion = { offsets: combined, progress: 0 };
+    this.atomMotion = atomMotion;
+    atomMotion.tween = this.renderer.timeline.add({
+      duration: this.motionDuration,
+      easing: 'easeOut',
+      onUpdate: progress => {
+        atomMotion.progress = progress;
+      }
+    });
   }
 
-  updateCharge(atomIndex, change) {
-    const currentCharge = this.charges.get(atomIndex);
-    this.charges.set(atomIndex, currentCharge + change);
-    console.log(`Updated charge for atom ${atomIndex}: ${this.charges.get(atomIndex)}`);
+  stopAtomMotion() {
+    if (this.atomMotion) {
+      this.renderer.timeline.cancel(this.atomMotion.tween);
+      this.atomMotion = null;
+    }
   }
 
-  getCharge(atomIndex) {
-    return this.charges.get(atomIndex);
+  // Canvas offset to add to an atom while an atom motion is running
+  getAtomOffset(atomIndex) {
+    const fromOffset = this.atomMotion && this.atomMotion.offsets.get(atomIndex);
+    if (!fromOffset) {
+      return null;
+    }
+    const remaining = 1 - this.atomMotion.progress;
+    return { x: fromOffset.x * remaining, y: fromOffset.y * remaining };
+  }
+
+  // Offsets every moving atom still has to go, as a map of atom index to canvas offset
+  getAtomOffsets() {
+    const offsets = new Map();
+    if (this.atomMotion && this.atomMotion.progress < 1) {
+      this.atomMotion.offsets.forEach((offset, atom) => offsets.set(atom, this.getAtomOffset(atom)));
+    }
+    return offsets;
+  }
+
+  getBondTransitionProgress(atom1, atom2) {
+    const bondKey = `${Math.min(atom1, atom2)}-${Math.max(atom1, atom2)}`;
+    const transitionInfo = this.bondTransitions.get(bondKey);
+    return transitionInfo && !transitionInfo.done ? transitionInfo : undefined;
   }
 }
 
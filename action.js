@@ -5,20 +5,850 @@
 // import { MoleculeRenderer } from './moleculeRenderer';
 
 class Actions {
+    // canvasId: id of the canvas element, or a canvas object when running without a DOM (see headless.js)
     constructor(canvasId) {
         this.canvasId = canvasId;
         this.renderer = new MoleculeRenderer(canvasId);
         this.moleculeIds = []; // Add this line to store molecule IDs
+        this.mechanism = null; // Loaded mechanism document (see mechanism.js)
+        this.currentStep = 0;
+        this.history = new StateHistory(); // Snapshots after each mechanism step (see stateHistory.js)
+        this.arrowLeadTime = 800; // Milliseconds a step's curved arrows are shown before it plays
+        this.timeline = this.renderer.timeline; // Drives every animation (see timeline.js)
+        this.isPlaying = false; // A step is being played by nextStep
+        this.stepPlayback = null; // Promise of the step nextStep is playing
+        this.autoplayRun = null; // Token of the running play() loop, cleared by pause()
+        this.stepRun = null; // Token of the step playStep is playing, cleared by restoreState
+        this.stepErrors = []; // Errors found by ArrowValidator in the step that was last rejected
+        this.auditProblems = []; // Electron audit problems of the step applied last (see applyStep)
+        this.nextAtomId = 1; // Stable id given to the first atom of the next molecule added (see MoleculeInfo.atomIds)
+    }
+
+    // Remove every molecule from the scene
+    clear() {
+        this.renderer.clearMolecules();
+        this.moleculeIds = [];
+        this.mechanism = null;
+        this.currentStep = 0;
+        this.stepErrors = [];
+        this.nextAtomId = 1;
+        this.history.reset();
+    }
+
+    // Load a mechanism document (JSON string or object), add its molecules and get ready to play it
+    async loadMechanism(source) {
+        const mechanism = Mechanism.parse(source);
+        this.clear();
+        for (const molecule of mechanism.molecules) {
+            await this.addMolecule(molecule.molfile || molecule.smiles, molecule.showAtomNumbers);
+        }
+        mechanism.expandTemplates(step => this.instantiateTemplate(step.template, step.atoms));
+
+        const atomCounts = this.moleculeIds.map(id => this.renderer.moleculeMap.get(id).moleculeInfo.getAtomCount());
+        const problems = mechanism.checkAtomIndices(atomCounts);
+        if (problems.length > 0) {
+            throw new Error(`Invalid mechanism:\n - ${problems.join('\n - ')}`);
+        }
+
+        this.mechanism = mechanism;
+        this.currentStep = 0;
+        if (mechanism.hydrogens) {
+            this.renderer.setHydrogenMode(mechanism.hydrogens);
+        }
+        if (mechanism.stereoLabels) {
+            this.renderer.setStereoLabels(true);
+        }
+        this.history.record(this.captureState());
+
+        // Play the whole mechanism once without animation so authoring mistakes show up before anyone watches it
+        const errors = this.validateMechanism();
+        if (errors.length > 0) {
+            const error = new Error(`Invalid mechanism:\n - ${errors.map(problem => `Step ${problem.step}: ${problem.message}`).join('\n - ')}`);
+            error.errors = errors;
+            this.mechanism = null;
+            this.history.reset();
+            throw error;
+        }
+        return mechanism;
+    }
+
+    async loadMechanismFromUrl(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Could not load mechanism from ${url}: ${response.status}`);
+        }
+        return this.loadMechanism(await response.text());
+    }
+
+    // Load the molecules of a Molfile, an SD file (one molecule per record) or an RXN file (its reactants) with
+    // their drawn layout, see molfileIO.js. options are mechanism document properties, e.g. steps written
+    // for the file's atom numbers, which can then be played like any mechanism.
+    async loadStructures(text, { title, showAtomNumbers = false, steps = [] } = {}) {
+        const structures = MolfileIO.readStructures(text);
+        return this.loadMechanism({
+            title: title || structures.title,
+            showAtomNumbers,
+            molecules: structures.molecules.map(source => (MolfileIO.isMolfile(source) ? { molfile: source } : source)),
+            steps
+        });
+    }
+
+    // Enumerate the resonance contributors of a molecule (see resonance.js) and load them as a mechanism that
+    // steps from one contributor to the next. options go to ResonanceEnumerator and toMechanism; returns the
+    // contributors, ranked
+    async loadResonance(smiles, options = {}) {
+        const moleculeInfo = new MoleculeInfo();
+        await moleculeInfo.initializeMolecule(smiles, true);
+        const enumerator = new ResonanceEnumerator(moleculeInfo, options);
+        const contributors = enumerator.enumerate();
+        await this.loadMechanism(enumerator.toMechanism(smiles, options));
+        return contributors;
+    }
+
+    // Check a step against the current electron state, returns a list of errors (see arrowValidator.js).
+    // The first step of a template also has the template's requirements checked (see mechanismTemplates.js),
+    // and atoms named by the step's annotations must be in the scene.
+    validateStep(step) {
+        const validator = new ArrowValidator(moleculeIndex => {
+            const id = this.moleculeIds[moleculeIndex];
+            const molecule = this.renderer.moleculeMap.get(id);
+            return molecule ? { id, moleculeInfo: molecule.moleculeInfo } : null;
+        });
+        const templateErrors = step.template ? this.checkTemplate(step.template.name, step.template.atoms) : [];
+        const arrowErrors = validator.validateStep({ ...step, arrows: step.arrows.map(arrow => this.locateArrow(arrow)) });
+        return [...templateErrors, ...arrowErrors, ...this.checkAnnotations(step)];
+    }
+
+    // Errors, in ArrowValidator's format, for atoms named by a step's annotations that are not in the scene
+    checkAnnotations(step) {
+        return Mechanism.getAnnotationAtoms(step)
+            .filter(({ molecule, atom }) => !this.locateAnnotationAtom(molecule, atom))
+            .map(({ molecule, atom }) => ({
+                code: ArrowValidator.ERRORS[Mechanism.isMapToken(atom) ? 'UNKNOWN_MAP_NUMBER' : 'UNKNOWN_ATOM'],
+                message: `Annotation: atom ${Mechanism.formatPath([atom])} of molecule ${molecule} is not in the scene.`,
+                arrowIndex: null,
+                arrow: null,
+                molecule,
+                atoms: []
+            }));
+    }
+
+    // Renderer reference { moleculeId, atomIndex } of an atom named by an annotation, or null; an atom id is
+    // looked up in every molecule
+    locateAnnotationAtom(moleculeIndex, atom) {
+        const located = Mechanism.isIdToken(atom) ? this.findAtomById(atom.atomId) : this.locateAtom(moleculeIndex, atom);
+        return located ? { moleculeId: this.moleculeIds[located.moleculeIndex], atomIndex: located.atomIndex } : null;
+    }
+
+    // The caption and annotations of a step with their atoms looked up in the scene as it is now, in the form
+    // MoleculeRenderer.setAnnotations takes; atoms that are not found are left out
+    resolveAnnotations(step) {
+        const ref = (molecule, token) => this.locateAnnotationAtom(molecule, Mechanism.parseAtomToken(token));
+        const annotations = { caption: step.caption || '', highlights: [], labels: [], partialCharges: [], brackets: [] };
+        (step.highlights || []).forEach(entry => annotations.highlights.push({
+            atoms: (entry.atoms || []).map(atom => ref(entry.molecule, atom)).filter(Boolean),
+            bonds: (entry.bonds || []).map(bond => Mechanism.parsePath(bond).map(atom => this.locateAnnotationAtom(entry.molecule, atom)))
+                .filter(bond => bond.every(Boolean)),
+            color: entry.color,
+            style: entry.style
+        }));
+        (step.labels || []).forEach(entry => {
+            const atom = entry.atom !== undefined ? ref(entry.molecule, entry.atom) : null;
+            if (atom || entry.atom === undefined) {
+                annotations.labels.push(atom ? { text: entry.text, atom, color: entry.color } : { text: entry.text, x: entry.x, y: entry.y, color: entry.color });
+            }
+        });
+        (step.partialCharges || []).forEach(entry => {
+            const atom = ref(entry.molecule, entry.atom);
+            if (atom) {
+                annotations.partialCharges.push({ atom, sign: entry.sign });
+            }
+        });
+        (step.brackets || []).forEach(entry => {
+            const atom = ref(entry.molecule, entry.atom !== undefined ? entry.atom : 0);
+            if (atom) {
+                annotations.brackets.push({ atom, label: entry.label || '', pending: true });
+            }
+        });
+        return annotations;
+    }
+
+    // Put a step's caption and annotations on screen, or take them off for null; they stay until replaced, and the
+    // renderer keeps them on their atoms while the step merges and splits molecules. Brackets mark what a step
+    // makes, so they wait until the step has been applied (see MoleculeRenderer.revealBrackets).
+    showStepAnnotations(step) {
+        this.renderer.setAnnotations(step ? this.resolveAnnotations(step) : null);
+    }
+
+    // Steps of a named mechanism template for the molecules on screen, atoms naming the atom of each role as
+    // { molecule, atom } with atom an index or atom-map number (see mechanismTemplates.js). Throws when an atom
+    // cannot be found or does not fit the template.
+    expandTemplate(name, atoms) {
+        const steps = this.instantiateTemplate(name, atoms);
+        const errors = this.checkTemplate(name, steps[0].template.atoms);
+        if (errors.length > 0) {
+            throw new Error(`Template ${name} does not fit these atoms:\n - ${errors.map(error => error.message).join('\n - ')}`);
+        }
+        return steps;
+    }
+
+    // Expand a template without checking its requirements, which may only hold once the steps before it have
+    // played; loadMechanism checks them when the template's first step is validated
+    instantiateTemplate(name, atoms) {
+        const template = MechanismTemplates.get(name);
+        const roles = {};
+        Object.keys(template.roles).forEach(role => {
+            let located = null;
+            if (atoms[role] !== undefined) {
+                located = this.locateAtom(atoms[role].molecule, Mechanism.parseAtomToken(atoms[role].atom));
+                if (!located) {
+                    throw new Error(`Template ${name}: the ${role} (atom ${atoms[role].atom} of molecule ${atoms[role].molecule}) is not in the scene.`);
+                }
+            }
+            roles[role] = located;
+        });
+        // Hydrogen roles that were left out take the first hydrogen on their carbon
+        Object.keys(roles).filter(role => !roles[role]).forEach(role => {
+            const host = roles[MechanismTemplates.getDefaultHost(template, role)];
+            const molecule = host && host.moleculeInfo.getMolecule();
+            for (let i = 0; host && i < molecule.getAllConnAtoms(host.atomIndex); i++) {
+                const neighbour = molecule.getConnAtom(host.atomIndex, i);
+                if (molecule.getAtomicNo(neighbour) === 1) {
+                    roles[role] = { ...host, atomIndex: neighbour };
+                    break;
+                }
+            }
+            if (!roles[role]) {
+                throw new Error(`Template ${name}: no hydrogen was given as the ${role} and none was found on the ${MechanismTemplates.getDefaultHost(template, role)}.`);
+            }
+        });
+        Object.keys(roles).forEach(role => {
+            const { moleculeIndex, atomIndex, moleculeInfo } = roles[role];
+            roles[role] = { moleculeIndex, atomId: moleculeInfo.getAtomId(atomIndex) };
+        });
+        return MechanismTemplates.expand(name, roles);
+    }
+
+    // Errors, in ArrowValidator's format, for atoms (role -> stable id) that do not fit the template as the scene is now
+    checkTemplate(name, atoms) {
+        return MechanismTemplates.check(name, role => {
+            const location = this.findAtomById(atoms[role]);
+            return location ? { ...location, moleculeInfo: this.getMoleculeInfo(location.moleculeIndex) } : null;
+        }).map(problem => ({
+            code: ArrowValidator.ERRORS.TEMPLATE_MISMATCH,
+            message: problem.message,
+            arrowIndex: null,
+            arrow: null,
+            molecule: problem.atom ? problem.atom.moleculeIndex : null,
+            atoms: problem.atom ? [problem.atom.atomIndex] : []
+        }));
+    }
+
+    // Validate every step of the loaded mechanism in order, applying each valid step to a scratch run
+    // from the initial state. Stops at the first invalid step, since later steps build on it.
+    // The scene is put back as it was; returns the errors, each tagged with its 1-based step number.
+    // The hydrogens the steps move are handed to the renderer for its 'mechanism' hydrogen mode on the way.
+    validateMechanism() {
+        if (!this.mechanism || this.history.length === 0) {
+            return [];
+        }
+        const savedState = this.captureState();
+        this.restoreState(this.history.states[0]);
+
+        let errors = [];
+        const hydrogenIds = [];
+        for (let stepIndex = 0; stepIndex < this.mechanism.stepCount; stepIndex++) {
+            const step = this.mechanism.steps[stepIndex];
+            errors = this.validateStep(step).map(error => ({ ...error, step: stepIndex + 1 }));
+            if (errors.length > 0) {
+                break;
+            }
+            hydrogenIds.push(...this.getStepHydrogenIds(step));
+            this.applyStep(step);
+            this.skipAnimations();
+            errors = this.getAuditErrors().map(error => ({ ...error, step: stepIndex + 1 }));
+            if (errors.length > 0) {
+                break;
+            }
+        }
+        this.restoreState(savedState);
+        this.renderer.setMechanismHydrogens(hydrogenIds);
+        return errors;
+    }
+
+    // Apply every arrow of a normalized mechanism step to the model, then audit the electron ledgers:
+    // the step may only move electrons, so the totals must not change. Problems end up in auditProblems.
+    applyStep(step) {
+        const before = this.auditElectrons();
+        const stereoCenters = this.captureStereo();
+        step.arrows.forEach(arrow => {
+            const resolved = this.resolveArrow(arrow);
+            this[resolved.arrow](resolved.molecule, resolved.path, resolved.targetMolecule);
+        });
+        this.updateStereo(stereoCenters);
+        const after = this.auditElectrons();
+
+        this.auditProblems = after.problems.slice();
+        if (after.electrons !== before.electrons) {
+            this.auditProblems.push(`the electron count changed from ${before.electrons} to ${after.electrons}.`);
+        }
+        if (after.netCharge !== before.netCharge) {
+            this.auditProblems.push(`the net charge changed from ${before.netCharge} to ${after.netCharge}.`);
+        }
+        if (this.auditProblems.length > 0) {
+            console.error(`Electron audit failed:\n - ${this.auditProblems.join('\n - ')}`);
+        }
+    }
+
+    // The problems of the last electron audit (see applyStep) as errors in ArrowValidator's format
+    getAuditErrors() {
+        return this.auditProblems.map(problem => ({
+            code: ArrowValidator.ERRORS.ELECTRON_AUDIT,
+            message: `Electron audit: ${problem}`,
+            arrowIndex: null,
+            arrow: null,
+            molecule: null,
+            atoms: []
+        }));
+    }
+
+    // Stereo centers in the scene with the configuration the drawing gives them, by atom id: { neighbours (atom
+    // ids, ascending), sign (see MoleculeInfo.getHandedness), directions (neighbour id -> unit vector from the
+    // center in molecule units) }
+    captureStereo() {
+        const centers = new Map();
+        this.renderer.getMolecules().forEach(({ moleculeInfo }) => {
+            const coords = moleculeInfo.getCoordinates3D();
+            moleculeInfo.getStereoCenters().forEach(({ atom }) => {
+                const neighbours = moleculeInfo.getNeighbours(atom).sort((a, b) => moleculeInfo.getAtomId(a) - moleculeInfo.getAtomId(b));
+                const sign = moleculeInfo.getHandedness(atom, neighbours);
+                if (sign === 0) {
+                    return;
+                }
+                const directions = new Map(neighbours.map(neighbour => {
+                    const dx = coords[neighbour].x - coords[atom].x;
+                    const dy = coords[neighbour].y - coords[atom].y;
+                    const length = Math.hypot(dx, dy) || 1;
+                    return [moleculeInfo.getAtomId(neighbour), { x: dx / length, y: dy / length }];
+                }));
+                centers.set(moleculeInfo.getAtomId(atom), { neighbours: neighbours.map(neighbour => moleculeInfo.getAtomId(neighbour)), sign, directions });
+            });
+        });
+        return centers;
+    }
+
+    // Carry the stereo centers captured before a step through it. A center that kept its neighbours keeps its
+    // configuration, with its wedges drawn again if its atoms moved. A center that swapped one neighbour for
+    // another within the step was attacked from the back side (SN2), so its configuration is inverted and the
+    // umbrella flip is animated (see animateInversion). Any other center has lost its configuration, e.g. on
+    // becoming a planar carbocation, and its wedges are dropped; OCL then perceives the centers again.
+    updateStereo(before) {
+        const redraw = [];
+        before.forEach((center, atomId) => {
+            const located = this.findAtomById(atomId);
+            if (!located) {
+                return;
+            }
+            const moleculeInfo = this.getMoleculeInfo(located.moleculeIndex);
+            const neighbourIds = moleculeInfo.getNeighbours(located.atomIndex).map(neighbour => moleculeInfo.getAtomId(neighbour));
+            const lost = center.neighbours.filter(id => !neighbourIds.includes(id));
+            const gained = neighbourIds.filter(id => !center.neighbours.includes(id));
+            if (lost.length === 0 && gained.length === 0) {
+                redraw.push({ moleculeInfo, atomId, neighbours: center.neighbours, sign: center.sign });
+            } else if (lost.length === 1 && gained.length === 1) {
+                this.animateInversion(located, center.directions.get(lost[0]), gained[0]);
+                redraw.push({ moleculeInfo, atomId, neighbours: center.neighbours.map(id => (id === lost[0] ? gained[0] : id)), sign: -center.sign });
+            } else {
+                moleculeInfo.clearStereoBonds(located.atomIndex);
+            }
+        });
+        // Wedges are drawn once every atom has moved, since a flip also mirrors the drawing of nearby centers
+        redraw.forEach(({ moleculeInfo, atomId, neighbours, sign }) => {
+            const atom = moleculeInfo.findAtomById(atomId);
+            const neighbourIndices = neighbours.map(id => moleculeInfo.findAtomById(id));
+            if (moleculeInfo.getHandedness(atom, neighbourIndices) !== sign) {
+                moleculeInfo.setHandedness(atom, neighbourIndices, sign);
+            }
+        });
+    }
+
+    // Umbrella flip of a Walden inversion at the atom { moleculeIndex, atomIndex }: the substituents that stay are
+    // mirrored to the side the leaving group left from (leavingDirection, a unit vector from the center) and the
+    // nucleophile's group moves to the back side, opposite where the leaving group was. The atoms slide there, so
+    // the three bonds fold flat and open the other way. Centers in a ring with a substituent keep their layout.
+    animateInversion({ moleculeIndex, atomIndex }, leavingDirection, nucleophileId) {
+        const { moleculeInfo, bondManipulator } = this.renderer.moleculeMap.get(this.moleculeIds[moleculeIndex]);
+        const coords = moleculeInfo.getCoordinates3D();
+        const origin = coords[atomIndex];
+        const nucleophile = moleculeInfo.findAtomById(nucleophileId);
+        const positions = new Map();
+        for (const neighbour of moleculeInfo.getNeighbours(atomIndex)) {
+            const branch = moleculeInfo.getBranch(atomIndex, neighbour);
+            if (!branch) {
+                return;
+            }
+            if (neighbour === nucleophile) {
+                const bondLength = Math.hypot(coords[neighbour].x - origin.x, coords[neighbour].y - origin.y);
+                const shift = {
+                    x: origin.x - leavingDirection.x * bondLength - coords[neighbour].x,
+                    y: origin.y - leavingDirection.y * bondLength - coords[neighbour].y
+                };
+                branch.forEach(atom => positions.set(atom, { x: coords[atom].x + shift.x, y: coords[atom].y + shift.y }));
+                continue;
+            }
+            branch.forEach(atom => {
+                const along = (coords[atom].x - origin.x) * leavingDirection.x + (coords[atom].y - origin.y) * leavingDirection.y;
+                positions.set(atom, { x: coords[atom].x - 2 * along * leavingDirection.x, y: coords[atom].y - 2 * along * leavingDirection.y });
+            });
+        }
+
+        // Canvas offsets from the new positions back to the old ones (canvas y points down)
+        const scale = this.renderer.scaleFactor;
+        const offsets = new Map(Array.from(positions, ([atom, position]) => [atom, {
+            x: (coords[atom].x - position.x) * scale,
+            y: -(coords[atom].y - position.y) * scale
+        }]));
+        moleculeInfo.moveAtoms(positions);
+        bondManipulator.startAtomMotions(offsets);
+    }
+
+    // Stable ids of the hydrogens the arrows of a step move, as the scene is now
+    getStepHydrogenIds(step) {
+        return step.arrows.flatMap(arrow => {
+            const resolved = this.resolveArrow(arrow);
+            const atoms = Mechanism.parsePath(resolved.path);
+            return atoms.map((atomIndex, position) => {
+                const moleculeInfo = this.getMoleculeInfo(Mechanism.getAtomMolecule(resolved, position, atoms.length));
+                const isHydrogen = moleculeInfo && Number.isInteger(atomIndex) && atomIndex < moleculeInfo.getAtomCount()
+                    && moleculeInfo.getMolecule().getAtomicNo(atomIndex) === 1;
+                return isHydrogen ? moleculeInfo.getAtomId(atomIndex) : null;
+            }).filter(atomId => atomId !== null);
+        });
+    }
+
+    // Copy of an arrow whose atom-map numbers (':3') and atom ids ('#12') are replaced by the current indices of
+    // their atoms, looked up in the molecules the arrow names (see locateArrow and mechanism.js). Steps are
+    // validated before they are applied, so an atom that is not found only stays in the path when the arrow
+    // is applied unchecked.
+    resolveArrow(arrow) {
+        const located = this.locateArrow(arrow);
+        const atoms = Mechanism.parsePath(located.path).map((atom, position, path) => {
+            if (!Mechanism.isMapToken(atom) && !Mechanism.isIdToken(atom)) {
+                return atom;
+            }
+            const ref = this.locateAtom(Mechanism.getAtomMolecule(located, position, path.length), atom);
+            return ref ? ref.atomIndex : atom;
+        });
+        return { ...located, path: Mechanism.formatPath(atoms) };
+    }
+
+    // Copy of an arrow whose molecules are taken from where its atoms given by id are now: the first atom's
+    // molecule, and for cross-molecule arrows a targetMolecule when the last atom is elsewhere
+    locateArrow(arrow) {
+        const atoms = Mechanism.parsePath(arrow.path);
+        if (!atoms || !atoms.some(atom => Mechanism.isIdToken(atom))) {
+            return arrow;
+        }
+        const first = Mechanism.isIdToken(atoms[0]) ? this.findAtomById(atoms[0].atomId) : null;
+        const molecule = first ? first.moleculeIndex : arrow.molecule;
+        const { targetMolecule, ...located } = { ...arrow, molecule };
+        const lastAtom = atoms[atoms.length - 1];
+        const last = Mechanism.isIdToken(lastAtom) ? this.findAtomById(lastAtom.atomId) : null;
+        const target = last ? last.moleculeIndex : targetMolecule;
+        if (Mechanism.ARROW_TYPES[arrow.arrow].crossMolecule && target !== undefined
+            && this.moleculeIds[target] !== this.moleculeIds[molecule]) {
+            located.targetMolecule = target;
+        }
+        return located;
+    }
+
+    // { moleculeIndex, atomIndex, moleculeInfo } of an atom given as an index, atom-map number or atom id
+    // token (see Mechanism.parseAtomToken) in a molecule of the scene, or null
+    locateAtom(moleculeIndex, atom) {
+        const moleculeInfo = this.getMoleculeInfo(moleculeIndex);
+        if (!moleculeInfo) {
+            return null;
+        }
+        let atomIndex = atom;
+        if (Mechanism.isMapToken(atom)) {
+            const mapped = moleculeInfo.findAtomsByMapNo(atom.mapNo);
+            atomIndex = mapped.length === 1 ? mapped[0] : -1;
+        } else if (Mechanism.isIdToken(atom)) {
+            atomIndex = moleculeInfo.findAtomById(atom.atomId);
+        }
+        return Number.isInteger(atomIndex) && atomIndex >= 0 && atomIndex < moleculeInfo.getAtomCount()
+            ? { moleculeIndex, atomIndex, moleculeInfo }
+            : null;
+    }
+
+    getMoleculeInfo(moleculeIndex) {
+        const molecule = this.renderer.moleculeMap.get(this.moleculeIds[moleculeIndex]);
+        return molecule ? molecule.moleculeInfo : null;
+    }
+
+    // Where the atom with a stable id is now, as { moleculeIndex, atomIndex }, or null when it is not in the scene
+    findAtomById(atomId) {
+        for (let moleculeIndex = 0; moleculeIndex < this.moleculeIds.length; moleculeIndex++) {
+            const molecule = this.renderer.moleculeMap.get(this.moleculeIds[moleculeIndex]);
+            const atomIndex = molecule ? molecule.moleculeInfo.findAtomById(atomId) : -1;
+            if (atomIndex !== -1) {
+                return { moleculeIndex, atomIndex };
+            }
+        }
+        return null;
+    }
+
+    // Electron count, net charge and ledger inconsistencies summed over every molecule in the scene
+    auditElectrons() {
+        const total = { electrons: 0, netCharge: 0, problems: [] };
+        for (const [id, molecule] of this.renderer.moleculeMap) {
+            const audit = molecule.moleculeInfo.ledger.audit();
+            total.electrons += audit.electrons;
+            total.netCharge += audit.netCharge;
+            total.problems.push(...audit.problems.map(problem => `${id}: ${problem}`));
+        }
+        return total;
+    }
+
+    // Show the step's curved arrows, give the viewer arrowLeadTime to read them, then apply the step.
+    // Resolves to true when the step's animation has finished; the step starts a new timeline segment, so
+    // seek() scrubs through it. Resolves to false when restoreState replaced the scene in the meantime
+    // (undo, redo or jumpToStep), in which case the step is dropped.
+    async playStep(step) {
+        const run = {};
+        this.stepRun = run;
+        this.timeline.prune();
+        const arrows = step.arrows.flatMap(arrow => Mechanism.getCurves(this.resolveArrow(arrow), this.moleculeIds));
+        this.showStepAnnotations(step);
+        this.renderer.showArrows(arrows, { leadTime: this.arrowLeadTime });
+        await this.timeline.wait(this.arrowLeadTime);
+        if (this.stepRun !== run) {
+            return false;
+        }
+        this.applyStep(step);
+        this.renderer.revealBrackets();
+        await this.timeline.finished();
+        return this.stepRun === run;
+    }
+
+    // Play the next step of the loaded mechanism. Resolves to true once the step's animation has
+    // finished, or to false when there is nothing left to play or the step was cut short (see playStep)
+    async nextStep() {
+        if (!this.mechanism || this.currentStep >= this.mechanism.stepCount || this.isPlaying) {
+            return false;
+        }
+        const step = this.mechanism.steps[this.currentStep];
+        this.stepErrors = this.validateStep(step);
+        if (this.stepErrors.length > 0) {
+            console.error(`Step ${this.currentStep + 1} was not applied:\n${ArrowValidator.formatErrors(this.stepErrors)}`);
+            return false;
+        }
+        this.isPlaying = true;
+        this.stepPlayback = this.playStep(step).then(played => {
+            if (played) {
+                this.currentStep++;
+                this.history.record(this.captureState());
+            }
+            return played;
+        });
+        try {
+            return await this.stepPlayback;
+        } finally {
+            this.isPlaying = false;
+            this.stepPlayback = null;
+        }
+    }
+
+    // Add a step after the current one and play it, e.g. a step drawn with the mouse (see arrowEditor.js). Steps
+    // that came after the current one follow the new step and are validated again when they play. Without a
+    // loaded mechanism one is started from the molecules on screen. Resolves to false, with the reasons in
+    // stepErrors, when the step is rejected.
+    async addStep(step) {
+        if (this.isPlaying) {
+            console.error('Cannot add a step while another one is playing.');
+            return false;
+        }
+        const arrows = Array.isArray(step.arrows) ? step.arrows : [step];
+        const problems = arrows.length === 0
+            ? ['the step has no arrows.']
+            : arrows.flatMap(arrow => Mechanism.validateArrow(arrow));
+        if (problems.length > 0) {
+            throw new Error(`Invalid step:\n - ${problems.join('\n - ')}`);
+        }
+        if (!this.mechanism) {
+            this.startMechanism();
+        }
+        this.stepErrors = this.validateStep(Mechanism.normalizeStep(step));
+        if (this.stepErrors.length > 0) {
+            console.error(`The new step was not added:\n${ArrowValidator.formatErrors(this.stepErrors)}`);
+            return false;
+        }
+        this.renderer.setMechanismHydrogens([...this.renderer.mechanismHydrogens, ...this.getStepHydrogenIds(Mechanism.normalizeStep(step))]);
+        this.mechanism.insertStep(step, this.currentStep);
+        return this.nextStep();
+    }
+
+    // Start an empty mechanism from the molecules on screen, written as Molfiles so their atoms keep their numbers.
+    // Atom ids are given out again the way loading the mechanism will, so steps naming atoms by id load back.
+    startMechanism(title = 'Untitled mechanism') {
+        this.moleculeIds = [...new Set(this.moleculeIds)];
+        this.nextAtomId = 1;
+        this.moleculeIds.forEach(id => {
+            const { moleculeInfo } = this.renderer.moleculeMap.get(id);
+            moleculeInfo.atomIds = moleculeInfo.atomIds.map(() => this.nextAtomId++);
+        });
+        this.mechanism = new Mechanism({
+            title,
+            molecules: this.moleculeIds.map(id => {
+                const molecule = this.renderer.moleculeMap.get(id);
+                return { molfile: molecule.moleculeInfo.toMolfile(), showAtomNumbers: molecule.showAtomNumbers };
+            }),
+            steps: []
+        });
+        this.currentStep = 0;
+        this.renderer.setMechanismHydrogens([]);
+        this.history.reset();
+        this.history.record(this.captureState());
+        return this.mechanism;
+    }
+
+    // The loaded mechanism, including added steps, as a document loadMechanism reads back
+    exportMechanism() {
+        if (!this.mechanism) {
+            throw new Error('There is no mechanism to export.');
+        }
+        return this.mechanism.toDocument();
+    }
+
+    // Serializable snapshot of every molecule (structure, bond orders and electron ledger) and of the annotations
+    // on screen, so going back to a step shows its caption again
+    captureState() {
+        return {
+            step: this.currentStep,
+            moleculeIds: this.moleculeIds.slice(),
+            annotations: this.renderer.getAnnotations(),
+            molecules: Array.from(this.renderer.moleculeMap.entries()).map(([id, molecule]) => ({
+                id,
+                showAtomNumbers: molecule.showAtomNumbers,
+                position: { ...molecule.position },
+                moleculeInfo: molecule.moleculeInfo.getSnapshot()
+            }))
+        };
+    }
+
+    // Put every molecule back exactly as it was when the state was captured. A step that is being played is
+    // abandoned: clearing the timeline resolves its waits, and playStep must not apply it to the restored scene.
+    restoreState(state) {
+        this.stepRun = null;
+        this.renderer.clearArrows();
+        this.renderer.clearGhostBonds();
+        this.timeline.clear();
+
+        // Molecules created or merged away since the snapshot was taken
+        const restoredIds = new Set(state.molecules.map(snapshot => snapshot.id));
+        Array.from(this.renderer.moleculeMap.keys())
+            .filter(id => !restoredIds.has(id))
+            .forEach(id => this.renderer.removeMolecule(id));
+
+        state.molecules.forEach(snapshot => {
+            const molecule = this.renderer.moleculeMap.get(snapshot.id);
+            if (!molecule) {
+                const moleculeInfo = new MoleculeInfo();
+                moleculeInfo.restoreSnapshot(snapshot.moleculeInfo);
+                const bondManipulator = new BondManipulator(moleculeInfo, this.renderer);
+                this.renderer.restoreMolecule(snapshot.id, moleculeInfo, bondManipulator, snapshot.showAtomNumbers, snapshot.position);
+                return;
+            }
+            molecule.moleculeInfo.restoreSnapshot(snapshot.moleculeInfo);
+            molecule.bondManipulator.cancelTransitions();
+            molecule.position = { ...snapshot.position };
+        });
+        this.moleculeIds = state.moleculeIds.slice();
+        this.currentStep = state.step;
+        this.renderer.setAnnotations(state.annotations || null);
+        this.renderer.requestRender();
+    }
+
+    // Autoplay the remaining steps. Resolves when the mechanism has ended or pause() was called;
+    // a step that was paused halfway is finished first.
+    async play() {
+        this.timeline.play();
+        if (this.autoplayRun) {
+            return;
+        }
+        const run = {};
+        this.autoplayRun = run;
+        try {
+            if (this.stepPlayback) {
+                await this.stepPlayback;
+            }
+            while (this.autoplayRun === run && await this.nextStep()) {
+                // Keep going until the end or a pause
+            }
+        } finally {
+            if (this.autoplayRun === run) {
+                this.autoplayRun = null;
+            }
+        }
+    }
+
+    // Freeze the animation where it is and stop autoplay after the current step
+    pause() {
+        this.autoplayRun = null;
+        this.timeline.pause();
+    }
+
+    get isPaused() {
+        return !this.timeline.isPlaying;
+    }
+
+    // Jump to a position (milliseconds) in the animation of the current step
+    seek(position) {
+        this.timeline.seek(position);
+    }
+
+    setSpeed(speed) {
+        this.timeline.setSpeed(speed);
+    }
+
+    // SVG markup of the current frame, or, given a step number as jumpToStep takes it, of the state after
+    // that many steps together with the curved arrows, caption and annotations of the step that comes next (the
+    // last step's own for the final state). Exporting a step
+    // finishes any running animation and returns to the current step afterwards. options go to
+    // MoleculeRenderer.toSVG, e.g. { fitToContent: false, background: null }.
+    exportSVG(step = null, options = {}) {
+        if (step === null) {
+            return this.renderer.toSVG(options);
+        }
+        return this.atStep(step, () => {
+            const nextStep = this.mechanism.steps[step];
+            const arrows = nextStep ? nextStep.arrows.flatMap(arrow => Mechanism.getCurves(this.resolveArrow(arrow), this.moleculeIds)) : [];
+            if (nextStep) {
+                this.showStepAnnotations(nextStep);
+            }
+            return this.renderer.toSVG({ arrows, ...options });
+        });
+    }
+
+    // Molfile of one molecule of the scene in its current state, charges and radicals included.
+    // options: { version: 'V2000' | 'V3000' }
+    exportMolfile(moleculeIndex = 0, options = {}) {
+        const molecule = this.renderer.moleculeMap.get(this.moleculeIds[moleculeIndex]);
+        if (!molecule) {
+            throw new Error(`Cannot export molecule ${moleculeIndex}: the scene has molecules 0 to ${this.moleculeIds.length - 1}.`);
+        }
+        return molecule.moleculeInfo.toMolfile(options);
+    }
+
+    // SD file with a record for every molecule of the scene as it is now, or after the given step as for
+    // exportSVG. Each record carries the step, the molecule's index and its SMILES as data fields. After a merge
+    // several indices point at the same molecule; it is written once, under the first of them.
+    exportSDF(step = null, options = {}) {
+        const records = () => [...new Set(this.moleculeIds)].map(id => {
+            const { moleculeInfo } = this.renderer.moleculeMap.get(id);
+            return {
+                molfile: moleculeInfo.toMolfile(options),
+                fields: { step: this.currentStep, molecule: this.moleculeIds.indexOf(id), smiles: moleculeInfo.toSmiles() }
+            };
+        });
+        return MolfileIO.toSDF(step === null ? records() : this.atStep(step, records));
+    }
+
+    // Run callback with the scene jumped to a step of the mechanism, then return to the current step
+    atStep(step, callback) {
+        if (!this.mechanism || step < 0 || step > this.mechanism.stepCount) {
+            throw new Error(`Cannot export step ${step}: the mechanism has steps 0 to ${this.mechanism ? this.mechanism.stepCount : 0}.`);
+        }
+        if (this.isPlaying) {
+            throw new Error('Cannot export another step while a step is playing; pause or wait for it to finish.');
+        }
+        const currentStep = this.currentStep;
+        if (!this.jumpToStep(step)) {
+            throw new Error(`Cannot export step ${step}:\n${ArrowValidator.formatErrors(this.stepErrors)}`);
+        }
+        try {
+            return callback();
+        } finally {
+            this.jumpToStep(currentStep);
+        }
+    }
+
+    // Show the end state of the steps applied so far without animating them
+    skipAnimations() {
+        this.renderer.getMolecules().forEach(molecule => molecule.bondManipulator.cancelTransitions());
+        this.renderer.clearGhostBonds();
+        this.timeline.clear();
+    }
+
+    canUndo() {
+        return this.history.canUndo();
+    }
+
+    canRedo() {
+        return this.history.canRedo();
+    }
+
+    // Go back to the state before the last played step
+    undo() {
+        const state = this.history.undo();
+        if (!state) {
+            return false;
+        }
+        this.restoreState(state);
+        return true;
+    }
+
+    // Re-apply an undone step without animating it
+    redo() {
+        const state = this.history.redo();
+        if (!state) {
+            return false;
+        }
+        this.restoreState(state);
+        return true;
+    }
+
+    // Show the state after the given number of steps; steps that were never played are applied instantly
+    jumpToStep(step) {
+        if (!this.mechanism || step < 0 || step > this.mechanism.stepCount) {
+            return false;
+        }
+        if (step < this.history.length) {
+            this.restoreState(this.history.jumpTo(step));
+            return true;
+        }
+
+        this.restoreState(this.history.jumpTo(this.history.length - 1));
+        while (this.currentStep < step) {
+            this.stepErrors = this.validateStep(this.mechanism.steps[this.currentStep]);
+            if (this.stepErrors.length > 0) {
+                console.error(`Step ${this.currentStep + 1} was not applied:\n${ArrowValidator.formatErrors(this.stepErrors)}`);
+                break;
+            }
+            this.showStepAnnotations(this.mechanism.steps[this.currentStep]);
+            this.applyStep(this.mechanism.steps[this.currentStep]);
+            this.renderer.revealBrackets();
+            this.stepErrors = this.getAuditErrors();
+            if (this.stepErrors.length > 0) {
+                this.restoreState(this.history.jumpTo(this.history.length - 1));
+                break;
+            }
+            this.currentStep++;
+            this.history.record(this.captureState());
+        }
+        this.skipAnimations();
+        this.renderer.requestRender();
+        return this.currentStep === step;
     }
 
     async addMolecule(smiles, showNumbers = false) {
         try {
             const moleculeInfo = new MoleculeInfo();
-            await moleculeInfo.initializeMolecule(smiles, true);
+            await moleculeInfo.initializeMolecule(smiles, true, this.nextAtomId);
+            this.nextAtomId = Math.max(this.nextAtomId - 1, ...moleculeInfo.atomIds) + 1;
             const bondManipulator = new BondManipulator(moleculeInfo, this.renderer);
             const id = this.renderer.addMolecule(moleculeInfo, bondManipulator, showNumbers);
             this.moleculeIds.push(id); // Store the ID
-            this.renderer.renderMolecules(); // Add this line to ensure rendering after adding
             return id;
         } catch (error) {
             console.error('Error adding molecule:', error);
@@ -26,14 +856,19 @@ class Actions {
         }
     }
 
+    // Parse the molecules again, giving each the atom ids the molecule it replaces started with, so the
+    // same SMILES gets the same ids back
     async resetMolecules(smilesArray) {
         for (let i = 0; i < smilesArray.length; i++) {
-            const moleculeInfo = new MoleculeInfo();
-            await moleculeInfo.initializeMolecule(smilesArray[i], true);
             const id = this.moleculeIds[i];
+            const current = this.renderer.moleculeMap.get(id);
+            const firstAtomId = current && current.moleculeInfo.atomIds.length > 0 ? Math.min(...current.moleculeInfo.atomIds) : this.nextAtomId;
+            const moleculeInfo = new MoleculeInfo();
+            await moleculeInfo.initializeMolecule(smilesArray[i], true, firstAtomId);
+            this.nextAtomId = Math.max(this.nextAtomId - 1, ...moleculeInfo.atomIds) + 1;
             this.renderer.updateMolecule(id, moleculeInfo);
         }
-        this.renderer.renderMolecules();
+        this.renderer.requestRender();
     }
 
     // Method to move an electron pair from a bond to the second atom
@@ -46,33 +881,233 @@ class Actions {
         }
         console.log(`Triggering B2A for molecule ${id}, bond ${bondIdentifier}`);
         molecule.bondManipulator.moveElectronPairFromBondToAtom(bondIdentifier);
-        this.renderer.startAnimation();
+        this.splitBrokenBonds(id);
+        this.renderer.requestRender();
     }
 
 
     
-    A2B(bondIdentifier) {
-        const [atom1, atom2] = bondIdentifier.split('-').map(Number);
-        this.bondManipulator.moveElectronPairFromBondToAtom(bondIdentifier);
-        // Add this line:
-        //this.bondManipulator.startBondTransition(atom1, atom2, 'increase', bondIdentifier);
-        
+    // A lone pair on the first atom of atomPath attacks the second atom and forms a new bond.
+    // When the second atom belongs to another molecule the two molecules are merged first;
+    // afterwards both molecule indices refer to the merged molecule.
+    A2A(moleculeIndex, atomPath, targetMoleculeIndex = moleculeIndex) {
+        let [donor, acceptor] = atomPath.split('-').map(Number);
+        const id = this.moleculeIds[moleculeIndex];
+        const targetId = this.moleculeIds[targetMoleculeIndex];
+        const molecule = this.renderer.moleculeMap.get(id);
+        if (!molecule || !molecule.bondManipulator || !this.renderer.moleculeMap.has(targetId)) {
+            console.error(`No bond manipulator found for molecules at indices ${moleculeIndex} and ${targetMoleculeIndex}`);
+            return;
+        }
+
+        if (targetId !== id) {
+            const { ownAtomMap, addedAtomMap } = this.mergeMolecules(id, targetId, donor, acceptor);
+            donor = ownAtomMap[donor];
+            acceptor = addedAtomMap[acceptor];
+        }
+        molecule.bondManipulator.moveElectronPairFromAtomToAtom(donor, acceptor);
+        this.renderer.requestRender();
+    }
+
+    // Merge the molecule targetId into molecule id, placing it so the acceptor atom sits one bond
+    // length from the donor atom, and animate it sliding over from where it was drawn
+    mergeMolecules(id, targetId, donor, acceptor) {
+        const molecule = this.renderer.moleculeMap.get(id);
+        const target = this.renderer.moleculeMap.get(targetId);
+        const scale = this.renderer.scaleFactor;
+
+        // Target coordinates expressed in the first molecule's frame (canvas y points down)
+        const frameShift = {
+            x: (target.position.x - molecule.position.x) / scale,
+            y: -(target.position.y - molecule.position.y) / scale
+        };
+        const coords = molecule.moleculeInfo.getCoordinates3D();
+        const donorCoord = coords[donor];
+        const acceptorCoord = target.moleculeInfo.getCoordinates3D()[acceptor];
+        const acceptorX = acceptorCoord.x + frameShift.x;
+        const acceptorY = acceptorCoord.y + frameShift.y;
+
+        // Approach from the donor's open side, away from its neighbours; straight on if it has none
+        const ocl = molecule.moleculeInfo.getMolecule();
+        let directionX = acceptorX - donorCoord.x;
+        let directionY = acceptorY - donorCoord.y;
+        const neighbourCount = ocl.getAllConnAtoms(donor);
+        if (neighbourCount > 0) {
+            directionX = 0;
+            directionY = 0;
+            for (let i = 0; i < neighbourCount; i++) {
+                const neighbour = coords[ocl.getConnAtom(donor, i)];
+                directionX += donorCoord.x - neighbour.x;
+                directionY += donorCoord.y - neighbour.y;
+            }
+        }
+        const length = Math.hypot(directionX, directionY) || 1;
+        const bondLength = molecule.moleculeInfo.getAverageBondLength();
+        const approach = {
+            x: donorCoord.x + directionX / length * bondLength - acceptorX,
+            y: donorCoord.y + directionY / length * bondLength - acceptorY
+        };
+
+        const atomMaps = molecule.moleculeInfo.mergeMolecule(target.moleculeInfo, {
+            x: frameShift.x + approach.x,
+            y: frameShift.y + approach.y
+        });
+        molecule.bondManipulator.adoptAtoms(molecule.bondManipulator, atomMaps.ownAtomMap);
+        molecule.bondManipulator.adoptAtoms(target.bondManipulator, atomMaps.addedAtomMap, true);
+        molecule.bondManipulator.startAtomMotion(atomMaps.addedAtomMap, { x: -approach.x * scale, y: approach.y * scale });
+
+        const toRefs = atomMap => atomMap.map(atomIndex => ({ moleculeId: id, atomIndex }));
+        this.renderer.remapAtoms(id, toRefs(atomMaps.ownAtomMap));
+        this.renderer.remapAtoms(targetId, toRefs(atomMaps.addedAtomMap));
+        this.renderer.removeMolecule(targetId);
+        this.moleculeIds = this.moleculeIds.map(moleculeId => (moleculeId === targetId ? id : moleculeId));
+        return atomMaps;
+    }
+
+    // Remove bonds that were broken completely and give each disconnected fragment its own molecule.
+    // The largest fragment keeps the molecule's ID; the others are appended to moleculeIds, keep
+    // the layout position they were drawn at and drift a little away from the broken bond.
+    splitBrokenBonds(id) {
+        const molecule = this.renderer.moleculeMap.get(id);
+        const removed = molecule.moleculeInfo.removeBrokenBonds();
+        if (removed.broken.length === 0) {
+            return;
+        }
+
+        // Broken bonds keep animating as ghosts, since they are no longer part of any molecule
+        removed.broken.forEach(([atom1, atom2]) => {
+            const transitionInfo = molecule.bondManipulator.detachTransition(atom1, atom2);
+            if (transitionInfo) {
+                this.renderer.addGhostBond(
+                    { moleculeId: id, atomIndex: transitionInfo.atom1 },
+                    { moleculeId: id, atomIndex: transitionInfo.atom2 },
+                    transitionInfo
+                );
+            }
+        });
+
+        // A hydrogen that lost its bond may have moved; transitions, motions, arrows and ghosts follow it
+        const atomMap = removed.atomMap;
+        if (atomMap.some((atomIndex, oldIndex) => atomIndex !== oldIndex)) {
+            molecule.bondManipulator.adoptAtoms(molecule.bondManipulator, atomMap);
+            this.renderer.remapAtoms(id, atomMap.map(atomIndex => ({ moleculeId: id, atomIndex })));
+        }
+        const broken = removed.broken.map(atoms => atoms.map(atom => atomMap[atom]));
+
+        const coords = molecule.moleculeInfo.getCoordinates3D();
+        const split = molecule.moleculeInfo.splitFragments();
+        if (!split) {
+            return; // A ring was opened, the molecule is still in one piece
+        }
+
+        const sourceManipulator = molecule.bondManipulator;
+        molecule.bondManipulator = new BondManipulator(molecule.moleculeInfo, this.renderer);
+        molecule.bondManipulator.adoptAtoms(sourceManipulator, split.keptAtomMap);
+
+        const scale = this.renderer.scaleFactor;
+        const bondLength = molecule.moleculeInfo.getAverageBondLength();
+        split.fragments.forEach((fragment, index) => {
+            const bondManipulator = new BondManipulator(fragment.moleculeInfo, this.renderer);
+            bondManipulator.adoptAtoms(sourceManipulator, fragment.atomMap);
+            const fragmentId = this.renderer.addMoleculeAt(fragment.moleculeInfo, bondManipulator, molecule.showAtomNumbers, molecule.position);
+            split.fragments[index].id = fragmentId;
+            this.moleculeIds.push(fragmentId);
+
+            // Drift half a bond length away from the partner of the broken bond
+            const inFragment = atom => fragment.atomMap[atom] !== undefined;
+            const bond = broken.find(([atom1, atom2]) => inFragment(atom1) !== inFragment(atom2));
+            if (bond) {
+                const [departing, partner] = inFragment(bond[0]) ? bond : [bond[1], bond[0]];
+                const dx = coords[departing].x - coords[partner].x;
+                const dy = coords[departing].y - coords[partner].y;
+                const length = Math.hypot(dx, dy) || 1;
+                const shift = { x: dx / length * bondLength * 0.5, y: dy / length * bondLength * 0.5 };
+                fragment.moleculeInfo.translateAtoms(shift);
+                bondManipulator.startAtomMotion(fragment.atomMap.filter(atom => atom !== undefined), { x: -shift.x * scale, y: shift.y * scale });
+            }
+        });
+        this.renderer.remapAtoms(id, this.collectAtomRefs(id, split));
     }
 
-    // Updated B2B method to use molecule index
-    B2B(moleculeIndex, bondIdentifier) {
+    // Where each atom of a split molecule went: atomRefs[oldIndex] = { moleculeId, atomIndex }
+    collectAtomRefs(id, split) {
+        const atomRefs = [];
+        split.keptAtomMap.forEach((atomIndex, oldIndex) => {
+            atomRefs[oldIndex] = { moleculeId: id, atomIndex };
+        });
+        split.fragments.filter(fragment => fragment.id).forEach(fragment => {
+            fragment.atomMap.forEach((atomIndex, oldIndex) => {
+                atomRefs[oldIndex] = { moleculeId: fragment.id, atomIndex };
+            });
+        });
+        return atomRefs;
+    }
+
+    // Move a lone pair from the first atom of the bond into the bond, raising its order
+    A2B(moleculeIndex, bondIdentifier) {
         const id = this.moleculeIds[moleculeIndex];
         const molecule = this.renderer.moleculeMap.get(id);
         if (!molecule || !molecule.bondManipulator) {
             console.error(`No bond manipulator found for molecule at index ${moleculeIndex}`);
             return;
-        };
-        molecule.bondManipulator.moveElectronsBetweenBonds(bondIdentifier);
-        this.renderer.startAnimation(); // Ensure animation is running
+        }
+        molecule.bondManipulator.moveElectronPairFromAtomToBond(bondIdentifier);
+        this.renderer.requestRender();
+    }
+
+    // The pair of the first bond of bondPath moves into the bond between its second and third atom. Like A2A,
+    // the third atom may belong to another molecule, which is then merged into the first one (a pi bond attacking).
+    B2B(moleculeIndex, bondPath, targetMoleculeIndex = moleculeIndex) {
+        let [atom1, atom2, atom3] = bondPath.split('-').map(Number);
+        const id = this.moleculeIds[moleculeIndex];
+        const targetId = this.moleculeIds[targetMoleculeIndex];
+        const molecule = this.renderer.moleculeMap.get(id);
+        if (!molecule || !molecule.bondManipulator || !this.renderer.moleculeMap.has(targetId)) {
+            console.error(`No bond manipulator found for molecules at indices ${moleculeIndex} and ${targetMoleculeIndex}`);
+            return;
+        }
+
+        if (targetId !== id) {
+            const { ownAtomMap, addedAtomMap } = this.mergeMolecules(id, targetId, atom2, atom3);
+            [atom1, atom2] = [ownAtomMap[atom1], ownAtomMap[atom2]];
+            atom3 = addedAtomMap[atom3];
+        }
+        molecule.bondManipulator.moveElectronsBetweenBonds(`${atom1}-${atom2}-${atom3}`);
+        this.splitBrokenBonds(id);
+        this.renderer.requestRender();
+    }
+    //method to create free radicals (homolysis); a fully broken bond splits the molecule
+    B2ASingle(moleculeIndex, bondIdentifier) {
+        const id = this.moleculeIds[moleculeIndex];
+        const molecule = this.renderer.moleculeMap.get(id);
+        if (!molecule || !molecule.bondManipulator) {
+            console.error(`No bond manipulator found for molecule at index ${moleculeIndex}`);
+            return;
+        }
+        molecule.bondManipulator.B2ASingle(bondIdentifier);
+        this.splitBrokenBonds(id);
+        this.renderer.requestRender();
     }
-    //method to create free radicals
-    B2ASingle(bondIdentifier) {
-        this.bondManipulator.B2ASingle(bondIdentifier);
+
+    // Radical recombination: the single electrons of both atoms form a bond. Like A2A, the second
+    // atom may belong to another molecule, which is then merged into the first one.
+    A2ASingle(moleculeIndex, atomPath, targetMoleculeIndex = moleculeIndex) {
+        let [atom1, atom2] = atomPath.split('-').map(Number);
+        const id = this.moleculeIds[moleculeIndex];
+        const targetId = this.moleculeIds[targetMoleculeIndex];
+        const molecule = this.renderer.moleculeMap.get(id);
+        if (!molecule || !molecule.bondManipulator || !this.renderer.moleculeMap.has(targetId)) {
+            console.error(`No bond manipulator found for molecules at indices ${moleculeIndex} and ${targetMoleculeIndex}`);
+            return;
+        }
+
+        if (targetId !== id) {
+            const { ownAtomMap, addedAtomMap } = this.mergeMolecules(id, targetId, atom1, atom2);
+            atom1 = ownAtomMap[atom1];
+            atom2 = addedAtomMap[atom2];
+        }
+        molecule.bondManipulator.combineSingleElectrons(atom1, atom2);
+        this.renderer.requestRender();
     }
 }
 
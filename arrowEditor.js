@@ -0,0 +1,224 @@
+/**
+ The arrowEditor.js file lets steps be drawn on the canvas with the mouse instead of written in a mechanism file, so
+a mechanism can be built live in front of a class.
+Drawing:
+Press on an electron source (a lone pair, a single electron, a bond, or an atom that has lone pairs or single
+electrons), drag to the sink (an atom or a bond) and release. MoleculeRenderer.hitTest finds what is under the
+pointer in every molecule, and a half transparent preview arrow follows it while dragging. Holding Shift draws a
+fishhook arrow (one electron); arrows from a single electron are always fishhooks.
+Arrows:
+toArrow turns the two ends into the arrow type of mechanism.js:
+  lone pair -> atom: A2A (the atom may be in another molecule), lone pair -> its own bond: A2B
+  bond -> one of its atoms: B2A (B2ASingle as a fishhook), bond -> neighbouring bond: B2B
+  bond -> atom outside it: B2B forming a bond from the bond's nearer atom (the atom may be in another molecule)
+  single electron -> atom with a single electron: A2ASingle
+Steps:
+Each arrow drawn joins the draft step, so several arrows can be played together; with an onArrow option each arrow is
+handed to it instead (practice.js grades them one by one). commit() hands the draft to
+Actions.addStep, which checks it with the arrow validator, inserts it into the mechanism after the current step and
+plays it; a rejected draft stays on screen with the validator's messages in message.
+ */
+class ArrowEditor {
+  // onChange(editor) is called whenever the draft or message changes, e.g. to update buttons;
+  // onArrow(arrow), when given, takes every drawn arrow instead of the draft
+  constructor(actions, { onChange = () => {}, onArrow = null } = {}) {
+    this.actions = actions;
+    this.renderer = actions.renderer;
+    this.canvas = this.renderer.canvas;
+    this.onChange = onChange;
+    this.onArrow = onArrow;
+    this.draft = []; // Arrows of the step being drawn, in mechanism form
+    this.drag = null; // { from, fishhook } while the pointer is held down on a source
+    this.message = ''; // Why the last arrow or step was not accepted
+    this.listeners = {
+      pointerdown: event => this.onPointerDown(event),
+      pointermove: event => this.onPointerMove(event),
+      pointerup: event => this.onPointerUp(event),
+      pointercancel: () => this.cancelDrag()
+    };
+    Object.entries(this.listeners).forEach(([type, listener]) => this.canvas.addEventListener(type, listener));
+  }
+
+  detach() {
+    Object.entries(this.listeners).forEach(([type, listener]) => this.canvas.removeEventListener(type, listener));
+    this.clear();
+  }
+
+  // Pointer position in canvas pixels, which differ from CSS pixels when the canvas is scaled by the page
+  getCanvasPoint(event) {
+    const rect = this.canvas.getBoundingClientRect();
+    return {
+      x: (event.clientX - rect.left) * (this.canvas.width / rect.width),
+      y: (event.clientY - rect.top) * (this.canvas.height / rect.height)
+    };
+  }
+
+  onPointerDown(event) {
+    if (this.actions.isPlaying) {
+      return;
+    }
+    const point = this.getCanvasPoint(event);
+    const from = this.getSource(this.renderer.hitTest(point.x, point.y));
+    if (!from) {
+      return;
+    }
+    this.drag = { from, fishhook: event.shiftKey || from.kind === 'radical' };
+    if (this.canvas.setPointerCapture) {
+      this.canvas.setPointerCapture(event.pointerId);
+    }
+    this.showPreview({ from, to: { kind: 'point', ...point }, fishhook: this.drag.fishhook });
+  }
+
+  // The preview snaps to a sink the arrow could end on and otherwise follows the pointer
+  onPointerMove(event) {
+    if (!this.drag) {
+      return;
+    }
+    const point = this.getCanvasPoint(event);
+    const target = this.renderer.hitTest(point.x, point.y);
+    const to = target && this.toArrow(this.drag.from, target, this.drag.fishhook) ? target : { kind: 'point', ...point };
+    this.showPreview({ from: this.drag.from, to, fishhook: this.drag.fishhook });
+  }
+
+  onPointerUp(event) {
+    if (!this.drag) {
+      return;
+    }
+    const point = this.getCanvasPoint(event);
+    const target = this.renderer.hitTest(point.x, point.y);
+    const arrow = target && this.toArrow(this.drag.from, target, this.drag.fishhook);
+    // Releasing where the drag started is a click, not an arrow
+    const clicked = target && target.atoms.every(ref => this.drag.from.atoms.some(other => other.moleculeId === ref.moleculeId && other.atomIndex === ref.atomIndex));
+    this.drag = null;
+    if (arrow && this.onArrow) {
+      this.message = '';
+      this.showPreview();
+      this.onArrow(arrow);
+      return;
+    }
+    if (arrow) {
+      this.draft.push(arrow);
+      this.message = '';
+    } else if (!clicked) {
+      this.message = 'No electron movement goes between those two points.';
+    }
+    this.showPreview();
+    this.onChange(this);
+  }
+
+  cancelDrag() {
+    this.drag = null;
+    this.showPreview();
+  }
+
+  // An atom stands for its lone pair, or its single electron when it has no lone pair; other atoms give no electrons
+  getSource(hit) {
+    if (!hit || hit.kind !== 'atom') {
+      return hit;
+    }
+    const [ref] = hit.atoms;
+    const { moleculeInfo } = this.renderer.moleculeMap.get(ref.moleculeId);
+    if (moleculeInfo.getLonePairs(ref.atomIndex) > 0) {
+      return { kind: 'lonePair', atoms: hit.atoms };
+    }
+    return moleculeInfo.getSingleElectron(ref.atomIndex) > 0 ? { kind: 'radical', atoms: hit.atoms } : null;
+  }
+
+  // Mechanism arrow for an arrow drawn from one hit-test result to another (see the file comment), or null.
+  // Paths name atoms by stable id ('#12'), so an arrow still finds its atoms after an earlier arrow of the
+  // same step has merged or split molecules.
+  toArrow(from, to, fishhook = false) {
+    const moleculeIndex = ref => this.actions.moleculeIds.indexOf(ref.moleculeId);
+    const atomId = ref => this.renderer.moleculeMap.get(ref.moleculeId).moleculeInfo.getAtomId(ref.atomIndex);
+    const sameAtom = (ref, other) => ref.moleculeId === other.moleculeId && ref.atomIndex === other.atomIndex;
+    const build = (type, refs) => {
+      const first = refs[0];
+      const last = refs[refs.length - 1];
+      return {
+        arrow: type,
+        molecule: moleculeIndex(first),
+        path: refs.map(ref => `#${atomId(ref)}`).join('-'),
+        ...(last.moleculeId !== first.moleculeId ? { targetMolecule: moleculeIndex(last) } : {})
+      };
+    };
+    const [a, b] = from.atoms;
+
+    if (from.kind === 'lonePair' && !fishhook) {
+      if (to.kind === 'atom' && !sameAtom(to.atoms[0], a)) {
+        return build('A2A', [a, to.atoms[0]]);
+      }
+      const partner = to.kind === 'bond' && to.atoms.find(ref => !sameAtom(ref, a));
+      return partner && to.atoms.some(ref => sameAtom(ref, a)) ? build('A2B', [a, partner]) : null;
+    }
+    if (from.kind === 'radical') {
+      return (to.kind === 'atom' || to.kind === 'radical') && !sameAtom(to.atoms[0], a) ? build('A2ASingle', [a, to.atoms[0]]) : null;
+    }
+    if (from.kind !== 'bond') {
+      return null;
+    }
+    if (to.kind === 'atom' || to.kind === 'lonePair') {
+      const [target] = to.atoms;
+      if (sameAtom(target, a) || sameAtom(target, b)) {
+        const other = sameAtom(target, a) ? b : a;
+        return build(fishhook ? 'B2ASingle' : 'B2A', [other, target]);
+      }
+      if (fishhook) {
+        return null;
+      }
+      // The bond pair forms a new bond from whichever of its atoms is nearer to the target
+      const distance = ref => {
+        const point = this.renderer.getAtomCanvasPosition(ref.moleculeId, ref.atomIndex);
+        const targetPoint = this.renderer.getAtomCanvasPosition(target.moleculeId, target.atomIndex);
+        return Math.hypot(point.x - targetPoint.x, point.y - targetPoint.y);
+      };
+      const [far, near] = distance(a) <= distance(b) ? [b, a] : [a, b];
+      return build('B2B', [far, near, target]);
+    }
+    if (to.kind === 'bond' && !fishhook) {
+      const shared = from.atoms.find(ref => to.atoms.some(other => sameAtom(ref, other)));
+      const fromOther = shared && from.atoms.find(ref => !sameAtom(ref, shared));
+      const toOther = shared && to.atoms.find(ref => !sameAtom(ref, shared));
+      return shared && fromOther && toOther && !sameAtom(fromOther, toOther) ? build('B2B', [fromOther, shared, toOther]) : null;
+    }
+    return null;
+  }
+
+  // Show the draft's arrows and, while dragging, the arrow being drawn
+  showPreview(dragged = null) {
+    const arrows = this.draft.flatMap(arrow => Mechanism.getCurves(this.actions.resolveArrow(arrow), this.actions.moleculeIds));
+    this.renderer.setPreviewArrows(dragged ? [...arrows, dragged] : arrows);
+  }
+
+  removeLastArrow() {
+    this.draft.pop();
+    this.showPreview();
+    this.onChange(this);
+  }
+
+  clear() {
+    this.draft = [];
+    this.drag = null;
+    this.message = '';
+    this.showPreview();
+    this.onChange(this);
+  }
+
+  // Add the draft as a step after the current one and play it. Resolves to false when the validator rejects it,
+  // in which case the draft is kept so it can be corrected.
+  async commit(caption = '') {
+    if (this.draft.length === 0 || this.actions.isPlaying) {
+      return false;
+    }
+    this.renderer.setPreviewArrows([]);
+    const added = await this.actions.addStep({ caption, arrows: this.draft });
+    if (added) {
+      this.draft = [];
+      this.message = '';
+    } else {
+      this.message = this.actions.stepErrors.map(error => error.message).join('\n');
+    }
+    this.showPreview();
+    this.onChange(this);
+    return added;
+  }
+}
@@ -0,0 +1,250 @@
+/**
+ The arrowValidator.js file checks whether the curved arrows of a mechanism step are legal before the step is applied.
+BondManipulator carries out whatever it is asked to do, so a typo in a mechanism file could break a bond that does
+not exist, give a carbon a fifth bond or take a lone pair from an atom that has none. ArrowValidator catches these
+mistakes up front.
+How it works:
+The validator reads the current electron state of every atom an arrow touches (bond orders and the ElectronLedger
+entries), then replays the arrows of the step one after another on a private copy of that state, using the same
+changes the ledger applies (ElectronLedger.getArrowChanges). Arrows of a concerted step are therefore checked
+together: a carbonyl carbon may take a nucleophile's pair in the same step in which its pi bond moves onto oxygen.
+Checks:
+- The path names each atom once; an arrow from an atom back to itself, or B2B '0-1-0', moves no electrons.
+- The source really holds the electrons: the bond exists, the atom has a lone pair, or a single electron for radicals.
+- Bonds stay between order 0 and 3.
+- When the whole step has been replayed, no atom that gained electrons exceeds its valence shell: a duet for
+  hydrogen, an octet for the second period, 12 electrons for the expanded octets of P, S, Cl and their heavier
+  neighbours, 18 for transition metals (see PeriodicTable.maxValenceElectrons).
+Errors:
+validateStep(step) returns a list of errors, empty when the step is legal. Each error is a plain object:
+{ code, message, arrowIndex, arrow, molecule, atoms }
+code is one of the ArrowValidator.ERRORS keys, message is a sentence that can be shown to the author, arrow is the
+normalized arrow from the mechanism and atoms lists the atom indices the problem is about.
+Atom-map numbers:
+A path may name atoms by their atom-map numbers (':3', see mechanism.js); each is looked up in its molecule as the
+step is checked, and UNKNOWN_MAP_NUMBER is reported when no atom, or more than one, carries it. Atoms named by
+stable id ('#12') are looked up the same way and reported as UNKNOWN_ATOM when the molecule does not hold them.
+Template steps (see mechanismTemplates.js) add TEMPLATE_MISMATCH errors of their own through Actions.validateStep.
+A step whose electron audit fails once it has been applied is reported as ELECTRON_AUDIT by Actions (see
+Actions.getAuditErrors).
+ */
+class ArrowValidator {
+  // resolveMolecule(moleculeIndex) returns { id, moleculeInfo } or null
+  constructor(resolveMolecule) {
+    this.resolveMolecule = resolveMolecule;
+  }
+
+  static get ERRORS() {
+    return {
+      UNKNOWN_MOLECULE: 'UNKNOWN_MOLECULE',
+      UNKNOWN_ATOM: 'UNKNOWN_ATOM',
+      UNKNOWN_MAP_NUMBER: 'UNKNOWN_MAP_NUMBER',
+      NO_BOND: 'NO_BOND',
+      NO_LONE_PAIR: 'NO_LONE_PAIR',
+      NO_SINGLE_ELECTRON: 'NO_SINGLE_ELECTRON',
+      BOND_ORDER_LIMIT: 'BOND_ORDER_LIMIT',
+      OCTET_EXCEEDED: 'OCTET_EXCEEDED',
+      TEMPLATE_MISMATCH: 'TEMPLATE_MISMATCH',
+      REPEATED_ATOM: 'REPEATED_ATOM',
+      ELECTRON_AUDIT: 'ELECTRON_AUDIT'
+    };
+  }
+
+  // Turn a list of errors into readable lines, e.g. for console output or an exception message
+  static formatErrors(errors) {
+    return errors.map(error => error.message).join('\n');
+  }
+
+  validateStep(step) {
+    this.atoms = new Map();
+    this.bonds = new Map();
+    this.errors = [];
+
+    step.arrows.forEach((arrow, arrowIndex) => {
+      this.currentArrow = { arrow, arrowIndex };
+      this.replayArrow(arrow);
+    });
+    this.checkOctets();
+    return this.errors;
+  }
+
+  // Apply one arrow to the simulated state, recording an error for each rule it breaks
+  replayArrow(arrow) {
+    const atoms = Mechanism.parsePath(arrow.path);
+    const molecules = atoms.map((atom, position) => Mechanism.getAtomMolecule(arrow, position, atoms.length));
+    const refs = [];
+    for (let i = 0; i < atoms.length; i++) {
+      const ref = this.resolveAtom(molecules[i], atoms[i]);
+      if (!ref) {
+        return;
+      }
+      // ':3' and 0 may be the same atom, which Mechanism.validateArrow cannot tell from the path alone
+      if (refs.some(other => other.key === ref.key)) {
+        this.addError('REPEATED_ATOM', `the path repeats atom ${ref.atomIndex}.`, [ref.atomIndex]);
+        return;
+      }
+      refs.push(ref);
+    }
+
+    // The source must hold the electrons before the ledger rules of the arrow are replayed
+    const [a, b] = refs;
+    const sourceChecks = {
+      B2A: () => this.requireBond(a, b),
+      B2B: () => this.requireBond(a, b),
+      A2B: () => this.requireBond(a, b) && this.requireLonePair(a),
+      A2A: () => this.requireLonePair(a),
+      B2ASingle: () => this.requireBond(a, b),
+      A2ASingle: () => this.requireSingleElectron(a) && this.requireSingleElectron(b)
+    };
+    if (!sourceChecks[arrow.arrow]()) {
+      return;
+    }
+    const changes = ElectronLedger.getArrowChanges(arrow.arrow, refs);
+    changes.bonds.forEach(([atom1, atom2, change]) => this.changeBondOrder(atom1, atom2, change));
+    changes.atoms.forEach(([ref, change]) => this.changeAtom(ref, change));
+  }
+
+  // Reference to an atom of the scene, given by index, atom-map number or atom id, or null (with an error)
+  // when it does not exist
+  resolveAtom(moleculeIndex, atom) {
+    const molecule = this.resolveMolecule(moleculeIndex);
+    if (!molecule) {
+      this.addError('UNKNOWN_MOLECULE', `there is no molecule ${moleculeIndex}.`, []);
+      return null;
+    }
+    let atomIndex = atom;
+    if (Mechanism.isMapToken(atom)) {
+      const mapped = molecule.moleculeInfo.findAtomsByMapNo(atom.mapNo);
+      if (mapped.length !== 1) {
+        const problem = mapped.length === 0
+          ? `no atom of molecule ${moleculeIndex} carries map number ${atom.mapNo}.`
+          : `map number ${atom.mapNo} is carried by ${mapped.length} atoms of molecule ${moleculeIndex} (${mapped.join(', ')}).`;
+        this.addError('UNKNOWN_MAP_NUMBER', problem, mapped);
+        return null;
+      }
+      atomIndex = mapped[0];
+    } else if (Mechanism.isIdToken(atom)) {
+      atomIndex = molecule.moleculeInfo.findAtomById(atom.atomId);
+      if (atomIndex === -1) {
+        this.addError('UNKNOWN_ATOM', `atom #${atom.atomId} is not in molecule ${moleculeIndex}.`, []);
+        return null;
+      }
+    }
+    if (atomIndex >= molecule.moleculeInfo.getAtomCount()) {
+      this.addError('UNKNOWN_ATOM', `atom ${atomIndex} does not exist in molecule ${moleculeIndex} (${molecule.moleculeInfo.getAtomCount()} atoms).`, [atomIndex]);
+      return null;
+    }
+    return { key: `${molecule.id}:${atomIndex}`, molecule, moleculeIndex, atomIndex };
+  }
+
+  // Simulated state of an atom, read from the model the first time the atom is touched.
+  // Hydrogens are explicit atoms in every molecule Actions adds, so only real bonds are counted.
+  getAtom(ref) {
+    if (!this.atoms.has(ref.key)) {
+      const { moleculeInfo } = ref.molecule;
+      const molecule = moleculeInfo.getMolecule();
+      let bondOrderSum = 0;
+      for (let i = 0; i < molecule.getAllConnAtoms(ref.atomIndex); i++) {
+        bondOrderSum += moleculeInfo.getBondOrder(ref.atomIndex, molecule.getConnAtom(ref.atomIndex, i));
+      }
+      this.atoms.set(ref.key, {
+        ref,
+        label: moleculeInfo.getAtomSymbol(ref.atomIndex),
+        atomicNo: molecule.getAtomicNo(ref.atomIndex),
+        charge: moleculeInfo.getFormalCharge(ref.atomIndex),
+        lonePairs: moleculeInfo.getLonePairs(ref.atomIndex),
+        singleElectrons: moleculeInfo.getSingleElectron(ref.atomIndex),
+        bondOrderSum,
+        initialElectrons: null
+      });
+      const atom = this.atoms.get(ref.key);
+      atom.initialElectrons = ArrowValidator.countElectrons(atom);
+    }
+    return this.atoms.get(ref.key);
+  }
+
+  static countElectrons(atom) {
+    return 2 * atom.bondOrderSum + 2 * atom.lonePairs + atom.singleElectrons;
+  }
+
+  getBondOrder(a, b) {
+    const key = [a.key, b.key].sort().join('|');
+    if (!this.bonds.has(key)) {
+      // Atoms of different molecules are never bonded before a merge
+      const order = a.molecule.id === b.molecule.id ? a.molecule.moleculeInfo.getBondOrder(a.atomIndex, b.atomIndex) : 0;
+      this.bonds.set(key, order);
+    }
+    return this.bonds.get(key);
+  }
+
+  changeBondOrder(a, b, change) {
+    const order = this.getBondOrder(a, b) + change;
+    if (order > 3) {
+      this.addError('BOND_ORDER_LIMIT', `the bond between atoms ${a.atomIndex} and ${b.atomIndex} would exceed a triple bond.`, [a.atomIndex, b.atomIndex]);
+      return;
+    }
+    this.bonds.set([a.key, b.key].sort().join('|'), order);
+    this.getAtom(a).bondOrderSum += change;
+    this.getAtom(b).bondOrderSum += change;
+  }
+
+  changeAtom(ref, { charge = 0, lonePairs = 0, singleElectrons = 0 }) {
+    const atom = this.getAtom(ref);
+    atom.charge += charge;
+    atom.lonePairs = Math.max(0, atom.lonePairs + lonePairs);
+    atom.singleElectrons += singleElectrons;
+  }
+
+  requireBond(a, b) {
+    if (this.getBondOrder(a, b) > 0) {
+      return true;
+    }
+    this.addError('NO_BOND', `atoms ${a.atomIndex} and ${b.atomIndex} are not bonded.`, [a.atomIndex, b.atomIndex]);
+    return false;
+  }
+
+  requireLonePair(ref) {
+    const atom = this.getAtom(ref);
+    if (atom.lonePairs > 0) {
+      return true;
+    }
+    this.addError('NO_LONE_PAIR', `atom ${ref.atomIndex} (${atom.label}) has no lone pair to donate.`, [ref.atomIndex]);
+    return false;
+  }
+
+  requireSingleElectron(ref) {
+    const atom = this.getAtom(ref);
+    if (atom.singleElectrons > 0) {
+      return true;
+    }
+    this.addError('NO_SINGLE_ELECTRON', `atom ${ref.atomIndex} (${atom.label}) has no single electron.`, [ref.atomIndex]);
+    return false;
+  }
+
+  // Only atoms that gained electrons are checked, so a step never fails on an atom it did not make worse
+  checkOctets() {
+    this.currentArrow = null;
+    this.atoms.forEach(atom => {
+      const electrons = ArrowValidator.countElectrons(atom);
+      const limit = PeriodicTable.maxValenceElectrons(atom.atomicNo);
+      if (electrons > limit && electrons > atom.initialElectrons) {
+        const shell = PeriodicTable.shellName(limit);
+        this.addError('OCTET_EXCEEDED', `atom ${atom.ref.atomIndex} (${atom.label}) would have ${electrons} valence electrons, more than its ${shell} allows (${limit}).`, [atom.ref.atomIndex], atom.ref);
+      }
+    });
+  }
+
+  addError(code, text, atoms, ref = null) {
+    const current = this.currentArrow;
+    const arrow = current ? current.arrow : null;
+    const prefix = arrow ? `${arrow.arrow} ${arrow.path} in molecule ${arrow.molecule}: ` : `Molecule ${ref.moleculeIndex}: `;
+    this.errors.push({
+      code: ArrowValidator.ERRORS[code],
+      message: prefix + text,
+      arrowIndex: current ? current.arrowIndex : null,
+      arrow,
+      molecule: arrow ? arrow.molecule : ref.moleculeIndex,
+      atoms
+    });
+  }
+}
@@ -0,0 +1,201 @@
+/**
+ The electronLedger.js file keeps the one authoritative record of where the non-bonding electrons of a molecule are.
+Before the ledger existed charges lived in BondManipulator, lone pairs and single electrons in MoleculeInfo and bond
+orders in the OCL molecule, and the three could drift apart. Now every MoleculeInfo owns an ElectronLedger and every
+electron movement goes through it.
+Entries:
+For each atom the ledger stores { charge, lonePairs, singleElectrons }. Bond orders stay in the OCL molecule, but they
+are only changed through apply() so that they move together with the charges and lone pairs.
+Changes:
+apply({ bonds, atoms }) takes a whole electron movement at once:
+  bonds: [[atom1, atom2, change], ...]   change of bond order, e.g. -1 when a bond pair leaves the bond
+  atoms: [[atom, { charge, lonePairs, singleElectrons }], ...]   changes of the atom's entries
+Every change is checked first (bond orders stay between 0 and 3, no negative electron counts); only when all checks
+pass is anything written, so a rejected movement leaves no trace. ElectronLedger.getArrowChanges(arrow, atoms) gives
+the changes for each arrow type of mechanism.js, so BondManipulator and ArrowValidator follow the same rules.
+Syncing with OCL:
+After each change the charges and radicals of the touched atoms are written into the OCL molecule, so toSmiles()
+and the drawing agree. OCL is also stopped from inventing implicit hydrogens for them (see pinValence). Hydrogens are the exception: OCL moves a hydrogen within its atom list as soon as its charge
+changes, which would renumber atoms in the middle of a mechanism. Their charge lives only in the ledger, and
+MoleculeInfo.toSmiles() applies it to a copy of the molecule. A hydrogen whose bond is broken does move: apply()
+lets OCL put it in place at once, moving its entry along, and tells in atomMap how atoms were renumbered.
+Audit:
+audit() recomputes each atom's formal charge from its valence electrons, lone pairs, single electrons and bonds and
+reports atoms whose ledger entry disagrees. It also returns the total electron count and net charge, which
+Actions compares before and after every step to check that electrons were only moved, never created or lost.
+ */
+class ElectronLedger {
+  constructor(moleculeInfo) {
+    this.moleculeInfo = moleculeInfo;
+    this.atoms = [];
+    this.atomMap = null; // How the last movement renumbered atoms (see apply)
+  }
+
+  // Ledger changes for one arrow of a mechanism; atoms are the atoms of its path in order
+  static getArrowChanges(arrowType, [a, b, c]) {
+    switch (arrowType) {
+      case 'B2A':
+        return { bonds: [[a, b, -1]], atoms: [[a, { charge: +1 }], [b, { charge: -1, lonePairs: +1 }]] };
+      case 'B2B':
+        return { bonds: [[a, b, -1], [b, c, +1]], atoms: [[a, { charge: +1 }], [c, { charge: -1 }]] };
+      case 'A2B':
+      case 'A2A':
+        return { bonds: [[a, b, +1]], atoms: [[a, { charge: +1, lonePairs: -1 }], [b, { charge: -1 }]] };
+      case 'B2ASingle':
+        return { bonds: [[a, b, -1]], atoms: [[a, { singleElectrons: +1 }], [b, { singleElectrons: +1 }]] };
+      case 'A2ASingle':
+        return { bonds: [[a, b, +1]], atoms: [[a, { singleElectrons: -1 }], [b, { singleElectrons: -1 }]] };
+      default:
+        throw new Error(`Unknown arrow type "${arrowType}".`);
+    }
+  }
+
+  getAtom(atomIndex) {
+    return this.atoms[atomIndex] || { charge: 0, lonePairs: 0, singleElectrons: 0 };
+  }
+
+  getCharge(atomIndex) {
+    return this.getAtom(atomIndex).charge;
+  }
+
+  getLonePairs(atomIndex) {
+    return this.getAtom(atomIndex).lonePairs;
+  }
+
+  getSingleElectrons(atomIndex) {
+    return this.getAtom(atomIndex).singleElectrons;
+  }
+
+  // Set an atom's entry outright, used when a molecule is built or restored
+  setAtom(atomIndex, { charge = 0, lonePairs = 0, singleElectrons = 0 }) {
+    this.atoms[atomIndex] = { charge, lonePairs, singleElectrons };
+    this.moleculeInfo.markChanged();
+  }
+
+  reset() {
+    this.atoms = [];
+    this.moleculeInfo.markChanged();
+  }
+
+  // Apply an electron movement; returns a list of problems and changes nothing when there are any. A hydrogen
+  // that loses its bond is moved in the atom list (see MoleculeInfo.sortHydrogens); atomMap then holds the new
+  // index of each old atom index until the next movement, and is null otherwise.
+  apply({ bonds = [], atoms = [] }) {
+    this.atomMap = null;
+    const problems = [];
+    const atomCount = this.moleculeInfo.getAtomCount();
+    const touched = new Set();
+    [...bonds.flatMap(([atom1, atom2]) => [atom1, atom2]), ...atoms.map(([atom]) => atom)].forEach(atom => {
+      if (!Number.isInteger(atom) || atom < 0 || atom >= atomCount) {
+        problems.push(`atom ${atom} does not exist.`);
+      }
+      touched.add(atom);
+    });
+    if (problems.length > 0) {
+      return problems;
+    }
+
+    const newOrders = new Map();
+    bonds.forEach(([atom1, atom2, change]) => {
+      const key = `${Math.min(atom1, atom2)}-${Math.max(atom1, atom2)}`;
+      const order = (newOrders.has(key) ? newOrders.get(key).order : this.moleculeInfo.getBondOrder(atom1, atom2)) + change;
+      if (order < 0) {
+        problems.push(`atoms ${atom1} and ${atom2} are not bonded.`);
+      } else if (order > 3) {
+        problems.push(`the bond between atoms ${atom1} and ${atom2} would exceed a triple bond.`);
+      }
+      newOrders.set(key, { atom1, atom2, order });
+    });
+
+    const newEntries = new Map();
+    atoms.forEach(([atom, change]) => {
+      const entry = { ...(newEntries.get(atom) || this.getAtom(atom)) };
+      entry.charge += change.charge || 0;
+      entry.lonePairs += change.lonePairs || 0;
+      entry.singleElectrons += change.singleElectrons || 0;
+      if (entry.lonePairs < 0) {
+        problems.push(`atom ${atom} (${this.moleculeInfo.getAtomSymbol(atom)}) has no lone pair to give.`);
+      }
+      if (entry.singleElectrons < 0) {
+        problems.push(`atom ${atom} (${this.moleculeInfo.getAtomSymbol(atom)}) has no single electron to give.`);
+      }
+      newEntries.set(atom, entry);
+    });
+    if (problems.length > 0) {
+      return problems;
+    }
+
+    newOrders.forEach(({ atom1, atom2, order }) => this.moleculeInfo.setBondOrder(atom1, atom2, order));
+    newEntries.forEach((entry, atom) => this.setAtom(atom, entry));
+    this.atomMap = this.moleculeInfo.sortHydrogens();
+    const atomMap = this.atomMap;
+    this.syncMolecule(this.moleculeInfo.getMolecule(), atomMap ? Array.from(touched, atom => atomMap[atom]) : touched);
+    return [];
+  }
+
+  // Write charges and radicals into an OCL molecule. Without a list of atoms every atom is written;
+  // includeHydrogens is only safe on a copy, since OCL then reorders hydrogens (see the file comment).
+  syncMolecule(molecule, atoms = null, includeHydrogens = false) {
+    const indices = atoms ? Array.from(atoms) : this.atoms.map((entry, index) => index);
+    indices.forEach(atomIndex => {
+      if (atomIndex >= molecule.getAllAtoms() || (!includeHydrogens && molecule.getAtomicNo(atomIndex) === 1)) {
+        return;
+      }
+      const entry = this.getAtom(atomIndex);
+      molecule.setAtomCharge(atomIndex, entry.charge);
+      molecule.setAtomRadical(atomIndex, ElectronLedger.radicalState(entry.singleElectrons));
+      if (this.moleculeInfo.explicitHydrogens && molecule.getAtomicNo(atomIndex) !== 1) {
+        this.pinValence(molecule, atomIndex);
+      }
+    });
+  }
+
+  // Every hydrogen is an explicit atom, so OCL must not add implicit ones to an atom whose charge or
+  // bonds look unusual to it (it would turn a nitrogen with three bonds and +2 into NH2+2). OCL's
+  // abnormal valence is counted for the uncharged atom, hence the bonds minus the charge.
+  pinValence(molecule, atomIndex) {
+    molecule.setAtomAbnormalValence(atomIndex, -1);
+    if (molecule.getImplicitHydrogens(atomIndex) > 0) {
+      const valence = molecule.getOccupiedValence(atomIndex) - molecule.getAtomCharge(atomIndex);
+      molecule.setAtomAbnormalValence(atomIndex, Math.max(0, valence));
+    }
+  }
+
+  // OCL radical flag for a number of single electrons (doublet for one, triplet for two)
+  static radicalState(singleElectrons) {
+    if (singleElectrons === 1) {
+      return OCL.Molecule.cAtomRadicalStateD;
+    }
+    return singleElectrons >= 2 ? OCL.Molecule.cAtomRadicalStateT : 0;
+  }
+
+  // Check each atom's entry against its electron count and total up electrons and charge
+  audit() {
+    const molecule = this.moleculeInfo.getMolecule();
+    const problems = [];
+    let electrons = 0;
+    let netCharge = 0;
+
+    for (let atom = 0; atom < molecule.getAllAtoms(); atom++) {
+      const entry = this.getAtom(atom);
+      netCharge += entry.charge;
+      electrons += 2 * entry.lonePairs + entry.singleElectrons;
+
+      const valence = PeriodicTable.valenceElectrons(molecule.getAtomLabel(atom));
+      if (valence === undefined) {
+        continue;
+      }
+      // Hydrogens never carry implicit hydrogens; OCL would count one for a bare, uncharged H
+      const implicitHydrogens = molecule.getAtomicNo(atom) === 1 ? 0 : molecule.getImplicitHydrogens(atom);
+      const bondOrderSum = this.moleculeInfo.getBondOrdersForAtom(atom).reduce((sum, order) => sum + order, 0) + implicitHydrogens;
+      const expectedCharge = valence - 2 * entry.lonePairs - entry.singleElectrons - bondOrderSum;
+      if (expectedCharge !== entry.charge) {
+        problems.push(`atom ${atom} (${molecule.getAtomLabel(atom)}) has charge ${entry.charge}, but its electrons give ${expectedCharge}.`);
+      }
+    }
+    for (let bond = 0; bond < molecule.getAllBonds(); bond++) {
+      electrons += 2 * molecule.getBondOrder(bond);
+    }
+    return { electrons, netCharge, problems };
+  }
+}
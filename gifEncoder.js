@@ -0,0 +1,143 @@
+/**
+ The gifEncoder.js file writes animated GIF files from RGBA frames, for renderMechanism.js. It has no dependencies, so
+building course material needs nothing beyond a canvas to draw the frames on.
+Colors:
+Every frame uses the same fixed 256 color palette: a 6 x 6 x 6 color cube plus 40 shades of gray. Molecule drawings
+are mostly black, gray and a few pure colors on white, which this palette shows without dithering, and a fixed palette
+keeps the output identical from run to run. Transparent pixels become white.
+Usage:
+  const encoder = new GifEncoder(width, height);
+  encoder.addFrame(imageData.data, 40);   // RGBA bytes, delay in milliseconds
+  fs.writeFileSync('mechanism.gif', encoder.toBuffer());
+ */
+class GifEncoder {
+  constructor(width, height, { loop = true } = {}) {
+    this.width = width;
+    this.height = height;
+    this.loop = loop;
+    this.frames = [];
+  }
+
+  // [r, g, b] of each palette entry: the color cube first, then the grays
+  static get PALETTE() {
+    const palette = [];
+    for (let r = 0; r < 6; r++) {
+      for (let g = 0; g < 6; g++) {
+        for (let b = 0; b < 6; b++) {
+          palette.push([r * 51, g * 51, b * 51]);
+        }
+      }
+    }
+    for (let i = 0; i < 40; i++) {
+      const gray = Math.round((i * 255) / 39);
+      palette.push([gray, gray, gray]);
+    }
+    return palette;
+  }
+
+  static paletteIndex(r, g, b, a) {
+    if (a < 128) {
+      return 215; // White in the color cube
+    }
+    if (Math.abs(r - g) < 12 && Math.abs(g - b) < 12 && Math.abs(r - b) < 12) {
+      return 216 + Math.round(((r + g + b) / 3 / 255) * 39);
+    }
+    return 36 * Math.round(r / 51) + 6 * Math.round(g / 51) + Math.round(b / 51);
+  }
+
+  // Add a frame of width * height RGBA bytes, shown for delay milliseconds (GIF counts in hundredths of a second)
+  addFrame(rgba, delay) {
+    if (rgba.length !== this.width * this.height * 4) {
+      throw new Error(`A frame of ${this.width}x${this.height} needs ${this.width * this.height * 4} bytes, got ${rgba.length}.`);
+    }
+    const indices = new Uint8Array(this.width * this.height);
+    for (let i = 0; i < indices.length; i++) {
+      indices[i] = GifEncoder.paletteIndex(rgba[4 * i], rgba[4 * i + 1], rgba[4 * i + 2], rgba[4 * i + 3]);
+    }
+    this.frames.push({ data: GifEncoder.compress(indices, 8), delay: Math.max(1, Math.round(delay / 10)) });
+  }
+
+  // Variable-length LZW compression as the GIF format defines it
+  static compress(indices, minCodeSize) {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    const bytes = [];
+    let codeSize = minCodeSize + 1;
+    let bitBuffer = 0;
+    let bitCount = 0;
+    const write = code => {
+      bitBuffer |= code << bitCount;
+      bitCount += codeSize;
+      while (bitCount >= 8) {
+        bytes.push(bitBuffer & 0xff);
+        bitBuffer >>>= 8;
+        bitCount -= 8;
+      }
+    };
+
+    let codes = new Map();
+    let nextCode = endCode + 1;
+    write(clearCode);
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+      const key = prefix * 256 + indices[i];
+      if (codes.has(key)) {
+        prefix = codes.get(key);
+        continue;
+      }
+      write(prefix);
+      if (nextCode < 4096) {
+        codes.set(key, nextCode++);
+        if (nextCode > 1 << codeSize && codeSize < 12) {
+          codeSize++;
+        }
+      } else {
+        // The code table is full: start a new one
+        write(clearCode);
+        codes = new Map();
+        nextCode = endCode + 1;
+        codeSize = minCodeSize + 1;
+      }
+      prefix = indices[i];
+    }
+    write(prefix);
+    write(endCode);
+    if (bitCount > 0) {
+      bytes.push(bitBuffer & 0xff);
+    }
+    return bytes;
+  }
+
+  // Split data into the length-prefixed sub-blocks of at most 255 bytes GIF uses, ending with an empty block
+  static subBlocks(data) {
+    const blocks = [];
+    for (let i = 0; i < data.length; i += 255) {
+      const chunk = data.slice(i, i + 255);
+      blocks.push(chunk.length, ...chunk);
+    }
+    blocks.push(0);
+    return blocks;
+  }
+
+  toBuffer() {
+    const word = value => [value & 0xff, (value >> 8) & 0xff];
+    const parts = [];
+    // Header and logical screen with a global color table of 256 entries
+    parts.push(Buffer.from('GIF89a', 'ascii'));
+    parts.push(Buffer.from([...word(this.width), ...word(this.height), 0xf7, 0, 0]));
+    parts.push(Buffer.from(GifEncoder.PALETTE.flat()));
+    if (this.loop) {
+      parts.push(Buffer.from([0x21, 0xff, 0x0b, ...Buffer.from('NETSCAPE2.0', 'ascii'), 0x03, 0x01, 0, 0, 0]));
+    }
+    this.frames.forEach(frame => {
+      // Graphic control extension (delay, frames replace each other) and a full-size image
+      parts.push(Buffer.from([0x21, 0xf9, 0x04, 0x04, ...word(frame.delay), 0, 0]));
+      parts.push(Buffer.from([0x2c, 0, 0, 0, 0, ...word(this.width), ...word(this.height), 0]));
+      parts.push(Buffer.from([8, ...GifEncoder.subBlocks(frame.data)]));
+    });
+    parts.push(Buffer.from([0x3b]));
+    return Buffer.concat(parts);
+  }
+}
+
+module.exports = GifEncoder;
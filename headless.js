@@ -0,0 +1,87 @@
+/**
+ The headless.js file runs the scene in Node, without a browser or DOM. The classes of this project are plain browser
+scripts that chem.html loads one after another; this module loads the same files, in the same order, into a Node vm
+context together with OpenChemLib, and hands back the classes. Nothing in the scripts is changed for Node:
+MoleculeRenderer accepts a canvas object instead of an element id, and the Timeline notices that there are no
+animation frames and waits to be advanced by hand (see timeline.js), which makes every run produce the same frames.
+Usage:
+  const { createActions } = require('./headless');
+  const actions = createActions({ width: 800, height: 600 });
+  await actions.loadMechanism(require('./mechanisms/nitrobenzene-demo.json'));
+  actions.jumpToStep(2);
+  const svg = actions.exportSVG();
+Canvases:
+createActions draws into an SVG canvas stand-in unless a canvas is passed, e.g. one from the canvas package
+(node-canvas) when pixels are needed for PNG or GIF output (see renderMechanism.js).
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// The browser scripts in the order chem.html loads them, and the classes they declare
+const SCRIPTS = [
+  'periodicTable.js',
+  'electronLedger.js',
+  'molfileIO.js',
+  'moleculeInfo.js',
+  'timeline.js',
+  'svgContext.js',
+  'moleculeRenderer.js',
+  'BondManipulator.js',
+  'mechanism.js',
+  'mechanismTemplates.js',
+  'stateHistory.js',
+  'arrowValidator.js',
+  'resonance.js',
+  'action.js'
+];
+const CLASSES = [
+  'PeriodicTable',
+  'ElectronLedger',
+  'MolfileIO',
+  'MoleculeInfo',
+  'Timeline',
+  'SvgContext',
+  'MoleculeRenderer',
+  'BondManipulator',
+  'Mechanism',
+  'MechanismTemplates',
+  'StateHistory',
+  'ArrowValidator',
+  'ResonanceEnumerator',
+  'Actions'
+];
+
+function loadOCL() {
+  try {
+    return require('openchemlib');
+  } catch (error) {
+    throw new Error('OpenChemLib is needed to run the scene in Node (npm install openchemlib).');
+  }
+}
+
+// Evaluate the scripts in a fresh context and return { OCL, ElectronLedger, MoleculeInfo, ..., Actions }
+function loadScene({ OCL = loadOCL() } = {}) {
+  const context = vm.createContext({ OCL, console, setTimeout, clearTimeout, fetch: globalThis.fetch });
+  SCRIPTS.forEach(file => {
+    vm.runInContext(fs.readFileSync(path.join(__dirname, file), 'utf8'), context, { filename: file });
+  });
+  // Top-level class declarations are shared by the scripts of a context but are not properties of its global object
+  return { OCL, ...vm.runInContext(`({ ${CLASSES.join(', ')} })`, context) };
+}
+
+// Canvas stand-in whose drawing context is an SvgContext, for scenes that are only exported as SVG
+function createSvgCanvas(scene, width, height) {
+  const context = new scene.SvgContext(width, height);
+  return { width, height, getContext: () => context };
+}
+
+// Actions on a manual timeline, drawing into canvas (an SVG stand-in by default) at the given scale
+function createActions({ width = 800, height = 600, scale = 60, canvas = null, scene = loadScene() } = {}) {
+  const actions = new scene.Actions(canvas || createSvgCanvas(scene, width, height));
+  actions.timeline.manual = true;
+  actions.renderer.setScaleFactor(scale);
+  return actions;
+}
+
+module.exports = { SCRIPTS, loadScene, createSvgCanvas, createActions };
@@ -0,0 +1,526 @@
+/**
+ The mechanism.js file defines the declarative mechanism document format that Actions can load and play.
+A mechanism document is plain JSON, so content authors can write mechanisms without touching JavaScript:
+{
+  "title": "Nitrobenzene demo",
+  "showAtomNumbers": true,
+  "molecules": ["c1ccc(cc1)[N+](=O)[O-]", { "smiles": "CCO", "showAtomNumbers": false }],
+  "steps": [
+    { "arrow": "B2A", "molecule": 0, "path": "6-7", "caption": "The N=O pi bond moves onto oxygen" },
+    { "caption": "Concerted step", "arrows": [{ "arrow": "B2B", "molecule": 0, "path": "2-3-6" }] }
+  ]
+}
+Molecules:
+Each entry is either a SMILES string or an object with a smiles property and an optional showAtomNumbers flag.
+In place of smiles an object may hold the text of a Molfile in a molfile property, which keeps the author's layout
+(see molfileIO.js). Its atoms are numbered from 0 in the order of the Molfile's atom block, except that hydrogens
+without a map number always come after all other atoms.
+showAtomNumbers is true (or 'index') to label atoms with their indices, 'map' for their atom-map numbers or 'id' for
+the stable ids MoleculeInfo gives them.
+Hydrogens:
+Every hydrogen is an atom of its molecule, so steps can move protons. An optional top-level "hydrogens" picks which
+of them are drawn: 'all', 'hetero' (not those on carbon), 'mechanism' (those the steps move) or 'none'; the others
+are counted in their neighbour's label, as in OH or CH₃ (see MoleculeRenderer.setHydrogenMode).
+Stereochemistry:
+Configurations come from the molecules, written with @ and @@ in SMILES or with wedge bonds in a Molfile, and are
+drawn as wedges. A stereo center whose neighbours a step leaves alone keeps its configuration; one that swaps a
+neighbour within one step (an SN2 step, e.g. mechanisms/2-bromobutane-sn2.json) is inverted with an umbrella flip,
+and one that loses a neighbour (a carbocation) loses its configuration. "stereoLabels": true labels the centers
+(R) or (S).
+Steps:
+A step is either a single arrow (arrow, molecule, path) or an object with an arrows array for concerted moves.
+The molecule is an index into the molecules array and the path lists the atoms involved, e.g. '6-7' for a bond
+or '2-3-6' for a bond-to-bond move. Paths may also be given as arrays of atom indices.
+Atom-map numbers:
+Indices shift when the SMILES is edited, hydrogens are removed or molecules are merged and split. A path may
+instead name atoms by their atom-map numbers, ':3' for the atom written [C:3] in the SMILES (or mapped in a
+Molfile), e.g. ':1-:2' or [':1', ':2']; both kinds can be mixed. A hydrogen that a path names needs its own
+bracket, [H:4] (see MoleculeInfo.parseSmiles); the hydrogens counted in [CH3:1] carry no number. Map numbers
+stay with their atoms through every step, and Actions looks each one up in the arrow's molecule (the target
+molecule for the last atom of a cross-molecule arrow) right before the arrow is applied.
+'#12' names the atom with stable id 12 (see MoleculeInfo.atomIds) wherever it is: the molecule and targetMolecule of
+an arrow whose atoms are given by id are taken from where the atoms are when it plays. Template steps use them.
+Templates:
+A step may instead be { "template": "SN2", "atoms": { role: { "molecule": 0, "atom": ":1" }, ... } }, which Actions
+expands into the steps of a named mechanism (see mechanismTemplates.js) once the molecules are loaded.
+Annotations:
+Besides its caption a step may carry on-canvas annotations, shown with its arrows and kept until the next step
+starts (see Actions.showStepAnnotations). Atoms are given as in paths (an index, ':3' or '#12') in the molecule
+as it is before the step; the renderer follows them through the merges and splits of the step.
+  "highlights": [{ "molecule": 0, "atoms": [":2"], "bonds": [":2-:3"], "color": "orange", "style": "glow" }]
+      atoms and bonds glowing ("glow", the default) or drawn in the color ("color")
+  "labels": [{ "text": "nucleophile", "molecule": 1, "atom": ":4" }, { "text": "slow step", "x": 0.5, "y": 0.1 }]
+      free text next to an atom, or at a position given as fractions of the canvas width and height
+  "partialCharges": [{ "molecule": 0, "atom": ":2", "sign": "+" }]
+      a δ+ or δ− mark on an atom
+  "brackets": [{ "molecule": 0, "atom": ":2", "label": "tetrahedral intermediate" }]
+      square brackets, with a label such as "‡", around the molecule holding the atom (atom 0 when left out)
+      once the step has played, to mark the intermediate it makes
+Arrow types:
+B2A (bond pair to the second atom), B2B (bond pair into the next bond), A2B (lone pair of the first atom into the
+bond), A2A (lone pair of the first atom forms a bond to the second), B2ASingle (homolysis) and A2ASingle
+(radical recombination).
+An A2A, A2ASingle or B2B arrow may name a targetMolecule: the last atom of its path then belongs to that molecule, and
+the two molecules are merged into one when the step plays (a B2B arrow then lets a pi bond attack, e.g. an alkene
+taking the proton of HBr). Both indices refer to the merged molecule afterwards, whose atoms are renumbered: first
+the molecule's atoms other than plain hydrogens (see MoleculeInfo.isSimpleHydrogen), then the target's, then the
+plain hydrogens of both in the same order. Later steps are easier to write with atom-map numbers (':3') or atom
+ids ('#12'), which follow their atoms through the merge.
+When a B2A, B2B or B2ASingle arrow breaks a bond completely and the molecule falls apart, every fragment but the
+largest becomes a new molecule appended after the existing ones, with its atoms renumbered from 0. Later steps
+may name it by that index, so molecule indices are only range-checked when their step plays (ArrowValidator).
+Methods:
+Mechanism.parse(source): Accepts a JSON string or object, validates it and returns a normalized Mechanism.
+Mechanism.validate(document): Returns a list of human-readable problems found in a raw document.
+checkAtomIndices(atomCounts): Verifies every path against the atom counts of the loaded molecules.
+expandTemplates(expand): Replaces each template step by the steps it stands for.
+getAnnotationAtoms(step): Every atom a step's annotations name, as { molecule, atom }.
+insertStep(step, afterStep): Adds a step (e.g. one drawn with the mouse) after the first afterStep steps.
+toDocument(): The mechanism as a plain document that Mechanism.parse reads back.
+ */
+class Mechanism {
+  constructor(document) {
+    this.title = document.title || 'Untitled mechanism';
+    this.hydrogens = document.hydrogens || null; // Hydrogen display mode to start with (see MoleculeRenderer.setHydrogenMode)
+    this.stereoLabels = document.stereoLabels === true; // Label stereo centers R or S (see MoleculeRenderer.setStereoLabels)
+    this.molecules = document.molecules.map(entry => Mechanism.normalizeMolecule(entry, document.showAtomNumbers));
+    this.steps = document.steps.map(step => Mechanism.normalizeStep(step));
+  }
+
+  // Arrow types that can appear in a step, the number of atoms in their path and the curved
+  // arrows that describe them (source and sink as 'lonePair', 'atom' or 'bond' endpoints)
+  static get ARROW_TYPES() {
+    return {
+      // Bond electron pair moves onto the second atom
+      B2A: {
+        atoms: 2,
+        curves: ([a, b]) => [{ from: { kind: 'bond', atoms: [a, b] }, to: { kind: 'atom', atoms: [b] } }]
+      },
+      // Bond electron pair moves into the neighbouring bond, or forms a bond to an atom of targetMolecule
+      B2B: {
+        atoms: 3,
+        crossMolecule: true,
+        curves: ([a, b, c], arrow) => [{
+          from: { kind: 'bond', atoms: [a, b] },
+          to: { kind: 'bond', atoms: [b, c], molecules: [arrow.molecule, arrow.targetMolecule] }
+        }]
+      },
+      // Homolysis: one electron of the bond goes to each atom (two fishhook arrows)
+      B2ASingle: {
+        atoms: 2,
+        curves: ([a, b]) => [
+          { from: { kind: 'bond', atoms: [a, b] }, to: { kind: 'atom', atoms: [a] }, fishhook: true },
+          { from: { kind: 'bond', atoms: [a, b] }, to: { kind: 'atom', atoms: [b] }, fishhook: true }
+        ]
+      },
+      // Lone pair on the first atom moves into its bond with the second atom
+      A2B: {
+        atoms: 2,
+        curves: ([a, b]) => [{ from: { kind: 'lonePair', atoms: [a] }, to: { kind: 'bond', atoms: [a, b] } }]
+      },
+      // Lone pair on the first atom forms a bond to the second, which may sit in targetMolecule
+      A2A: {
+        atoms: 2,
+        crossMolecule: true,
+        curves: ([a, b], arrow) => [{ from: { kind: 'lonePair', atoms: [a] }, to: { kind: 'atom', atoms: [b], molecules: [arrow.targetMolecule] } }]
+      },
+      // Radical recombination: each atom sends its single electron into the new bond
+      A2ASingle: {
+        atoms: 2,
+        crossMolecule: true,
+        curves: ([a, b], arrow) => {
+          const bond = { kind: 'bond', atoms: [a, b], molecules: [arrow.molecule, arrow.targetMolecule] };
+          return [
+            { from: { kind: 'radical', atoms: [a] }, to: bond, fishhook: true },
+            { from: { kind: 'radical', atoms: [b], molecules: [arrow.targetMolecule] }, to: bond, fishhook: true }
+          ];
+        }
+      }
+    };
+  }
+
+  // Curved arrows for one normalized arrow whose path holds atom indices only (see Actions.resolveArrow).
+  // Endpoints list their atoms as { moleculeId, atomIndex }; atoms sit in the arrow's molecule unless the
+  // curve gives a per-atom molecules list.
+  static getCurves(arrow, moleculeIds) {
+    const atoms = Mechanism.parsePath(arrow.path);
+    const toRefs = endpoint => ({
+      kind: endpoint.kind,
+      atoms: endpoint.atoms.map((atomIndex, i) => ({
+        moleculeId: moleculeIds[(endpoint.molecules && endpoint.molecules[i]) ?? arrow.molecule],
+        atomIndex
+      }))
+    });
+    return Mechanism.ARROW_TYPES[arrow.arrow].curves(atoms, arrow).map(curve => ({
+      ...curve,
+      from: toRefs(curve.from),
+      to: toRefs(curve.to)
+    }));
+  }
+
+  // Index of the molecule the atom at position of a path of atomCount atoms belongs to
+  static getAtomMolecule(arrow, position, atomCount) {
+    return position === atomCount - 1 && arrow.targetMolecule !== undefined ? arrow.targetMolecule : arrow.molecule;
+  }
+
+  // True when the arrow joins two different molecules, which renumbers atoms from then on
+  static isCrossMolecule(arrow) {
+    return arrow.targetMolecule !== undefined && arrow.targetMolecule !== arrow.molecule;
+  }
+
+  static parse(source) {
+    let document = source;
+    if (typeof source === 'string') {
+      try {
+        document = JSON.parse(source);
+      } catch (error) {
+        throw new Error(`Mechanism is not valid JSON: ${error.message}`);
+      }
+    }
+
+    const problems = Mechanism.validate(document);
+    if (problems.length > 0) {
+      throw new Error(`Invalid mechanism:\n - ${problems.join('\n - ')}`);
+    }
+    return new Mechanism(document);
+  }
+
+  static validate(document) {
+    const problems = [];
+    if (!document || typeof document !== 'object') {
+      return ['Mechanism must be an object.'];
+    }
+
+    if (!Array.isArray(document.molecules) || document.molecules.length === 0) {
+      problems.push('"molecules" must be a non-empty array.');
+    } else {
+      document.molecules.forEach((entry, index) => {
+        const source = typeof entry === 'string' ? entry : entry && (entry.molfile || entry.smiles);
+        if (!source || typeof source !== 'string') {
+          problems.push(`Molecule ${index} needs a SMILES string or a Molfile.`);
+        } else if (entry.molfile && !MolfileIO.isMolfile(entry.molfile)) {
+          problems.push(`Molecule ${index}: the molfile property does not hold a Molfile (no "M  END" line).`);
+        }
+        if (entry && entry.showAtomNumbers !== undefined && !Mechanism.isAtomNumberMode(entry.showAtomNumbers)) {
+          problems.push(`Molecule ${index}: showAtomNumbers must be true, false, 'index', 'map' or 'id'.`);
+        }
+      });
+    }
+    if (document.showAtomNumbers !== undefined && !Mechanism.isAtomNumberMode(document.showAtomNumbers)) {
+      problems.push('"showAtomNumbers" must be true, false, \'index\', \'map\' or \'id\'.');
+    }
+    if (document.hydrogens !== undefined && !MoleculeRenderer.HYDROGEN_MODES.includes(document.hydrogens)) {
+      problems.push(`"hydrogens" must be one of ${MoleculeRenderer.HYDROGEN_MODES.map(mode => `'${mode}'`).join(', ')}.`);
+    }
+    if (document.stereoLabels !== undefined && typeof document.stereoLabels !== 'boolean') {
+      problems.push('"stereoLabels" must be true or false.');
+    }
+
+    if (!Array.isArray(document.steps)) {
+      problems.push('"steps" must be an array.');
+      return problems;
+    }
+
+    const moleculeCount = Array.isArray(document.molecules) ? document.molecules.length : 0;
+    document.steps.forEach((step, stepIndex) => {
+      if (!step || typeof step !== 'object') {
+        problems.push(`Step ${stepIndex + 1} must be an object.`);
+        return;
+      }
+      problems.push(...Mechanism.validateAnnotations(step).map(problem => `Step ${stepIndex + 1}: ${problem}`));
+      if (step.template !== undefined) {
+        problems.push(...MechanismTemplates.validateStep(step, moleculeCount).map(problem => `Step ${stepIndex + 1}: ${problem}`));
+        return;
+      }
+      const arrows = Array.isArray(step.arrows) ? step.arrows : [step];
+      if (arrows.length === 0) {
+        problems.push(`Step ${stepIndex + 1} has an empty arrows array.`);
+      }
+      arrows.forEach(arrow => {
+        problems.push(...Mechanism.validateArrow(arrow).map(problem => `Step ${stepIndex + 1}: ${problem}`));
+      });
+    });
+    return problems;
+  }
+
+  // Problems of one arrow that show without the molecules. Molecule indices are only checked to be indices: steps
+  // that split a molecule append its fragments as new molecules, so whether an index exists is only known when
+  // the step plays (ArrowValidator reports UNKNOWN_MOLECULE).
+  static validateArrow(arrow) {
+    if (!arrow || typeof arrow !== 'object' || Array.isArray(arrow)) {
+      return ['each arrow must be an object with arrow, molecule and path.'];
+    }
+    const problems = [];
+    const arrowType = Mechanism.ARROW_TYPES[arrow.arrow];
+    if (!arrowType) {
+      problems.push(`unknown arrow type "${arrow.arrow}" (expected one of ${Object.keys(Mechanism.ARROW_TYPES).join(', ')}).`);
+    }
+
+    if (!Mechanism.isMoleculeIndex(arrow.molecule)) {
+      problems.push(`molecule index ${arrow.molecule} must be a whole number of 0 or more.`);
+    }
+
+    if (arrow.targetMolecule !== undefined) {
+      if (arrowType && !arrowType.crossMolecule) {
+        problems.push(`${arrow.arrow} cannot take a targetMolecule.`);
+      } else if (!Mechanism.isMoleculeIndex(arrow.targetMolecule)) {
+        problems.push(`target molecule index ${arrow.targetMolecule} must be a whole number of 0 or more.`);
+      }
+    }
+
+    const atoms = Mechanism.parsePath(arrow.path);
+    if (!atoms || !atoms.every(atom => Mechanism.isAtom(atom))) {
+      problems.push(`path "${arrow.path}" must list non-negative atom indices, atom-map numbers or atom ids, e.g. "6-7", ":1-:2" or "#1-#2".`);
+    } else if (arrowType && atoms.length !== arrowType.atoms) {
+      problems.push(`${arrow.arrow} expects ${arrowType.atoms} atoms in its path but got "${arrow.path}".`);
+    } else {
+      const repeated = Mechanism.findRepeatedAtom(arrow, atoms);
+      if (repeated !== null) {
+        problems.push(`path "${Mechanism.formatPath(atoms)}" repeats atom ${Mechanism.formatPath([repeated])}.`);
+      }
+    }
+    return problems;
+  }
+
+  // The first atom a path names twice, or null. An atom id names the same atom in any molecule; an index or
+  // map number only within one, so the last atom of a cross-molecule arrow may share its number with another.
+  static findRepeatedAtom(arrow, atoms) {
+    const seen = new Set();
+    for (let position = 0; position < atoms.length; position++) {
+      const atom = atoms[position];
+      const name = Mechanism.formatPath([atom]);
+      const key = Mechanism.isIdToken(atom) ? name : `${Mechanism.getAtomMolecule(arrow, position, atoms.length)}:${name}`;
+      if (seen.has(key)) {
+        return atom;
+      }
+      seen.add(key);
+    }
+    return null;
+  }
+
+  // Annotation kinds a step may carry, with the problems of one entry (see the file comment)
+  static get ANNOTATIONS() {
+    const isText = value => typeof value === 'string' && value.trim() !== '';
+    return {
+      highlights: entry => [
+        ...(entry.atoms !== undefined && !Array.isArray(entry.atoms) ? ['atoms must be an array.'] : []),
+        ...(entry.bonds !== undefined && !Array.isArray(entry.bonds) ? ['bonds must be an array.'] : []),
+        ...(entry.style !== undefined && !['glow', 'color'].includes(entry.style) ? [`style must be 'glow' or 'color', not "${entry.style}".`] : []),
+        ...(entry.color !== undefined && !isText(entry.color) ? ['color must be a CSS color.'] : []),
+        ...((entry.atoms || []).length + (entry.bonds || []).length === 0 ? ['needs atoms or bonds.'] : [])
+      ],
+      labels: entry => [
+        ...(!isText(entry.text) ? ['needs a text.'] : []),
+        ...(entry.atom === undefined && !(Number.isFinite(entry.x) && Number.isFinite(entry.y)) ? ['needs an atom, or x and y between 0 and 1.'] : [])
+      ],
+      partialCharges: entry => (['+', '-'].includes(entry.sign) ? [] : [`sign must be '+' or '-', not "${entry.sign}".`]),
+      brackets: entry => (isText(entry.label) || entry.label === undefined ? [] : ['label must be a text.'])
+    };
+  }
+
+  // Problems of a step's annotations; like arrows, their molecule indices are looked up when the step plays
+  static validateAnnotations(step) {
+    const problems = [];
+    Object.keys(Mechanism.ANNOTATIONS).filter(kind => step[kind] !== undefined).forEach(kind => {
+      if (!Array.isArray(step[kind])) {
+        problems.push(`"${kind}" must be an array.`);
+        return;
+      }
+      step[kind].forEach((entry, index) => {
+        const name = `${kind}[${index}]`;
+        if (!entry || typeof entry !== 'object') {
+          problems.push(`${name} must be an object.`);
+          return;
+        }
+        problems.push(...Mechanism.ANNOTATIONS[kind](entry).map(problem => `${name}: ${problem}`));
+        // Atoms or bonds given as anything but a list were reported above and cannot be read
+        if ([entry.atoms, entry.bonds].some(list => kind === 'highlights' && list !== undefined && !Array.isArray(list))) {
+          return;
+        }
+        const atoms = Mechanism.getAnnotationAtoms({ [kind]: [entry] });
+        if (atoms.length > 0 && !Mechanism.isMoleculeIndex(entry.molecule)) {
+          problems.push(`${name}: molecule index ${entry.molecule} must be a whole number of 0 or more.`);
+        }
+        if (atoms.some(({ atom }) => !Mechanism.isAtom(atom))) {
+          problems.push(`${name}: atoms must be atom indices, atom-map numbers or atom ids, e.g. 6, ":1" or "#1".`);
+        }
+        if ((entry.bonds || []).some(bond => (Mechanism.parsePath(bond) || []).length !== 2)) {
+          problems.push(`${name}: bonds must name two atoms each, e.g. "1-2".`);
+        }
+      });
+    });
+    return problems;
+  }
+
+  // Every atom the annotations of a step name, as { molecule, atom } with atom parsed (see parseAtomToken);
+  // a bracket without an atom stands for atom 0 of its molecule
+  static getAnnotationAtoms(step) {
+    const atoms = [];
+    Object.keys(Mechanism.ANNOTATIONS).forEach(kind => (step[kind] || []).forEach(entry => {
+      const tokens = kind === 'highlights' ? entry.atoms || [] : (entry.atom !== undefined ? [entry.atom] : kind === 'brackets' ? [0] : []);
+      const bondAtoms = kind === 'highlights' ? (entry.bonds || []).flatMap(bond => Mechanism.parsePath(bond) || []) : [];
+      [...tokens.map(token => Mechanism.parseAtomToken(token)), ...bondAtoms].forEach(atom => atoms.push({ molecule: entry.molecule, atom }));
+    }));
+    return atoms;
+  }
+
+  // Copies of the annotations a step carries, only the kinds it has
+  static copyAnnotations(step) {
+    const annotations = {};
+    Object.keys(Mechanism.ANNOTATIONS).filter(kind => Array.isArray(step[kind])).forEach(kind => {
+      annotations[kind] = step[kind].map(entry => JSON.parse(JSON.stringify(entry)));
+    });
+    return annotations;
+  }
+
+  static isMoleculeIndex(index) {
+    return Number.isInteger(index) && index >= 0;
+  }
+
+  static isAtom(atom) {
+    if (Mechanism.isMapToken(atom)) {
+      return atom.mapNo > 0;
+    }
+    return Mechanism.isIdToken(atom) ? atom.atomId > 0 : Number.isInteger(atom) && atom >= 0;
+  }
+
+  // Turn '6-7' or [6, 7] into [6, 7], ':1-:2' or [':1', ':2'] into [{ mapNo: 1 }, { mapNo: 2 }] and '#4' into
+  // [{ atomId: 4 }]; returns null for anything else
+  static parsePath(path) {
+    if (Array.isArray(path)) {
+      return path.map(atom => Mechanism.parseAtomToken(atom));
+    }
+    if (typeof path === 'string' && path.trim() !== '') {
+      return path.split('-').map(part => Mechanism.parseAtomToken(part));
+    }
+    return null;
+  }
+
+  // An atom index, { mapNo } for an atom-map number written ':3', { atomId } for an atom id written '#12', or NaN
+  static parseAtomToken(token) {
+    const text = String(token).trim();
+    const mapped = text.match(/^:(\d+)$/);
+    if (mapped) {
+      return { mapNo: Number(mapped[1]) };
+    }
+    const id = text.match(/^#(\d+)$/);
+    if (id) {
+      return { atomId: Number(id[1]) };
+    }
+    return text === '' ? NaN : Number(text);
+  }
+
+  static isMapToken(atom) {
+    return typeof atom === 'object' && atom !== null && 'mapNo' in atom;
+  }
+
+  static isIdToken(atom) {
+    return typeof atom === 'object' && atom !== null && 'atomId' in atom;
+  }
+
+  // The path string of parsed atoms, e.g. ':1-7' or '#3-#4'
+  static formatPath(atoms) {
+    return atoms.map(atom => {
+      if (Mechanism.isMapToken(atom)) {
+        return `:${atom.mapNo}`;
+      }
+      return Mechanism.isIdToken(atom) ? `#${atom.atomId}` : atom;
+    }).join('-');
+  }
+
+  static isAtomNumberMode(value) {
+    return typeof value === 'boolean' || ['index', 'map', 'id'].includes(value);
+  }
+
+  // false, true (atom indices), 'map' or 'id' (see MoleculeRenderer.getAtomNumberLabel)
+  static normalizeAtomNumbers(value) {
+    return value === 'map' || value === 'id' ? value : Boolean(value);
+  }
+
+  static normalizeMolecule(entry, showAtomNumbers = false) {
+    if (typeof entry === 'string') {
+      return { smiles: entry, showAtomNumbers: Mechanism.normalizeAtomNumbers(showAtomNumbers) };
+    }
+    return {
+      ...(entry.molfile ? { molfile: entry.molfile } : { smiles: entry.smiles }),
+      showAtomNumbers: Mechanism.normalizeAtomNumbers(entry.showAtomNumbers !== undefined ? entry.showAtomNumbers : showAtomNumbers)
+    };
+  }
+
+  static normalizeStep(step) {
+    if (step.template !== undefined) {
+      return { caption: step.caption || '', template: step.template, atoms: step.atoms, ...Mechanism.copyAnnotations(step) };
+    }
+    const arrows = Array.isArray(step.arrows) ? step.arrows : [step];
+    return {
+      caption: step.caption || '',
+      arrows: arrows.map(arrow => ({
+        arrow: arrow.arrow,
+        molecule: arrow.molecule,
+        path: Mechanism.formatPath(Mechanism.parsePath(arrow.path)),
+        ...(arrow.targetMolecule !== undefined ? { targetMolecule: arrow.targetMolecule } : {})
+      })),
+      ...Mechanism.copyAnnotations(step)
+    };
+  }
+
+  // Only steps up to the first merge are checked: atom numbers change once molecules are merged.
+  // Splits are only known at play time, so they are not detected here. Atom-map numbers are looked up
+  // when their step is validated (see ArrowValidator.resolveAtom).
+  checkAtomIndices(atomCounts) {
+    const problems = [];
+    for (let stepIndex = 0; stepIndex < this.steps.length; stepIndex++) {
+      const arrows = this.steps[stepIndex].arrows;
+      arrows.forEach(arrow => {
+        const atoms = Mechanism.parsePath(arrow.path);
+        atoms.forEach((atom, position) => {
+          const molecule = Mechanism.getAtomMolecule(arrow, position, atoms.length);
+          if (Number.isInteger(atom) && atom >= atomCounts[molecule]) {
+            problems.push(`Step ${stepIndex + 1}: atom ${atom} does not exist in molecule ${molecule} (${atomCounts[molecule]} atoms).`);
+          }
+        });
+      });
+      if (arrows.some(arrow => Mechanism.isCrossMolecule(arrow))) {
+        break;
+      }
+    }
+    return problems;
+  }
+
+  // Replace each template step by the steps expand(step) returns for it (see Actions.instantiateTemplate);
+  // a caption written on the template step replaces the caption of its first step, which also takes its annotations
+  expandTemplates(expand) {
+    this.steps = this.steps.flatMap(step => {
+      if (step.template === undefined) {
+        return [step];
+      }
+      const [first, ...rest] = expand(step);
+      return [{ ...first, ...(step.caption ? { caption: step.caption } : {}), ...Mechanism.copyAnnotations(step) }, ...rest];
+    });
+  }
+
+  // Add a step after the first afterStep steps. The steps that followed are kept after it; whether they still fit
+  // is only known once they play (see Actions.validateStep).
+  insertStep(step, afterStep = this.steps.length) {
+    this.steps.splice(afterStep, 0, Mechanism.normalizeStep(step));
+  }
+
+  // Plain document of the mechanism as it is now; template steps are written out as the arrows they expanded to
+  toDocument() {
+    return {
+      title: this.title,
+      ...(this.hydrogens ? { hydrogens: this.hydrogens } : {}),
+      ...(this.stereoLabels ? { stereoLabels: true } : {}),
+      molecules: this.molecules.map(molecule => ({ ...molecule })),
+      steps: this.steps.map(step => ({
+        caption: step.caption,
+        arrows: step.arrows.map(arrow => ({ ...arrow })),
+        ...Mechanism.copyAnnotations(step)
+      }))
+    };
+  }
+
+  get stepCount() {
+    return this.steps.length;
+  }
+}
@@ -0,0 +1,320 @@
+/**
+ The mechanismTemplates.js file is a library of named mechanisms (SN2, SN1, E1, E2, electrophilic addition, nucleophilic
+acyl substitution, aldol addition and electrophilic aromatic substitution). Each one is written once as a sequence of
+arrows between roles such as nucleophile, carbon and leaving group, instead of again in every mechanism file.
+Using a template:
+A mechanism step may name a template and the atoms that play its roles, given like path atoms (an index or an
+atom-map number, see mechanism.js) in a molecule of the mechanism:
+  { "template": "SN2", "atoms": {
+      "nucleophile": { "molecule": 0, "atom": ":1" },
+      "carbon": { "molecule": 1, "atom": ":2" },
+      "leavingGroup": { "molecule": 1, "atom": ":3" } } }
+Actions.loadMechanism expands it into the template's steps right after the molecules are loaded; Actions.expandTemplate
+does the same for the molecules on screen. The atoms are looked up in the molecules as they were loaded and the steps
+refer to them by their stable ids ('#12'), so a template keeps working however merges and splits renumber them.
+A hydrogen role (e.g. betaHydrogen) may be left out; the first hydrogen bonded to its carbon is then taken. A hydrogen
+that is named, such as the electrophile of HBr, is written as an atom of its own: [H:3][Br:4].
+Requirements:
+Each template lists what its atoms must look like (element, lone pair, bond between two roles). They are checked when
+the template's first step is about to play, against the molecules as they are then, and a mismatch is reported like
+an arrow error (code TEMPLATE_MISMATCH), so a wrong atom is named before any electrons move.
+Arrow order:
+The arrows of a step play one after another. Where a proton moves, the arrow that breaks its old bond comes before the
+one that forms the new bond: OCL renumbers a hydrogen that holds two bonds, even for a moment (see MoleculeInfo).
+ */
+class MechanismTemplates {
+  // The templates by name. roles describe each atom, requires lists the checks of CHECKS with the roles they take,
+  // and steps turns role atoms into steps whose arrows are built with MechanismTemplates.arrow
+  static get LIBRARY() {
+    const arrow = MechanismTemplates.arrow;
+    return {
+      SN2: {
+        title: 'SN2 substitution',
+        roles: {
+          nucleophile: 'atom whose lone pair attacks the carbon',
+          carbon: 'carbon bonded to the leaving group',
+          leavingGroup: 'atom that leaves with the bond pair'
+        },
+        requires: [['lonePair', 'nucleophile'], ['element', 'carbon', 'C'], ['bond', 'carbon', 'leavingGroup']],
+        steps: ({ nucleophile, carbon, leavingGroup }) => [{
+          caption: 'The nucleophile attacks the carbon from the back side as the leaving group departs.',
+          arrows: [arrow('A2A', nucleophile, carbon), arrow('B2A', carbon, leavingGroup)]
+        }]
+      },
+      SN1: {
+        title: 'SN1 substitution',
+        roles: {
+          carbon: 'carbon that becomes the carbocation',
+          leavingGroup: 'atom that leaves with the bond pair',
+          nucleophile: 'atom whose lone pair captures the carbocation'
+        },
+        requires: [['element', 'carbon', 'C'], ['bond', 'carbon', 'leavingGroup'], ['lonePair', 'nucleophile']],
+        steps: ({ carbon, leavingGroup, nucleophile }) => [
+          { caption: 'The leaving group departs with the bond pair, leaving a carbocation.', arrows: [arrow('B2A', carbon, leavingGroup)] },
+          { caption: 'The nucleophile captures the carbocation.', arrows: [arrow('A2A', nucleophile, carbon)] }
+        ]
+      },
+      E1: {
+        title: 'E1 elimination',
+        roles: {
+          carbon: 'carbon bonded to the leaving group',
+          leavingGroup: 'atom that leaves with the bond pair',
+          betaCarbon: 'carbon next to it that loses a proton',
+          betaHydrogen: 'hydrogen on the beta carbon (optional)',
+          base: 'atom whose lone pair takes the proton'
+        },
+        requires: [
+          ['element', 'carbon', 'C'], ['bond', 'carbon', 'leavingGroup'], ['bond', 'carbon', 'betaCarbon'],
+          ['element', 'betaHydrogen', 'H'], ['bond', 'betaCarbon', 'betaHydrogen'], ['lonePair', 'base']
+        ],
+        steps: ({ carbon, leavingGroup, betaCarbon, betaHydrogen, base }) => [
+          { caption: 'The leaving group departs with the bond pair, leaving a carbocation.', arrows: [arrow('B2A', carbon, leavingGroup)] },
+          {
+            caption: 'The base removes a beta proton and the C-H bond pair becomes the new pi bond.',
+            arrows: [arrow('B2B', betaHydrogen, betaCarbon, carbon), arrow('A2A', base, betaHydrogen)]
+          }
+        ]
+      },
+      E2: {
+        title: 'E2 elimination',
+        roles: {
+          base: 'atom whose lone pair takes the proton',
+          betaHydrogen: 'hydrogen on the beta carbon (optional)',
+          betaCarbon: 'carbon that loses the proton',
+          carbon: 'carbon bonded to the leaving group',
+          leavingGroup: 'atom that leaves with the bond pair'
+        },
+        requires: [
+          ['lonePair', 'base'], ['element', 'betaHydrogen', 'H'], ['bond', 'betaCarbon', 'betaHydrogen'],
+          ['bond', 'betaCarbon', 'carbon'], ['element', 'carbon', 'C'], ['bond', 'carbon', 'leavingGroup']
+        ],
+        steps: ({ base, betaHydrogen, betaCarbon, carbon, leavingGroup }) => [{
+          caption: 'The base removes a beta proton, the C-H bond pair becomes the pi bond and the leaving group departs.',
+          arrows: [arrow('B2B', betaHydrogen, betaCarbon, carbon), arrow('B2A', carbon, leavingGroup), arrow('A2A', base, betaHydrogen)]
+        }]
+      },
+      ElectrophilicAddition: {
+        title: 'Electrophilic addition to an alkene',
+        roles: {
+          carbon: 'alkene carbon that bonds to the electrophile (the less substituted one)',
+          otherCarbon: 'alkene carbon that becomes the carbocation',
+          electrophile: 'atom the pi bond attacks, e.g. the H of HBr',
+          nucleophile: 'atom bonded to the electrophile that leaves with the pair and then attacks'
+        },
+        requires: [
+          ['element', 'carbon', 'C'], ['element', 'otherCarbon', 'C'], ['bond', 'carbon', 'otherCarbon', 2],
+          ['bond', 'electrophile', 'nucleophile']
+        ],
+        steps: ({ carbon, otherCarbon, electrophile, nucleophile }) => [
+          {
+            caption: 'The pi bond attacks the electrophile, which lets go of its partner.',
+            arrows: [arrow('B2A', electrophile, nucleophile), arrow('B2B', otherCarbon, carbon, electrophile)]
+          },
+          { caption: 'The nucleophile captures the carbocation.', arrows: [arrow('A2A', nucleophile, otherCarbon)] }
+        ]
+      },
+      AcylSubstitution: {
+        title: 'Nucleophilic acyl substitution',
+        roles: {
+          nucleophile: 'atom whose lone pair attacks the carbonyl carbon',
+          carbonylCarbon: 'carbonyl carbon',
+          carbonylOxygen: 'carbonyl oxygen',
+          leavingGroup: 'atom on the carbonyl carbon that leaves'
+        },
+        requires: [
+          ['lonePair', 'nucleophile'], ['element', 'carbonylCarbon', 'C'], ['element', 'carbonylOxygen', 'O'],
+          ['bond', 'carbonylCarbon', 'carbonylOxygen', 2], ['bond', 'carbonylCarbon', 'leavingGroup']
+        ],
+        steps: ({ nucleophile, carbonylCarbon, carbonylOxygen, leavingGroup }) => [
+          {
+            caption: 'The nucleophile adds to the carbonyl carbon; the pi bond moves onto oxygen (tetrahedral intermediate).',
+            arrows: [arrow('A2A', nucleophile, carbonylCarbon), arrow('B2A', carbonylCarbon, carbonylOxygen)]
+          },
+          {
+            caption: 'The oxygen lone pair reforms the carbonyl and the leaving group departs.',
+            arrows: [arrow('A2B', carbonylOxygen, carbonylCarbon), arrow('B2A', carbonylCarbon, leavingGroup)]
+          }
+        ]
+      },
+      AldolAddition: {
+        title: 'Aldol addition',
+        roles: {
+          enolateOxygen: 'negatively charged oxygen of the enolate',
+          enolCarbon: 'enolate carbon bonded to that oxygen',
+          alphaCarbon: 'alpha carbon, double bonded to the enol carbon',
+          carbonylCarbon: 'carbonyl carbon of the other molecule',
+          carbonylOxygen: 'its carbonyl oxygen'
+        },
+        requires: [
+          ['lonePair', 'enolateOxygen'], ['bond', 'enolateOxygen', 'enolCarbon'], ['bond', 'enolCarbon', 'alphaCarbon', 2],
+          ['element', 'carbonylCarbon', 'C'], ['bond', 'carbonylCarbon', 'carbonylOxygen', 2]
+        ],
+        steps: ({ enolateOxygen, enolCarbon, alphaCarbon, carbonylCarbon, carbonylOxygen }) => [{
+          caption: 'The enolate attacks the carbonyl carbon through its alpha carbon, giving an alkoxide.',
+          arrows: [
+            arrow('A2B', enolateOxygen, enolCarbon),
+            arrow('B2B', enolCarbon, alphaCarbon, carbonylCarbon),
+            arrow('B2A', carbonylCarbon, carbonylOxygen)
+          ]
+        }]
+      },
+      ElectrophilicAromaticSubstitution: {
+        title: 'Electrophilic aromatic substitution',
+        roles: {
+          ringCarbon: 'ring carbon that bonds to the electrophile',
+          ringPartner: 'ring carbon double bonded to it',
+          electrophile: 'atom the ring attacks, e.g. the N of NO2+',
+          electrophileLeaving: 'atom bonded to the electrophile that takes a bond pair, e.g. an O of NO2+',
+          hydrogen: 'hydrogen on the ring carbon (optional)',
+          base: 'atom whose lone pair removes that hydrogen'
+        },
+        requires: [
+          ['element', 'ringCarbon', 'C'], ['bond', 'ringCarbon', 'ringPartner', 2], ['bond', 'electrophile', 'electrophileLeaving'],
+          ['element', 'hydrogen', 'H'], ['bond', 'ringCarbon', 'hydrogen'], ['lonePair', 'base']
+        ],
+        steps: ({ ringCarbon, ringPartner, electrophile, electrophileLeaving, hydrogen, base }) => [
+          {
+            caption: 'A ring pi bond attacks the electrophile, giving the arenium ion (sigma complex).',
+            arrows: [arrow('B2B', ringPartner, ringCarbon, electrophile), arrow('B2A', electrophile, electrophileLeaving)]
+          },
+          {
+            caption: 'The base removes the proton and the C-H bond pair restores the aromatic ring.',
+            arrows: [arrow('B2B', hydrogen, ringCarbon, ringPartner), arrow('A2A', base, hydrogen)]
+          }
+        ]
+      }
+    };
+  }
+
+  // Requirement checks; each gets located atoms ({ role, moleculeIndex, atomIndex, moleculeInfo }) and returns
+  // what is wrong, or null
+  static get CHECKS() {
+    return {
+      element: (atom, ...symbols) => {
+        const symbol = atom.moleculeInfo.getAtomSymbol(atom.atomIndex);
+        return symbols.includes(symbol) ? null : `must be ${symbols.join(' or ')}, not ${symbol}.`;
+      },
+      lonePair: atom => (atom.moleculeInfo.getLonePairs(atom.atomIndex) > 0 ? null : 'has no lone pair.'),
+      bond: (atom, other, order = 1) => {
+        const bondOrder = atom.moleculeInfo === other.moleculeInfo ? atom.moleculeInfo.getBondOrder(atom.atomIndex, other.atomIndex) : 0;
+        if (bondOrder >= order) {
+          return null;
+        }
+        const wanted = order === 2 ? 'a double bond' : 'a bond';
+        return `needs ${wanted} to the ${other.role} (${MechanismTemplates.describeAtom(other)}).`;
+      }
+    };
+  }
+
+  static names() {
+    return Object.keys(MechanismTemplates.LIBRARY);
+  }
+
+  static get(name) {
+    const template = MechanismTemplates.LIBRARY[name];
+    if (!template) {
+      throw new Error(`Unknown mechanism template "${name}" (expected one of ${MechanismTemplates.names().join(', ')}).`);
+    }
+    return template;
+  }
+
+  // Roles that may be left out: hydrogens, which default to one on the atom they are checked to be bonded to
+  static getDefaultHost(template, role) {
+    const isHydrogen = template.requires.some(([check, atom, symbol]) => check === 'element' && atom === role && symbol === 'H');
+    const bond = template.requires.find(([check, a, b]) => check === 'bond' && (a === role || b === role));
+    return isHydrogen && bond ? (bond[1] === role ? bond[2] : bond[1]) : null;
+  }
+
+  // Problems with the atoms object of a template step in a mechanism document
+  static validateStep(step, moleculeCount) {
+    if (!MechanismTemplates.LIBRARY[step.template]) {
+      return [`unknown template "${step.template}" (expected one of ${MechanismTemplates.names().join(', ')}).`];
+    }
+    const template = MechanismTemplates.get(step.template);
+    if (!step.atoms || typeof step.atoms !== 'object') {
+      return [`template ${step.template} needs an atoms object naming ${Object.keys(template.roles).join(', ')}.`];
+    }
+    const problems = [];
+    Object.keys(step.atoms).filter(role => !template.roles[role]).forEach(role => {
+      problems.push(`template ${step.template} has no role "${role}" (roles: ${Object.keys(template.roles).join(', ')}).`);
+    });
+    Object.keys(template.roles).forEach(role => {
+      const atom = step.atoms[role];
+      if (atom === undefined) {
+        if (!MechanismTemplates.getDefaultHost(template, role)) {
+          problems.push(`template ${step.template} needs the ${role} (${template.roles[role]}).`);
+        }
+        return;
+      }
+      const token = atom && Mechanism.parseAtomToken(atom.atom);
+      if (!atom || !Number.isInteger(atom.molecule) || atom.molecule < 0 || atom.molecule >= moleculeCount) {
+        problems.push(`the ${role} of template ${step.template} needs a molecule index from 0 to ${moleculeCount - 1}.`);
+      } else if (Mechanism.isMapToken(token) ? token.mapNo <= 0 : !(Number.isInteger(token) && token >= 0)) {
+        problems.push(`the ${role} of template ${step.template} needs an atom index or atom-map number, e.g. 3 or ":3".`);
+      }
+    });
+    return problems;
+  }
+
+  // Normalized steps of a template whose roles are played by the given atoms, { role: { moleculeIndex, atomId } };
+  // the first step carries { name, atoms } (atoms as ids) so the requirements can be checked when it plays
+  static expand(name, atoms) {
+    const template = MechanismTemplates.get(name);
+    const steps = template.steps(atoms);
+    const atomIds = {};
+    Object.keys(atoms).forEach(role => {
+      atomIds[role] = atoms[role].atomId;
+    });
+    return steps.map((step, index) => ({
+      caption: step.caption,
+      arrows: step.arrows,
+      ...(index === 0 ? { template: { name, atoms: atomIds } } : {})
+    }));
+  }
+
+  // An arrow between role atoms; atoms are named by stable id, and the molecules are where they were expanded
+  // (Actions.locateArrow finds them again when the arrow plays)
+  static arrow(type, ...atoms) {
+    const first = atoms[0].moleculeIndex;
+    const last = atoms[atoms.length - 1].moleculeIndex;
+    return {
+      arrow: type,
+      molecule: first,
+      path: Mechanism.formatPath(atoms.map(atom => ({ atomId: atom.atomId }))),
+      ...(Mechanism.ARROW_TYPES[type].crossMolecule && last !== first ? { targetMolecule: last } : {})
+    };
+  }
+
+  // Requirement problems of a template, locate(role) giving { moleculeIndex, atomIndex, moleculeInfo } or null
+  static check(name, locate) {
+    const template = MechanismTemplates.get(name);
+    const located = {};
+    const problems = [];
+    Object.keys(template.roles).forEach(role => {
+      const atom = locate(role);
+      if (atom) {
+        located[role] = { ...atom, role };
+      } else {
+        problems.push({ role, message: `${template.title}: the ${role} is no longer in the scene.` });
+      }
+    });
+    template.requires.forEach(([check, ...parameters]) => {
+      const roles = parameters.filter(parameter => template.roles[parameter]);
+      if (roles.some(role => !located[role])) {
+        return;
+      }
+      const args = parameters.map(parameter => located[parameter] || parameter);
+      const problem = MechanismTemplates.CHECKS[check](...args);
+      if (problem) {
+        const atom = located[roles[0]];
+        problems.push({ role: atom.role, atom, message: `${template.title}: the ${atom.role} (${MechanismTemplates.describeAtom(atom)}) ${problem}` });
+      }
+    });
+    return problems;
+  }
+
+  // 'atom 3 (C) of molecule 1'
+  static describeAtom(atom) {
+    return `atom ${atom.atomIndex} (${atom.moleculeInfo.getAtomSymbol(atom.atomIndex)}) of molecule ${atom.moleculeIndex}`;
+  }
+}
@@ -1,17 +1,23 @@
 /*
  The MoleculeInfo class in moleculeInfo.js is designed to store and manage information about a molecule. Here's a breakdown of the information it handles:
 Molecule Object:
-The class stores a molecule object initialized from a SMILES string using the OpenChemLib library. This object is used to access various properties and methods related to the molecule.
+The class stores a molecule object initialized from a SMILES string or a Molfile using the OpenChemLib library. This object is used to access various properties and methods related to the molecule.
 Lone Pairs:
-The class maintains a dictionary (lonePairs) to store the number of lone pairs for each atom in the molecule. It calculates these based on the atom type and formal charge.
-Default Lone Pairs:
-A dictionary (defaultLonePairs) is defined to store the typical number of lone pairs for common atom types like Oxygen and Nitrogen.
+The class owns an ElectronLedger (ledger) holding the charge, lone pairs and single electrons of each atom. It fills it from the atom type, bonds and formal charge when the molecule is parsed; after that only ledger.apply() changes them (see electronLedger.js).
+Valence Electrons:
+The number of valence electrons of each element comes from PeriodicTable (see periodicTable.js), so sulfur, phosphorus, boron, silicon, selenium and main-group metals get their lone pairs too.
 4. Coordinates:
-The class retrieves 3D coordinates for each atom in the molecule, which can be used for rendering or further analysis.
+The class retrieves 3D coordinates for each atom in the molecule, which can be used for rendering or further analysis. A molecule read from a Molfile keeps its drawn 2D layout, and toMolfile() writes the current state back out with its charges and radicals.
 Bond Types:
 It extracts information about the bonds in the molecule, including the atoms involved and the bond order (single, double, triple, etc.).
+Aromatic Rings:
+Electron pushing needs whole bonds, so aromatic systems are kept in one Kekulé structure: OCL already parses aromatic SMILES into alternating single and double bonds, and kekulize() does the same for bonds it leaves delocalized (e.g. aromatic bonds read from a file) before any step runs. Whether a ring is aromatic is not stored; getAromaticRings() asks OCL again whenever the molecule changed, so a step that breaks up the alternating pattern of a ring also takes its aromaticity away. getRings() lists every ring, aromatic or not, e.g. for drawing ring double bonds on the inside.
+Stereochemistry:
+Coordinates are 2D, so configuration lives in the drawing the way it does on paper: wedge ('up', toward the viewer) and hashed wedge ('down') bonds whose narrow end is the stereo center, as OCL reads them from @/@@ in SMILES or from the wedges of a Molfile. They are kept in snapshots, merges and splits. getStereoCenters() asks OCL for the centers the drawing defines and their CIP labels whenever the molecule changed; getHandedness() and setHandedness() read and draw the configuration of a center relative to its neighbours, which is how Actions carries centers through a step (see Actions.updateStereo).
 Formal Charges:
 The class stores the formal charge for each atom, which is used to adjust lone pairs and can be displayed in visualizations.
+Atom Identity:
+Atom indices are OCL's and change when hydrogens are removed, when a bond to a hydrogen is broken (OCL moves the freed hydrogen, see sortHydrogens) or molecules are split and merged. Every atom therefore also carries a stable id (atomIds, given out when the molecule is parsed and kept in every snapshot), and the atom-map number it was written with, [C:3] in SMILES or the mapping column of a Molfile, stays on the atom as OCL's map number. getAtomId(), findAtomById() and findAtomsByMapNo() translate between them and the current indices.
 Methods:
 calculateLonePairs(): Calculates and stores the number of lone pairs for each atom.
 getMoleculeInfo(smiles, showImplicitHydrogens): Initializes the molecule from a SMILES string and retrieves various properties like coordinates, bond types, and formal charges.
@@ -23,12 +29,17 @@ This class is essential for managing and providing detailed information about th
 class MoleculeInfo {
   constructor() {
     this.molecule = null; // Initialize molecule as null
-    this.lonePairs = {}; // Dictionary to store lone pair information
-    this.valenceElectrons = {
-      'H': 1, 'C': 4, 'N': 5, 'O': 6, 'F': 7, 'Cl': 7, 'Br': 7, 'I': 7
-      // Add more elements as needed
-    };
-    this.singleElectrons = {}; // New property to track single electrons
+    this.ledger = new ElectronLedger(this); // Charges, lone pairs and single electrons (see electronLedger.js)
+    this.explicitHydrogens = true; // Every hydrogen is an atom of the molecule (see initializeMolecule)
+    this.version = 0; // Counts changes to the structure and the ledger, so drawings can be cached (see markChanged)
+    this.aromaticRings = null; // Rings, and those found aromatic, at version aromaticRings.version (see getRings)
+    this.stereoCenters = null; // Stereo centers perceived at version stereoCenters.version (see getStereoCenters)
+    this.atomIds = []; // Stable id of each atom, by atom index (see Atom Identity above)
+  }
+
+  // Record that atoms, bonds or electrons changed; the renderer redraws a molecule only when its version moved
+  markChanged() {
+    this.version++;
   }
 
   // Get the symbol of an atom by its index
@@ -39,24 +50,76 @@ class MoleculeInfo {
     return this.molecule.getAtomLabel(index);
   }
 
-  // Retrieve molecule information from a SMILES string
-  async initializeMolecule(smiles, showImplicitHydrogens = true) {
-    if (!smiles || typeof smiles !== 'string') {
-      throw new Error('Invalid SMILES string.');
+  // Retrieve molecule information from a SMILES string or a Molfile (V2000 or V3000, see molfileIO.js). A
+  // Molfile keeps the layout it was drawn with, scaled to OCL's bond length (see normalizeCoordinates).
+  // Atoms get the ids firstAtomId, firstAtomId + 1, ... in parse order, before any hydrogen is removed.
+  async initializeMolecule(source, showImplicitHydrogens = true, firstAtomId = 1) {
+    if (!source || typeof source !== 'string') {
+      throw new Error('Invalid SMILES string or Molfile.');
     }
 
-    this.molecule = OCL.Molecule.fromSmiles(smiles);
+    const isMolfile = MolfileIO.isMolfile(source);
+    this.molecule = isMolfile ? OCL.Molecule.fromMolfile(source) : MoleculeInfo.parseSmiles(source);
     if (!this.molecule) {
       throw new Error('Failed to initialize molecule.');
     }
+    if (isMolfile) {
+      this.normalizeCoordinates();
+    }
 
+    if (!this.kekulize()) {
+      console.error(`No alternating single and double bonds fit the aromatic system of ${isMolfile ? 'the Molfile' : source}; it is drawn as it is.`);
+    }
     this.molecule.addImplicitHydrogens();
+    this.molecule.ensureHelperArrays(OCL.Molecule.cHelperNeighbours);
+    this.atomIds = Array.from({ length: this.molecule.getAllAtoms() }, (_, i) => firstAtomId + i);
     if (!showImplicitHydrogens) {
       this.removeImplicitHydrogens();
     }
+    this.explicitHydrogens = showImplicitHydrogens;
     this.molecule.ensureHelperArrays(OCL.Molecule.cHelperRings);
     this.molecule.setFragment(false);
     this.initializeLonePairs();  // Add this line
+    this.markChanged();
+    this.dropStrayStereoBonds();
+  }
+
+  // OCL's SMILES parser turns every [H] into an implicit hydrogen, map number and all, so a hydrogen a mechanism
+  // names as [H:3] would vanish. Such hydrogens are parsed as deuterium, which OCL keeps as an atom, and given
+  // back their natural mass.
+  static parseSmiles(smiles) {
+    const mapped = new Set();
+    const marked = smiles.replace(/\[H([+-]\d*)?:(\d+)\]/g, (token, charge = '', mapNo) => {
+      mapped.add(Number(mapNo));
+      return `[2H${charge}:${mapNo}]`;
+    });
+    const molecule = OCL.Molecule.fromSmiles(marked);
+    for (let i = 0; i < molecule.getAllAtoms(); i++) {
+      if (molecule.getAtomicNo(i) === 1 && molecule.getAtomMass(i) === 2 && mapped.has(molecule.getAtomMapNo(i))) {
+        molecule.setAtomMass(i, 0);
+      }
+    }
+    return molecule;
+  }
+
+  // Scale drawn coordinates to an average bond length of 1 and move them next to the origin, where OCL puts the
+  // coordinates it invents for SMILES, so the renderer lays out both alike. Molfiles without a layout (every
+  // atom at the same point) get coordinates invented.
+  normalizeCoordinates() {
+    const molecule = this.molecule;
+    const bondLength = this.getAverageBondLength();
+    if (molecule.getAllBonds() > 0 && !(bondLength > 0.01)) {
+      molecule.inventCoordinates();
+      return;
+    }
+    molecule.scaleCoords(1 / bondLength);
+    const xs = [];
+    const ys = [];
+    for (let i = 0; i < molecule.getAllAtoms(); i++) {
+      xs.push(molecule.getAtomX(i));
+      ys.push(molecule.getAtomY(i));
+    }
+    this.translateAtoms({ x: -Math.min(...xs), y: -(Math.min(...ys) + Math.max(...ys)) / 2 });
   }
 
   removeImplicitHydrogens() {
@@ -68,7 +131,8 @@ class MoleculeInfo {
         const connectedAtoms = this.molecule.getAllConnAtoms(i);
         for (let j = 0; j < connectedAtoms; j++) {
           const neighborIndex = this.molecule.getConnAtom(i, j);
-          if (this.molecule.getAtomLabel(neighborIndex) === 'H') {
+          // A mapped hydrogen is named by a mechanism, so it stays
+          if (this.molecule.getAtomLabel(neighborIndex) === 'H' && this.molecule.getAtomMapNo(neighborIndex) === 0) {
             hydrogensToRemove.add(neighborIndex);
           }
         }
@@ -78,6 +142,7 @@ class MoleculeInfo {
     // Remove hydrogens after collecting all indices to avoid index shifting issues
     Array.from(hydrogensToRemove).sort((a, b) => b - a).forEach(hIndex => {
       this.molecule.deleteAtom(hIndex);
+      this.atomIds.splice(hIndex, 1);
     });
   }
 
@@ -120,16 +185,171 @@ class MoleculeInfo {
         default:
           bondType = 'other';
       }
-      bondTypes.push({ atom1, atom2, type: bondType });
+      bondTypes.push({ atom1, atom2, type: bondType, stereo: this.getBondStereo(i) });
     }
     return bondTypes;
   }
 
+  // 'up' for a wedge bond, 'down' for a hashed wedge, null for any other bond; the narrow end of a wedge is its
+  // first atom (getBondAtom(0, bond)), the stereo center it describes
+  getBondStereo(bondIndex) {
+    const bondType = this.molecule.getBondType(bondIndex);
+    if (bondType === OCL.Molecule.cBondTypeUp) {
+      return 'up';
+    }
+    return bondType === OCL.Molecule.cBondTypeDown ? 'down' : null;
+  }
+
+  // Draw the single bond between atom and neighbour as a wedge starting at atom ('up' or 'down'), or as a plain
+  // bond (null). Returns false when there is no such single bond.
+  setBondStereo(atom, neighbour, stereo) {
+    const bondIndex = this.findBondIndex(atom, neighbour);
+    if (bondIndex === -1 || this.molecule.getBondOrder(bondIndex) !== 1) {
+      return false;
+    }
+    if (stereo && this.molecule.getBondAtom(0, bondIndex) !== atom) {
+      this.molecule.setBondAtom(0, bondIndex, atom);
+      this.molecule.setBondAtom(1, bondIndex, neighbour);
+    }
+    const bondTypes = { up: OCL.Molecule.cBondTypeUp, down: OCL.Molecule.cBondTypeDown };
+    this.molecule.setBondType(bondIndex, bondTypes[stereo] || OCL.Molecule.cBondTypeSingle);
+    this.markChanged();
+    return true;
+  }
+
+  // Make every wedge that starts at atom a plain bond
+  clearStereoBonds(atom) {
+    for (let i = 0; i < this.molecule.getAllBonds(); i++) {
+      if (this.molecule.getBondAtom(0, i) === atom && this.getBondStereo(i)) {
+        this.setBondStereo(atom, this.molecule.getBondAtom(1, i), null);
+      }
+    }
+  }
+
+  // OCL also wedges a hydrogen of CH2 groups when it adds hydrogens; only wedges that define a center are kept
+  dropStrayStereoBonds() {
+    const centers = new Set(this.getStereoCenters().map(center => center.atom));
+    for (let atom = 0; atom < this.molecule.getAllAtoms(); atom++) {
+      if (!centers.has(atom)) {
+        this.clearStereoBonds(atom);
+      }
+    }
+  }
+
+  // Stereo centers whose configuration the drawing defines, as { atom, cip } with cip 'R', 'S' or null when
+  // OCL cannot rank the neighbours. Perceived again whenever the molecule changed.
+  getStereoCenters() {
+    if (this.stereoCenters && this.stereoCenters.version === this.version) {
+      return this.stereoCenters.centers;
+    }
+    this.molecule.ensureHelperArrays(OCL.Molecule.cHelperCIP);
+    const centers = [];
+    for (let atom = 0; atom < this.molecule.getAllAtoms(); atom++) {
+      const parity = this.molecule.getAtomParity(atom);
+      if (this.molecule.isAtomStereoCenter(atom) && (parity === OCL.Molecule.cAtomParity1 || parity === OCL.Molecule.cAtomParity2)) {
+        const cipParity = this.molecule.getAtomCIPParity(atom);
+        const cip = { [OCL.Molecule.cAtomCIPParityRorM]: 'R', [OCL.Molecule.cAtomCIPParitySorP]: 'S' }[cipParity] || null;
+        centers.push({ atom, cip });
+      }
+    }
+    this.stereoCenters = { version: this.version, centers };
+    return centers;
+  }
+
+  // Indices of the atoms bonded to atom
+  getNeighbours(atom) {
+    this.molecule.ensureHelperArrays(OCL.Molecule.cHelperNeighbours);
+    return Array.from({ length: this.molecule.getAllConnAtoms(atom) }, (_, i) => this.molecule.getConnAtom(atom, i));
+  }
+
+  // Atoms reached from neighbour without passing through atom, neighbour included, or null when they lead back
+  // to atom (atom and neighbour share a ring)
+  getBranch(atom, neighbour) {
+    const branch = [neighbour];
+    const seen = new Set([atom, neighbour]);
+    for (let i = 0; i < branch.length; i++) {
+      for (const next of this.getNeighbours(branch[i])) {
+        if (next === atom && branch[i] !== neighbour) {
+          return null;
+        }
+        if (!seen.has(next)) {
+          seen.add(next);
+          branch.push(next);
+        }
+      }
+    }
+    return branch;
+  }
+
+  // +1 or -1 for the sense in which the neighbours of atom, in the order given, are arranged in space as drawn: a
+  // wedge starting at atom lifts its neighbour toward the viewer ('up') or away ('down'), other neighbours lie in
+  // the plane. Three neighbours get a fourth, implicit one opposite them. 0 when the drawing leaves it open.
+  getHandedness(atom, neighbours) {
+    const x = this.molecule.getAtomX(atom);
+    const y = this.molecule.getAtomY(atom);
+    const points = neighbours.map(neighbour => {
+      const bondIndex = this.findBondIndex(atom, neighbour);
+      const stereo = bondIndex !== -1 && this.molecule.getBondAtom(0, bondIndex) === atom ? this.getBondStereo(bondIndex) : null;
+      const dx = this.molecule.getAtomX(neighbour) - x;
+      const dy = this.molecule.getAtomY(neighbour) - y;
+      const length = Math.hypot(dx, dy) || 1;
+      return { x: dx / length, y: dy / length, z: { up: 1, down: -1 }[stereo] || 0 };
+    });
+    if (points.length === 3) {
+      points.push({
+        x: -points.reduce((sum, point) => sum + point.x, 0),
+        y: -points.reduce((sum, point) => sum + point.y, 0),
+        z: -points.reduce((sum, point) => sum + point.z, 0)
+      });
+    }
+    if (points.length !== 4 || points.every(point => point.z === 0)) {
+      return 0;
+    }
+    const [a, b, c, d] = points;
+    const u = { x: b.x - a.x, y: b.y - a.y, z: b.z - a.z };
+    const v = { x: c.x - a.x, y: c.y - a.y, z: c.z - a.z };
+    const w = { x: d.x - a.x, y: d.y - a.y, z: d.z - a.z };
+    const volume = u.x * (v.y * w.z - v.z * w.y) - u.y * (v.x * w.z - v.z * w.x) + u.z * (v.x * w.y - v.y * w.x);
+    return Math.abs(volume) < 1e-6 ? 0 : Math.sign(volume);
+  }
+
+  // Redraw the wedges of atom so that getHandedness(atom, neighbours) is sign, with one wedge to a neighbour
+  // outside rings, preferably a heavy atom so the wedge stays visible when hydrogens are not drawn. Returns
+  // false when no single wedge does it (the center is then drawn without wedges).
+  setHandedness(atom, neighbours, sign) {
+    this.clearStereoBonds(atom);
+    this.molecule.ensureHelperArrays(OCL.Molecule.cHelperRings);
+    const rank = neighbour => {
+      if (this.molecule.isRingBond(this.findBondIndex(atom, neighbour))) {
+        return 2;
+      }
+      return this.molecule.getAtomicNo(neighbour) === 1 ? 1 : 0;
+    };
+    const candidates = neighbours.slice().sort((a, b) => rank(a) - rank(b));
+    for (const neighbour of candidates) {
+      for (const stereo of ['up', 'down']) {
+        if (this.setBondStereo(atom, neighbour, stereo) && this.getHandedness(atom, neighbours) === sign) {
+          return true;
+        }
+      }
+      this.setBondStereo(atom, neighbour, null);
+    }
+    return false;
+  }
+
+  // Move atoms to new positions in molecule units, given as a map of atom index to { x, y }
+  moveAtoms(positions) {
+    positions.forEach((position, atom) => {
+      this.molecule.setAtomX(atom, position.x);
+      this.molecule.setAtomY(atom, position.y);
+    });
+    this.markChanged();
+  }
+
   getFormalCharges() {
     const formalCharges = [];
     for (let i = 0; i < this.molecule.getAllAtoms(); i++) {
-      const charge = this.molecule.getAtomCharge(i);
-      formalCharges.push(charge);
+      formalCharges.push(this.getFormalCharge(i));
     }
     return formalCharges;
   }
@@ -141,7 +361,7 @@ class MoleculeInfo {
 
   // Get lone pairs for a specific atom
   getLonePairs(atomIndex) {
-    return this.lonePairs[atomIndex] || 0;
+    return this.ledger.getLonePairs(atomIndex);
   }
 
   getBondOrder(atom1, atom2) {
@@ -149,11 +369,17 @@ class MoleculeInfo {
     return bondIndex !== -1 ? this.molecule.getBondOrder(bondIndex) : 0;
   }
 
+  // Creates the bond when the atoms are not bonded yet (e.g. a lone pair attacking an atom)
   setBondOrder(atom1, atom2, newOrder) {
-    const bondIndex = this.findBondIndex(atom1, atom2);
-    if (bondIndex !== -1) {
-      this.molecule.setBondOrder(bondIndex, newOrder);
+    let bondIndex = this.findBondIndex(atom1, atom2);
+    if (bondIndex === -1) {
+      if (newOrder <= 0) {
+        return;
+      }
+      bondIndex = this.molecule.addBond(atom1, atom2);
     }
+    this.molecule.setBondOrder(bondIndex, newOrder);
+    this.markChanged();
   }
 
   findBondIndex(atom1, atom2) {
@@ -168,9 +394,10 @@ class MoleculeInfo {
     return -1;
   }
 
+  // Fill the electron ledger from the structure as it was parsed
   initializeLonePairs() {
     const atomCount = this.molecule.getAllAtoms();
-    this.lonePairs = {};
+    this.ledger.reset();
 
     for (let i = 0; i < atomCount; i++) {
       const atomSymbol = this.molecule.getAtomLabel(i);
@@ -186,16 +413,18 @@ class MoleculeInfo {
       // console.log(`  Implicit hydrogens: ${implicitHydrogens}`);
       // console.log(`  Explicit hydrogens: ${explicitHydrogens}`);
       
-      this.lonePairs[i] = this.calculateLonePairs(
+      // Explicit hydrogens are bonded atoms and already part of bondOrders
+      const lonePairs = this.calculateLonePairs(
         i, // Pass the atom index
         atomSymbol, 
         formalCharge, 
         connectedAtoms, 
         bondOrders, 
-        implicitHydrogens + explicitHydrogens
+        implicitHydrogens
       );
+      this.ledger.setAtom(i, { charge: formalCharge, lonePairs, singleElectrons: this.getSingleElectron(i) });
       
-      //console.log(`  Calculated lone pairs: ${this.lonePairs[i]}`);
+      //console.log(`  Calculated lone pairs: ${lonePairs}`);
     } 
   }
 
@@ -217,35 +446,144 @@ class MoleculeInfo {
     for (let i = 0; i < connectedAtoms; i++) {
       const connectedAtom = this.molecule.getConnAtom(atomIndex, i);
       const bondIndex = this.findBondIndex(atomIndex, connectedAtom);
-      let bondOrder = this.molecule.getBondOrder(bondIndex);
-      // Handle aromatic bonds
-      if (bondOrder === 0 && this.molecule.isAromaticBond(bondIndex)) {
-        bondOrder = 1.5;  // Treat aromatic bonds as 1.5 order
-      }
-      bondOrders.push(bondOrder);
+      // Aromatic bonds have been kekulized (see kekulize), so every order is a whole number
+      bondOrders.push(this.molecule.getBondOrder(bondIndex));
     }
     return bondOrders;
   }
 
-  calculateLonePairs(atomIndex, atomSymbol, formalCharge, connectedAtoms, bondOrders, implicitHydrogens) {
-    if (this.valenceElectrons[atomSymbol] === undefined) {
-      return 0; // Return 0 for unknown atoms
+  isDelocalizedBondType(bondIndex) {
+    return (this.molecule.getBondType(bondIndex) & OCL.Molecule.cBondTypeDelocalized) !== 0;
+  }
+
+  // Give every delocalized bond an explicit order of 1 or 2. Each atom of the delocalized system that is short
+  // of bonds gets exactly one double bond; atoms that can do without one (the NH of pyrrole, the O of furan) are
+  // left out first when not every atom can have one. Returns false when some uncharged carbon could not be given its
+  // double bond; the bonds are then still kekulized as far as possible.
+  kekulize() {
+    const molecule = this.molecule;
+    molecule.ensureHelperArrays(OCL.Molecule.cHelperNeighbours);
+    const systemBonds = [];
+    for (let i = 0; i < molecule.getAllBonds(); i++) {
+      if (this.isDelocalizedBondType(i)) {
+        systemBonds.push(i);
+      }
+    }
+    if (systemBonds.length === 0) {
+      return true;
+    }
+
+    // Atoms short of bonds when every delocalized bond counts as single, and the delocalized bonds at each of them
+    const neighbours = new Map();
+    systemBonds.forEach(bond => {
+      [0, 1].forEach(end => {
+        const atom = molecule.getBondAtom(end, bond);
+        if (!neighbours.has(atom)) {
+          neighbours.set(atom, []);
+        }
+        neighbours.get(atom).push({ bond, atom: molecule.getBondAtom(1 - end, bond) });
+      });
+    });
+    const candidates = Array.from(neighbours.keys()).filter(atom => {
+      let bonds = 0;
+      for (let i = 0; i < molecule.getAllConnAtoms(atom); i++) {
+        const bond = molecule.getConnBond(atom, i);
+        bonds += this.isDelocalizedBondType(bond) ? 1 : molecule.getBondOrder(bond);
+      }
+      const valenceElectrons = PeriodicTable.valenceElectrons(molecule.getAtomicNo(atom));
+      if (valenceElectrons === undefined) {
+        return false;
+      }
+      const electrons = valenceElectrons - molecule.getAtomCharge(atom);
+      const valence = electrons <= 4 ? electrons : 8 - electrons;
+      return valence - bonds >= 1;
+    });
+    // Carbons go first, so the search pairs them up before it considers leaving anything out. A charged carbon
+    // can do without a double bond like a heteroatom: a carbanion's lone pair or a carbocation's empty p orbital
+    // takes the place of one (the tropylium ion).
+    const isCarbon = atom => molecule.getAtomicNo(atom) === 6 && molecule.getAtomCharge(atom) === 0;
+    candidates.sort((a, b) => isCarbon(b) - isCarbon(a) || a - b);
+    const isCandidate = new Set(candidates);
+
+    // Backtracking search for the double bonds that leave the fewest atoms without one, an unmatched carbon
+    // costing more than any number of unmatched heteroatoms
+    const partner = new Map();
+    let best = { cost: Infinity, doubles: new Set() };
+    const search = (position, cost) => {
+      if (cost >= best.cost) {
+        return;
+      }
+      while (position < candidates.length && partner.has(candidates[position])) {
+        position++;
+      }
+      if (position === candidates.length) {
+        best = { cost, doubles: new Set(Array.from(partner.values()).filter(bond => bond !== null)) };
+        return;
+      }
+      const atom = candidates[position];
+      for (const { bond, atom: other } of neighbours.get(atom)) {
+        if (best.cost === 0) {
+          return;
+        }
+        if (isCandidate.has(other) && !partner.has(other)) {
+          partner.set(atom, bond);
+          partner.set(other, bond);
+          search(position + 1, cost);
+          partner.delete(atom);
+          partner.delete(other);
+        }
+      }
+      partner.set(atom, null);
+      search(position + 1, cost + (isCarbon(atom) ? candidates.length + 1 : 1));
+      partner.delete(atom);
+    };
+    search(0, 0);
+
+    systemBonds.forEach(bond => {
+      molecule.setBondType(bond, best.doubles.has(bond) ? OCL.Molecule.cBondTypeDouble : OCL.Molecule.cBondTypeSingle);
+    });
+    molecule.ensureHelperArrays(OCL.Molecule.cHelperRings);
+    return best.cost <= candidates.length;
+  }
+
+  // Rings that are aromatic in the current structure, as { atoms, bonds } lists of indices. OCL perceives
+  // aromaticity from the bonds as they are, so the rings are found again after every change (see markChanged).
+  getAromaticRings() {
+    this.getRings();
+    return this.aromaticRings.rings;
+  }
+
+  // Every ring of OCL's smallest set of rings as { atoms, bonds, aromatic }, with the atoms in ring order
+  getRings() {
+    if (this.aromaticRings && this.aromaticRings.version === this.version) {
+      return this.aromaticRings.all;
+    }
+    this.molecule.ensureHelperArrays(OCL.Molecule.cHelperRings);
+    const ringSet = this.molecule.getRingSet();
+    const all = [];
+    for (let i = 0; i < ringSet.getSize(); i++) {
+      all.push({ atoms: Array.from(ringSet.getRingAtoms(i)), bonds: Array.from(ringSet.getRingBonds(i)), aromatic: ringSet.isAromatic(i) });
     }
+    this.aromaticRings = { version: this.version, all, rings: all.filter(ring => ring.aromatic) };
+    return all;
+  }
 
-    const valence = this.valenceElectrons[atomSymbol];
-    let totalBondOrder = bondOrders.reduce((sum, order) => sum + order, 0) + implicitHydrogens;
-    // Adjust totalBondOrder for non-carbon atoms with implicit hydrogens
-    if (atomSymbol !== 'C' && implicitHydrogens > 0) {
-      totalBondOrder = bondOrders.reduce((sum, order) => sum + order, 0);
+  calculateLonePairs(atomIndex, atomSymbol, formalCharge, connectedAtoms, bondOrders, implicitHydrogens) {
+    // Valence electrons from the periodic table; transition metals and unlisted elements get no lone pairs
+    const valence = PeriodicTable.valenceElectrons(atomSymbol);
+    if (valence === undefined) {
+      return 0;
     }
+
+    const totalBondOrder = bondOrders.reduce((sum, order) => sum + order, 0) + implicitHydrogens;
     // Calculate the number of electrons involved in bonding
     const bondingElectrons = totalBondOrder;
     
-    // Calculate the number of non-bonding electrons
-    const nonBondingElectrons = valence - bondingElectrons + formalCharge;
+    // Calculate the number of non-bonding electrons; a positive charge means electrons were lost
+    const nonBondingElectrons = Math.max(0, valence - bondingElectrons - formalCharge);
     
     // Calculate the number of lone pairs
-    const lonePairs = Math.max(0, Math.floor(nonBondingElectrons / 2));
+    const lonePairs = Math.floor(nonBondingElectrons / 2);
     const singleElectrons = nonBondingElectrons % 2;
 
     this.setSingleElectron(atomIndex, singleElectrons);
@@ -253,12 +591,279 @@ class MoleculeInfo {
     return lonePairs;
   }
 
+  // Only used while the ledger is filled; steps change single electrons through ledger.apply()
   setSingleElectron(atomIndex, count) {
-    this.singleElectrons[atomIndex] = count;
+    this.ledger.setAtom(atomIndex, { ...this.ledger.getAtom(atomIndex), singleElectrons: count });
   }
 
   getSingleElectron(atomIndex) {
-    return this.singleElectrons[atomIndex] || 0;
+    return this.ledger.getSingleElectrons(atomIndex);
+  }
+
+  // Serializable copy of the structure and the electron ledger (see stateHistory.js). charge is the
+  // charge stored in the OCL molecule, formalCharge the ledger's (they differ only for hydrogens).
+  getSnapshot() {
+    const atoms = [];
+    for (let i = 0; i < this.molecule.getAllAtoms(); i++) {
+      atoms.push({
+        atomicNo: this.molecule.getAtomicNo(i),
+        x: this.molecule.getAtomX(i),
+        y: this.molecule.getAtomY(i),
+        z: this.molecule.getAtomZ(i),
+        charge: this.molecule.getAtomCharge(i),
+        formalCharge: this.getFormalCharge(i),
+        lonePairs: this.getLonePairs(i),
+        singleElectrons: this.getSingleElectron(i),
+        id: this.atomIds[i],
+        mapNo: this.molecule.getAtomMapNo(i)
+      });
+    }
+
+    const bonds = [];
+    for (let i = 0; i < this.molecule.getAllBonds(); i++) {
+      const stereo = this.getBondStereo(i);
+      bonds.push({
+        atom1: this.molecule.getBondAtom(0, i),
+        atom2: this.molecule.getBondAtom(1, i),
+        order: this.molecule.getBondOrder(i),
+        ...(stereo ? { stereo } : {})
+      });
+    }
+    return { atoms, bonds, explicitHydrogens: this.explicitHydrogens };
+  }
+
+  // Rebuild the molecule from a snapshot. Atom and bond indices stay exactly as they were for snapshots of this
+  // class; an atom table assembled elsewhere may have hydrogens that OCL moves (see isSimpleHydrogen), so the
+  // returned list maps each snapshot atom to its index in the rebuilt molecule.
+  restoreSnapshot(snapshot) {
+    const molecule = new OCL.Molecule(snapshot.atoms.length, snapshot.bonds.length);
+    this.ledger.reset();
+
+    snapshot.atoms.forEach((atom, i) => {
+      molecule.addAtom(atom.atomicNo);
+      molecule.setAtomX(i, atom.x);
+      molecule.setAtomY(i, atom.y);
+      molecule.setAtomZ(i, atom.z);
+      molecule.setAtomCharge(i, atom.charge);
+      if (atom.mapNo) {
+        molecule.setAtomMapNo(i, atom.mapNo, false);
+      }
+    });
+
+    snapshot.bonds.forEach(bond => {
+      const bondIndex = molecule.addBond(bond.atom1, bond.atom2);
+      molecule.setBondOrder(bondIndex, bond.order);
+      if (bond.stereo && bond.order === 1) {
+        molecule.setBondType(bondIndex, bond.stereo === 'up' ? OCL.Molecule.cBondTypeUp : OCL.Molecule.cBondTypeDown);
+      }
+    });
+
+    const atomMap = Array.from(molecule.getHandleHydrogenMap());
+    this.atomIds = [];
+    snapshot.atoms.forEach((atom, i) => {
+      this.ledger.setAtom(atomMap[i], { charge: atom.formalCharge ?? atom.charge, lonePairs: atom.lonePairs, singleElectrons: atom.singleElectrons });
+      this.atomIds[atomMap[i]] = atom.id ?? i + 1;
+    });
+
+    molecule.ensureHelperArrays(OCL.Molecule.cHelperRings);
+    molecule.setFragment(false);
+    this.molecule = molecule;
+    this.explicitHydrogens = snapshot.explicitHydrogens ?? this.explicitHydrogens;
+    this.ledger.syncMolecule(molecule);
+    this.markChanged();
+    return atomMap;
+  }
+
+  // OCL moves plain hydrogens (uncharged, without a map number) behind all other atoms whenever it
+  // rebuilds its helper arrays, so atom tables we assemble ourselves should already follow that order.
+  // A hydrogen without bonds or with two stays where it is; restoreSnapshot corrects for those.
+  static isSimpleHydrogen(atom) {
+    return atom.atomicNo === 1 && atom.charge === 0 && !atom.mapNo;
+  }
+
+  // A hydrogen whose bond order dropped to 0 is no longer a plain one, and the next rebuild of OCL's helper
+  // arrays moves it ahead of the plain hydrogens. Let that happen now, with the ledger entries and atom ids
+  // moving along. Returns the new index of each old atom index, or null when no atom moved.
+  sortHydrogens() {
+    const atomMap = Array.from(this.molecule.getHandleHydrogenMap());
+    if (atomMap.every((newIndex, oldIndex) => newIndex === oldIndex)) {
+      return null;
+    }
+    const entries = atomMap.map((_, oldIndex) => this.ledger.getAtom(oldIndex));
+    const atomIds = this.atomIds.slice();
+    this.molecule.ensureHelperArrays(OCL.Molecule.cHelperNeighbours);
+    atomMap.forEach((newIndex, oldIndex) => {
+      this.ledger.atoms[newIndex] = entries[oldIndex];
+      this.atomIds[newIndex] = atomIds[oldIndex];
+    });
+    this.markChanged();
+    return atomMap;
+  }
+
+  // Append another molecule, shifted by shift (in molecule units), together with its lone pairs and
+  // single electrons. Heavy atoms of both molecules come first, then hydrogens, so hydrogen indices of
+  // this molecule can change too. Returns { ownAtomMap, addedAtomMap } mapping old to new indices.
+  mergeMolecule(other, shift = { x: 0, y: 0 }) {
+    const own = this.getSnapshot();
+    const added = other.getSnapshot();
+    added.atoms.forEach(atom => {
+      atom.x += shift.x;
+      atom.y += shift.y;
+    });
+
+    const entries = [
+      ...own.atoms.map((atom, index) => ({ atom, source: 0, index })),
+      ...added.atoms.map((atom, index) => ({ atom, source: 1, index }))
+    ];
+    const ordered = [
+      ...entries.filter(entry => !MoleculeInfo.isSimpleHydrogen(entry.atom)),
+      ...entries.filter(entry => MoleculeInfo.isSimpleHydrogen(entry.atom))
+    ];
+    const atomMaps = [[], []];
+    ordered.forEach((entry, newIndex) => {
+      atomMaps[entry.source][entry.index] = newIndex;
+    });
+
+    const remapBond = (bond, atomMap) => ({ ...bond, atom1: atomMap[bond.atom1], atom2: atomMap[bond.atom2] });
+    const restoredMap = this.restoreSnapshot({
+      atoms: ordered.map(entry => entry.atom),
+      bonds: [...own.bonds.map(bond => remapBond(bond, atomMaps[0])), ...added.bonds.map(bond => remapBond(bond, atomMaps[1]))]
+    });
+    return {
+      ownAtomMap: atomMaps[0].map(index => restoredMap[index]),
+      addedAtomMap: atomMaps[1].map(index => restoredMap[index])
+    };
+  }
+
+  // Delete bonds whose order has dropped to 0. Without the bond a hydrogen can become one that OCL moves behind
+  // the others (see isSimpleHydrogen), so the molecule is rebuilt from a snapshot, which keeps the ledger and the
+  // atom ids with their atoms. Returns { broken, atomMap }: the atom pairs of the deleted bonds, in the old
+  // numbering, and the new index of each old atom index.
+  removeBrokenBonds() {
+    const snapshot = this.getSnapshot();
+    const broken = snapshot.bonds.filter(bond => bond.order === 0).map(bond => [bond.atom1, bond.atom2]);
+    if (broken.length === 0) {
+      return { broken, atomMap: snapshot.atoms.map((_, index) => index) };
+    }
+    snapshot.bonds = snapshot.bonds.filter(bond => bond.order !== 0);
+    const atomMap = this.restoreSnapshot(snapshot);
+    return { broken, atomMap };
+  }
+
+  // Connected components as sorted lists of atom indices
+  getFragments() {
+    const atomCount = this.molecule.getAllAtoms();
+    const visited = new Array(atomCount).fill(false);
+    const fragments = [];
+
+    for (let start = 0; start < atomCount; start++) {
+      if (visited[start]) continue;
+      const fragment = [];
+      const queue = [start];
+      visited[start] = true;
+      while (queue.length > 0) {
+        const atom = queue.shift();
+        fragment.push(atom);
+        for (let i = 0; i < this.molecule.getAllConnAtoms(atom); i++) {
+          const neighbour = this.molecule.getConnAtom(atom, i);
+          if (!visited[neighbour]) {
+            visited[neighbour] = true;
+            queue.push(neighbour);
+          }
+        }
+      }
+      fragments.push(fragment.sort((a, b) => a - b));
+    }
+    return fragments;
+  }
+
+  // Move every disconnected fragment but the largest into its own MoleculeInfo. Atoms keep their
+  // relative order, except for hydrogens OCL moves once they are rebuilt (see restoreSnapshot). Returns null when the molecule is
+  // still in one piece, otherwise { keptAtomMap, fragments: [{ moleculeInfo, atomMap }] } where
+  // the maps give each old atom index its index in the new molecule.
+  splitFragments() {
+    const fragments = this.getFragments();
+    if (fragments.length < 2) {
+      return null;
+    }
+    fragments.sort((a, b) => b.length - a.length || a[0] - b[0]);
+
+    const snapshot = this.getSnapshot();
+    const extract = atoms => {
+      const atomMap = [];
+      atoms.forEach((oldIndex, newIndex) => {
+        atomMap[oldIndex] = newIndex;
+      });
+      return {
+        atomMap,
+        snapshot: {
+          explicitHydrogens: snapshot.explicitHydrogens,
+          atoms: atoms.map(oldIndex => snapshot.atoms[oldIndex]),
+          bonds: snapshot.bonds
+            .filter(bond => atomMap[bond.atom1] !== undefined)
+            .map(bond => ({ ...bond, atom1: atomMap[bond.atom1], atom2: atomMap[bond.atom2] }))
+        }
+      };
+    };
+
+    const kept = extract(fragments[0]);
+    const split = fragments.slice(1).map(atoms => {
+      const part = extract(atoms);
+      const moleculeInfo = new MoleculeInfo();
+      const restoredMap = moleculeInfo.restoreSnapshot(part.snapshot);
+      return { moleculeInfo, atomMap: part.atomMap.map(index => restoredMap[index]) };
+    });
+    const restoredMap = this.restoreSnapshot(kept.snapshot);
+    return { keptAtomMap: kept.atomMap.map(index => restoredMap[index]), fragments: split };
+  }
+
+  translateAtoms(shift) {
+    for (let i = 0; i < this.molecule.getAllAtoms(); i++) {
+      this.molecule.setAtomX(i, this.molecule.getAtomX(i) + shift.x);
+      this.molecule.setAtomY(i, this.molecule.getAtomY(i) + shift.y);
+    }
+    this.markChanged();
+  }
+
+  // Mean bond length in molecule units, 1 when the molecule has no bonds
+  getAverageBondLength() {
+    const bondCount = this.molecule.getAllBonds();
+    if (bondCount === 0) {
+      return 1;
+    }
+    let total = 0;
+    for (let i = 0; i < bondCount; i++) {
+      const atom1 = this.molecule.getBondAtom(0, i);
+      const atom2 = this.molecule.getBondAtom(1, i);
+      total += Math.hypot(this.molecule.getAtomX(atom1) - this.molecule.getAtomX(atom2), this.molecule.getAtomY(atom1) - this.molecule.getAtomY(atom2));
+    }
+    return total / bondCount;
+  }
+
+  // Stable id of the atom at atomIndex
+  getAtomId(atomIndex) {
+    return this.atomIds[atomIndex];
+  }
+
+  // Current index of the atom with the given stable id, -1 when it is not in this molecule
+  findAtomById(atomId) {
+    return this.atomIds.indexOf(atomId);
+  }
+
+  // Atom-map number the atom was written with, 0 when it has none
+  getAtomMapNo(atomIndex) {
+    return this.molecule.getAtomMapNo(atomIndex);
+  }
+
+  // Indices of the atoms carrying an atom-map number; more than one only when the source reused it
+  findAtomsByMapNo(mapNo) {
+    const atoms = [];
+    for (let i = 0; i < this.molecule.getAllAtoms(); i++) {
+      if (this.molecule.getAtomMapNo(i) === mapNo) {
+        atoms.push(i);
+      }
+    }
+    return atoms;
   }
 
   getAtomCount() {
@@ -266,9 +871,41 @@ class MoleculeInfo {
   }
 
   getFormalCharge(atomIndex) {
-    return this.molecule.getAtomCharge(atomIndex);
+    return this.ledger.getCharge(atomIndex);
+  }
+
+  // SMILES of the current state, with every ledger charge and radical applied to a copy of the molecule
+  toSmiles() {
+    return this.getExportCopy().toSmiles();
+  }
+
+  // Molfile of the current state, with every ledger charge and radical applied like toSmiles(); version is
+  // 'V2000' or 'V3000'
+  toMolfile({ version = 'V2000' } = {}) {
+    if (version !== 'V2000' && version !== 'V3000') {
+      throw new Error(`Unknown Molfile version "${version}", use V2000 or V3000.`);
+    }
+    const copy = this.getExportCopy();
+    return version === 'V3000' ? copy.toMolfileV3() : copy.toMolfile();
+  }
+
+  // Compact copy of the molecule with the ledger's charges and radicals written in, shared by toSmiles and toMolfile
+  getExportCopy() {
+    const copy = this.molecule.getCompactCopy();
+    this.ledger.syncMolecule(copy, null, true);
+    // Pinning the valence clears OCL's radical flag, and the radical already tells readers the valence
+    for (let i = 0; i < copy.getAllAtoms(); i++) {
+      const radical = ElectronLedger.radicalState(this.ledger.getAtom(i).singleElectrons);
+      if (radical !== 0) {
+        copy.setAtomAbnormalValence(i, -1);
+        copy.setAtomRadical(i, radical);
+      }
+    }
+    return copy;
   }
 
+  // Closest atom to a point given in molecule units times scale. Points on the canvas also depend on the molecule's
+  // layout position and the renderer's projection; MoleculeRenderer.hitTest takes those into account.
   getAtomIndex(x, y, scale = 1) {
     const atomCount = this.molecule.getAllAtoms();
     const tolerance = 0.3 * scale; // Adjust based on rendering scale
@@ -7,20 +7,34 @@ It sets up default properties such as scale factor, current SMILES string, and o
 The renderMolecule method takes a SMILES string and options for displaying implicit hydrogens and atom numbers. It retrieves molecule data using the MoleculeInfo class and then draws the molecule on the canvas.
 It handles clearing the canvas before drawing and manages the rendering of atoms and bonds.
 3. Drawing Atoms and Bonds:
-The drawAtom method is responsible for drawing individual atoms, including their symbols, optional atom numbers, charges, and lone pairs.
+The drawAtom method is responsible for drawing individual atoms, including their symbols, optional atom numbers, charges, and lone pairs. A molecule's showAtomNumbers picks the number: true for atom indices, 'map' for the atom-map numbers of the SMILES or Molfile (unmapped atoms get none), 'id' for MoleculeInfo's stable atom ids; setAtomNumbers() switches every molecule at once.
 The drawBond method draws bonds between atoms, considering bond types (single, double, triple) and any ongoing bond transitions.
+Lone pairs and single electrons are placed by getElectronLayouts in the largest free gaps between an atom's bonds, the hydrogens and atom number written after its symbol and its charge, so they never sit on a bond. When a transition takes a lone pair or single electron out of an atom, or puts one onto it, that electron gets the free spot closest to the bond and drawMovingElectrons moves it between that spot and the middle of the bond.
+setSkeletal(true) switches to a skeletal (line-angle) drawing for publication: carbons are bare vertices, bonds stop short of the labels of other atoms, the second line of a double bond in a ring is drawn inside the ring (other double bonds are centred on the bond axis), and everything but electrons and overlays is drawn in one ink color. Transitioning bonds are drawn the same way, their extra lines splitting off the sigma bond as the bond order grows (see drawSkeletalBond).
+A single bond that MoleculeInfo marks up or down (getBondStereo) is drawn as a filled or hashed wedge from its stereocenter (drawWedgeBond), and setStereoLabels(true) writes the CIP descriptor (R) or (S) under every stereocenter; both follow a Walden inversion while a step animates it (see Actions.updateStereo).
 4. Bond Transitions:
 The renderer can visualize bond transitions, such as changing bond orders and electron movements, using methods like drawTransitioningBond and drawMovingElectrons.
 5. Utility Methods:
 Methods like clear, setScaleFactor, and project3Dto2D help manage the rendering process, including clearing the canvas, setting the scale for rendering, and projecting 3D coordinates to 2D for display.
 6. Integration with Bond Manipulator:
 The renderer can integrate with a BondManipulator instance to dynamically update the visualization based on bond manipulations, such as electron movements and bond order changes.
+7. Render Scheduling:
+Nothing draws the canvas in a loop of its own. While the timeline animates, each of its frames redraws the scene; outside animations a change calls requestRender, which draws once on the next animation frame however often it was called. Projected coordinates and bonds of each molecule are cached until MoleculeInfo.version changes, and the bonds and atoms that are not transitioning are kept in an offscreen layer, so a frame only redraws the molecules whose state changed and copies the others.
+8. Hit Testing:
+hitTest(x, y) tells what is drawn at a canvas point (a lone pair, single electron, atom or bond of any molecule), using the same projection, layout position and electron placement as the drawing, so arrows can be drawn with the mouse (see arrowEditor.js). setPreviewArrows shows such arrows half transparent while they are being drawn, and setHighlights puts a halo around atoms (e.g. the hints of practice.js).
+9. Annotations:
+setAnnotations() puts the caption of a mechanism step at the bottom of the canvas and draws its annotations on top of the molecules: glowing or recolored atoms and bonds, text labels, δ+/δ− marks and brackets around intermediates (see the step format in mechanism.js). Their atoms are { moleculeId, atomIndex } references that remapAtoms keeps up to date, like those of arrows, and they are part of what toSVG exports.
+10. SVG Export:
+The draw methods only use the drawing context in this.ctx, so toSVG() draws one frame into an SvgContext (see svgContext.js) instead of the canvas and returns scalable SVG markup with the same bonds, charges, electrons and arrows.
+11. Aromatic Rings:
+Aromatic rings are drawn with the alternating single and double bonds the mechanism works on (see MoleculeInfo.kekulize). With setAromaticCircles(true) they are drawn as a ring of single bonds with a circle inside instead, until a step moves electrons through the ring: while one of its bonds is transitioning, and once the ring is no longer aromatic, its single and double bonds are shown.
 Overall, moleculeRenderer.js is a crucial component for visualizing molecular structures, providing a graphical interface for users to interact with and understand molecular data.
  */
 class MoleculeRenderer {
+  // canvasId is the id of a canvas element, or a canvas object itself (e.g. one made by headless.js in Node)
   constructor(canvasId) {
     // Initialize canvas and context for drawing
-    this.canvas = document.getElementById(canvasId);
+    this.canvas = typeof canvasId === 'string' ? document.getElementById(canvasId) : canvasId;
     this.ctx = this.canvas.getContext('2d');
     this.molecules = [];
     this.scaleFactor = 50;
@@ -32,16 +46,16 @@ class MoleculeRenderer {
     this.maxHeight = 0; // Max height of molecules in the current row
     this.moleculeInfo = new MoleculeInfo(); // Helper class for molecule data
     this.showImplicitHydrogens = true; // Default value
+    this.hydrogenMode = 'all'; // Which hydrogens are drawn as atoms (see setHydrogenMode)
+    this.mechanismHydrogens = new Set(); // Ids of the hydrogens a mechanism moves (see setMechanismHydrogens)
     this.showAtomNumbers = false; // Default value
+    this.aromaticCircles = false; // Draw aromatic rings with a circle instead of double bonds (see setAromaticCircles)
+    this.skeletal = false; // Line-angle drawing without carbon labels (see setSkeletal)
+    this.stereoLabels = false; // Label stereo centers R or S (see setStereoLabels)
+    this.inkColor = 'black'; // The one color of bonds, labels and charges in skeletal drawings
 
-    // Define color maps for atoms and bonds
-    this.atomColors = {
-      H: 'gray',
-      C: 'black',
-      O: 'red',
-      N: 'blue',
-      // Add more atom types as needed
-    };
+    // Define color maps for atoms (CPK colors, see periodicTable.js) and bonds
+    this.atomColors = PeriodicTable.colors();
 
     this.bondColors = {
       single: 'black',
@@ -50,9 +64,17 @@ class MoleculeRenderer {
       other: 'purple',
     };
 
-    this.isAnimating = false;
-    this.animationFrameId = null;
+    this.needsRender = false; // Set by requestRender, cleared by renderMolecules
+    this.renderFrameId = null; // Animation frame requested by requestRender
     this.moleculeMap = new Map();
+    this.arrows = []; // Curved arrows currently on screen (see showArrows)
+    this.previewArrows = []; // Arrows being drawn with the mouse (see setPreviewArrows)
+    this.highlights = []; // Atoms marked with a colored halo, e.g. practice hints (see setHighlights)
+    this.annotations = null; // Caption and annotations of the current mechanism step (see setAnnotations)
+    this.ghostBonds = []; // Broken bonds still animating after they left the model (see addGhostBond)
+    this.nextMoleculeNumber = 0;
+    this.timeline = new Timeline(); // Clock of every animation in the scene (see timeline.js)
+    this.timeline.onFrame(() => this.renderMolecules());
   }
 
   // Render a molecule based on SMILES string
@@ -70,9 +92,10 @@ class MoleculeRenderer {
     }
   
     const moleculeData = {
-      coordinates3D: moleculeInfo.getCoordinates3D(),
+      coords2D: this.project3Dto2D(moleculeInfo.getCoordinates3D()),
       bondTypes: moleculeInfo.getBondTypes(),
       formalCharges: moleculeInfo.getFormalCharges(),
+      aromaticRings: moleculeInfo.getAromaticRings(),
     };
     // Get the existing position of the molecule
     const existingMolecule = this.molecules.find(m => m.moleculeInfo === moleculeInfo);
@@ -97,29 +120,39 @@ class MoleculeRenderer {
     this.moleculeInfo = bondManipulator.moleculeInfo;
   }
 
-  // Draw a bond between two atoms
-  drawBond(start, end, bondType, atom1, atom2, bondManipulator) {
+  // Draw a bond between two atoms; ringCenter, for a bond in a ring, is where skeletal drawings put its second line,
+  // and stereo ('up' or 'down') makes a single bond a wedge from start. electronLayouts (see getElectronLayouts)
+  // tell where the electrons of a transition leave or land.
+  drawBond(start, end, bondType, atom1, atom2, bondManipulator, ringCenter = null, stereo = null, electronLayouts = null) {
     
     const transitionInfo = bondManipulator && bondManipulator.getBondTransitionProgress(atom1, atom2);
     
-    if (transitionInfo) {      
-      console.log(`Drawing transitioning bond ${atom1}-${atom2}, progress: ${transitionInfo.progress}`);
-      this.drawTransitioningBond(start, end, transitionInfo, atom2);
+    if (transitionInfo) {
+      const spot = atom => electronLayouts && electronLayouts[atom] && electronLayouts[atom].transits.get(transitionInfo);
+      this.drawTransitioningBond(start, end, transitionInfo, atom2, ringCenter, { start: spot(transitionInfo.atom1), end: spot(transitionInfo.atom2) });
     } else {      
-      this.drawNormalBond(start, end, bondType);
+      this.drawNormalBond(start, end, bondType, null, ringCenter, stereo);
     }
   }
 
   // Draw a normal bond (single, double, triple)
-  drawNormalBond(start, end, bondType) {
+  drawNormalBond(start, end, bondType, color = null, ringCenter = null, stereo = null) {
     const ctx = this.ctx;
-    ctx.strokeStyle = this.bondColors[bondType] || this.bondColors.single;
+    ctx.strokeStyle = color || this.bondColors[bondType] || this.bondColors.single;
     ctx.lineWidth = 1;
     // Check if there's a bond between the atoms
     if (bondType === 'none') {
       // If there's no bond, don't draw anything
       return;
     }
+    if (stereo && bondType === 'single') {
+      this.drawWedgeBond(start, end, stereo, color || (this.skeletal ? this.inkColor : this.bondColors.single));
+      return;
+    }
+    if (this.skeletal) {
+      this.drawSkeletalBond(start, end, { double: 2, triple: 3 }[bondType] || 1, ringCenter, color || this.inkColor);
+      return;
+    }
 
     const dx = end.x - start.x;
     const dy = end.y - start.y;
@@ -150,22 +183,32 @@ class MoleculeRenderer {
     }
   }
 
-  // Draw a transitioning bond with electron movement
-  drawTransitioningBond(start, end, transitionInfo, atom2) {
+  // Draw a transitioning bond with electron movement; spots are where its electrons leave or land on the
+  // transition's first (start) and second atom (end), if any
+  drawTransitioningBond(start, end, transitionInfo, atom2, ringCenter = null, spots = {}) {
     const { progress, initialOrder, targetOrder, bondChange, electronMovement } = transitionInfo;
     const currentOrder = initialOrder + (targetOrder - initialOrder) * progress;
 
+    // Electrons always travel towards the transition's second atom, whatever the bond's stored direction
+    if (start.atomIndex === transitionInfo.atom2) {
+      [start, end] = [end, start];
+    }
+
     // Draw the transitioning bond
-    this.drawInterpolateBond(start, end, currentOrder);
+    this.drawInterpolateBond(start, end, currentOrder, ringCenter);
 
     // Draw moving electrons
-    this.drawMovingElectrons(start, end, progress, electronMovement, atom2);
+    this.drawMovingElectrons(start, end, progress, electronMovement, atom2, spots);
   }
 
-  drawInterpolateBond(start, end, order) {
+  drawInterpolateBond(start, end, order, ringCenter = null) {
     const ctx = this.ctx;
     ctx.strokeStyle = 'black';
     ctx.lineWidth = 1;
+    if (this.skeletal) {
+      this.drawSkeletalBond(start, end, order, ringCenter, this.inkColor);
+      return;
+    }
 
     const dx = end.x - start.x;
     const dy = end.y - start.y;
@@ -193,52 +236,140 @@ class MoleculeRenderer {
     }
   }
 
-  drawMovingElectrons(start, end, progress, electronMovement, atom2) {
+  // Stereo bond from the stereo center at start: a filled wedge toward the viewer ('up') or a hashed wedge away
+  // from them ('down'), widening toward end
+  drawWedgeBond(start, end, stereo, color) {
+    const dx = end.x - start.x;
+    const dy = end.y - start.y;
+    const length = Math.hypot(dx, dy);
+    if (length === 0) {
+      return;
+    }
+    const halfWidth = 3.5; // Half the width of the wide end
+    const normal = { x: -dy / length * halfWidth, y: dx / length * halfWidth };
     const ctx = this.ctx;
-    ctx.fillStyle = 'blue';
-    const electronRadius = 2; // Slightly reduced size for two electrons
+    ctx.fillStyle = color;
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 1;
+    if (stereo === 'up') {
+      ctx.beginPath();
+      ctx.moveTo(start.x, start.y);
+      ctx.lineTo(end.x + normal.x, end.y + normal.y);
+      ctx.lineTo(end.x - normal.x, end.y - normal.y);
+      ctx.closePath();
+      ctx.fill();
+      return;
+    }
+    const hashes = Math.max(3, Math.round(length / 4));
+    for (let i = 1; i <= hashes; i++) {
+      const t = i / hashes;
+      const x = start.x + dx * t;
+      const y = start.y + dy * t;
+      ctx.beginPath();
+      ctx.moveTo(x + normal.x * t, y + normal.y * t);
+      ctx.lineTo(x - normal.x * t, y - normal.y * t);
+      ctx.stroke();
+    }
+  }
 
+  // Skeletal bond of any order, also a fractional one while it transitions: a line on the bond axis and, from order
+  // 2, a second line beside it, inside the ring and shortened at both ends for a bond in a ring (ringCenter) and
+  // else both lines centred on the axis; order 3 adds a third. Between two orders the lines of the higher one
+  // split off those of the lower, so a forming or breaking pi bond grows out of or merges into the sigma bond.
+  drawSkeletalBond(start, end, order, ringCenter = null, color = this.inkColor) {
     const dx = end.x - start.x;
     const dy = end.y - start.y;
-    const length = Math.sqrt(dx * dx + dy * dy);
-    const angle = Math.atan2(dy, dx);
-
-    let position;
-    if (electronMovement === 'bond-to-atom') {
-      position = length * progress;
-    } else if (electronMovement === 'bond-to-bond') {
-      position = length * 0.5 * progress;
+    const length = Math.hypot(dx, dy);
+    if (length === 0) {
+      return;
     }
+    const normal = { x: -dy / length, y: dx / length };
+    const gap = 5; // Distance between the lines of a multiple bond
+    const midpoint = { x: (start.x + end.x) / 2, y: (start.y + end.y) / 2 };
+    const side = ringCenter && ((ringCenter.x - midpoint.x) * normal.x + (ringCenter.y - midpoint.y) * normal.y < 0) ? -1 : 1;
+    const lines = MoleculeRenderer.getSkeletalBondLines(order, ringCenter ? side : 0);
 
-    // Check if the end position matches atom2's position, otherwise swap start and end
-    const atom2Pos = this.moleculeInfo.getAtomPosition(atom2);
-    if (atom2Pos && (Math.abs(end.x - atom2Pos.x) > 0.1 || Math.abs(end.y - atom2Pos.y) > 0.1)) {
-      // Swap start and end positions
-      [start, end] = [end, start];
-    }
+    const ctx = this.ctx;
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 1;
+    lines.forEach(({ offset, inset }) => {
+      const shorten = Math.min(inset * 6, length / 4);
+      const x = normal.x * offset * gap;
+      const y = normal.y * offset * gap;
+      ctx.beginPath();
+      ctx.moveTo(start.x + x + dx / length * shorten, start.y + y + dy / length * shorten);
+      ctx.lineTo(end.x + x - dx / length * shorten, end.y + y - dy / length * shorten);
+      ctx.stroke();
+    });
+  }
 
-    const electronCenterX = start.x + Math.cos(angle) * position;
-    const electronCenterY = start.y + Math.sin(angle) * position;
+  // Lines of a skeletal bond as { offset, inset }: the distance from the axis in line gaps (towards the ring for a
+  // positive ringSide, 0 for a bond in no ring) and how far, from 0 to 1, the line is shortened at both ends
+  static getSkeletalBondLines(order, ringSide = 0) {
+    const layout = lineCount => {
+      if (lineCount >= 3) {
+        return [{ offset: -1, inset: 0 }, { offset: 0, inset: 0 }, { offset: 1, inset: 0 }];
+      }
+      if (lineCount === 2) {
+        return ringSide ? [{ offset: 0, inset: 0 }, { offset: ringSide, inset: 1 }] : [{ offset: -0.5, inset: 0 }, { offset: 0.5, inset: 0 }];
+      }
+      return [{ offset: 0, inset: 0 }];
+    };
+    const lower = Math.min(3, Math.max(1, Math.floor(order)));
+    const progress = Math.min(1, Math.max(0, order - lower));
+    if (lower === 3 || progress === 0) {
+      return layout(lower);
+    }
+    // The lower order's lines, the last one repeated, move to where the higher order's lines are
+    const from = layout(lower);
+    return layout(lower + 1).map((line, i) => {
+      const origin = from[Math.min(i, from.length - 1)];
+      return {
+        offset: origin.offset + (line.offset - origin.offset) * progress,
+        inset: origin.inset + (line.inset - origin.inset) * progress
+      };
+    });
+  }
 
-    // Calculate perpendicular offset for the two electrons
-    const perpendicularAngle = angle + Math.PI / 2;
-    const offset = 3; // Distance between the two electrons
+  // Electrons travelling with a bond transition. A lone pair leaves its spot next to the first atom (start) for
+  // the middle of the bond or lands from there on its spot next to the second atom (end), and single electrons
+  // split off to or meet from the spots of both atoms; spots come from getElectronLayouts, and without them the
+  // atoms themselves are used. Pairs in bond-to-bond movements slide from the first atom to the bond middle.
+  drawMovingElectrons(start, end, progress, electronMovement, atom2, spots = {}) {
+    const ctx = this.ctx;
+    ctx.fillStyle = 'blue';
+    const electronRadius = 2; // Slightly reduced size for two electrons
+    const middle = { x: (start.x + end.x) / 2, y: (start.y + end.y) / 2 };
+    const between = (from, to, t) => ({ x: from.x + (to.x - from.x) * t, y: from.y + (to.y - from.y) * t });
+    const drawDot = (dot, radius) => {
+      ctx.beginPath();
+      ctx.arc(dot.x, dot.y, radius, 0, 2 * Math.PI);
+      ctx.fill();
+    };
 
-    // Draw first electron
-    const electron1X = electronCenterX + Math.cos(perpendicularAngle) * offset;
-    const electron1Y = electronCenterY + Math.sin(perpendicularAngle) * offset;
-    ctx.beginPath();
-    ctx.arc(electron1X, electron1Y, electronRadius, 0, 2 * Math.PI);
-    ctx.fill();
+    if (electronMovement === 'bond-to-atoms' || electronMovement === 'atoms-to-bond') {
+      // Single electrons: one dot per atom, leaving the bond centre (homolysis) or meeting there (recombination)
+      const travel = electronMovement === 'bond-to-atoms' ? progress : 1 - progress;
+      ctx.fillStyle = 'red';
+      [spots.start || start, spots.end || end].forEach(spot => drawDot(between(middle, spot, travel), electronRadius + 1));
+      return;
+    }
 
-    // Draw second electron
-    const electron2X = electronCenterX - Math.cos(perpendicularAngle) * offset;
-    const electron2Y = electronCenterY - Math.sin(perpendicularAngle) * offset;
-    ctx.beginPath();
-    ctx.arc(electron2X, electron2Y, electronRadius, 0, 2 * Math.PI);
-    ctx.fill();
+    let center;
+    let anchor = start; // The atom the pair belongs to
+    if (electronMovement === 'bond-to-atom') {
+      center = between(middle, spots.end || end, progress);
+      anchor = end;
+    } else if (electronMovement === 'atom-to-atom' || electronMovement === 'atom-to-bond') {
+      center = between(spots.start || start, middle, progress);
+    } else {
+      center = between(start, middle, progress);
+    }
 
-    console.log(`Drawing electron pair at (${electronCenterX}, ${electronCenterY}), progress: ${progress}`);
+    // The two dots lie across the line from their atom, like those of a lone pair
+    const fromAnchor = Math.hypot(center.x - anchor.x, center.y - anchor.y) > 0.5 ? center : middle;
+    const direction = Math.atan2(fromAnchor.y - anchor.y, fromAnchor.x - anchor.x);
+    MoleculeRenderer.getLonePairDots(center, direction).forEach(dot => drawDot(dot, electronRadius));
   }
 
   getBondTypeFromOrder(order) {
@@ -250,112 +381,585 @@ class MoleculeRenderer {
     }
   }
 
-  // Draw an atom with optional atom number, charge, and lone pairs
-  drawAtom(coord, atomSymbol, atomIndex, showAtomNumbers, formalCharge, moleculeInfo, bondManipulator) {
+  // Draw an atom with optional atom number, charge, and lone pairs; hydrogens that are not drawn as atoms of their
+  // own (see getHiddenHydrogens) are counted in the label, e.g. OH or NH₂. Without labelled (carbons in skeletal
+  // drawings) only the number, charge and electrons are drawn, around the bare vertex. electrons is the atom's
+  // entry of getElectronLayouts.
+  drawAtom(coord, atomSymbol, atomIndex, showAtomNumbers, formalCharge, moleculeInfo, bondManipulator, hydrogenCount = 0, labelled = true, electrons = null) {
+    const hydrogenText = labelled ? MoleculeRenderer.getHydrogenLabel(hydrogenCount) : '';
     this.ctx.font = 'bold 16px Arial';
-    this.ctx.fillStyle = this.atomColors[atomSymbol] || 'black';
-    this.ctx.fillText(atomSymbol, coord.x - 8, coord.y + 8);
+    if (labelled) {
+      const origin = this.getAtomLabelOrigin(coord, atomSymbol);
+      this.ctx.fillStyle = this.skeletal ? this.inkColor : this.atomColors[atomSymbol] || 'black';
+      this.ctx.fillText(atomSymbol + hydrogenText, origin.x, origin.y);
+    }
 
-    if (showAtomNumbers) {
+    const atomNumber = showAtomNumbers ? MoleculeRenderer.getAtomNumberLabel(moleculeInfo, atomIndex, showAtomNumbers) : '';
+    if (atomNumber !== '') {
+      const labelShift = hydrogenText ? this.ctx.measureText(hydrogenText).width : 0;
       this.ctx.fillStyle = 'blue';
-      this.ctx.fillText(atomIndex, coord.x + 10, coord.y + 8);
+      this.ctx.fillText(atomNumber, coord.x + 10 + labelShift, coord.y + 8);
     }
 
-    // Get the current charge from the bond manipulator
-    let currentCharge = bondManipulator ? bondManipulator.getCharge(atomIndex) : formalCharge;
+    // Current charge from the molecule's electron ledger
+    const currentCharge = formalCharge;
 
     // Draw the charge if it is not zero
     if (currentCharge !== 0) {
-      this.ctx.fillStyle = 'purple'; // Use purple for charges
+      this.ctx.fillStyle = this.skeletal ? this.inkColor : 'purple'; // Use purple for charges
       this.ctx.font = '14px Arial';
       const chargeText = currentCharge > 0 ? `+${currentCharge}` : `${currentCharge}`;
       this.ctx.fillText(chargeText, coord.x + 3, coord.y - 10);
     }
 
-    // Draw lone pairs using stored information
-    const lonePairs = moleculeInfo.getLonePairs(atomIndex);
-    this.drawLonePairs(coord, lonePairs);
+    // Draw lone pairs and single electrons where the layout put them
+    if (electrons) {
+      this.drawLonePairs(electrons.lonePairs);
+      this.drawSingleElectrons(electrons.radicals);
+    }
+  }
+
+  // Where the text of an atom's label starts, in the font set on this.ctx: skeletal drawings centre the symbol on
+  // the atom, so that bonds can stop short of it evenly (see getBondEnd)
+  getAtomLabelOrigin(coord, atomSymbol) {
+    if (!this.skeletal) {
+      return { x: coord.x - 8, y: coord.y + 8 };
+    }
+    return { x: coord.x - this.ctx.measureText(atomSymbol).width / 2, y: coord.y + 6 };
+  }
 
-    // Draw single electrons
-    const singleElectrons = moleculeInfo.getSingleElectron(atomIndex);
-    this.drawSingleElectrons(coord, singleElectrons);
+  // 'H', 'H₂', 'H₃' ... for a count of hydrogens drawn in an atom's label, '' for none
+  static getHydrogenLabel(count) {
+    if (count <= 0) {
+      return '';
+    }
+    const subscripts = '₀₁₂₃₄₅₆₇₈₉';
+    return count === 1 ? 'H' : `H${String(count).split('').map(digit => subscripts[digit]).join('')}`;
   }
 
-  // Draw lone pairs around an atom
-  drawLonePairs(coord, numberOfLonePairs) {
+  // Draw the lone pairs of an atom, each a pair of dots (see getElectronLayouts)
+  drawLonePairs(lonePairs) {
     const ctx = this.ctx;
     const lonePairRadius = 2; // Radius of the lone pair dots
-    const offset = 10; // Distance from the atom center
 
     ctx.fillStyle = 'blue'; // Color for lone pairs
 
-    for (let i = 0; i < numberOfLonePairs; i++) {
-      // Calculate positions for two electrons per lone pair
-      const angle1 = (Math.PI / 2) * i;
-      const angle2 = angle1 + Math.PI / 8; // Slightly offset the second electron
+    lonePairs.forEach(dots => {
+      dots.forEach(dot => {
+        ctx.beginPath();
+        ctx.arc(dot.x, dot.y, lonePairRadius, 0, 2 * Math.PI);
+        ctx.fill();
+      });
+    });
+  }
 
-      const x1 = coord.x + offset * Math.cos(angle1);
-      const y1 = coord.y + offset * Math.sin(angle1);
+  // The two dots of a lone pair centred on center, side by side across the direction it points from its atom
+  static getLonePairDots(center, angle) {
+    const spread = 2.5; // Distance of each dot from the pair's centre
+    const across = { x: -Math.sin(angle) * spread, y: Math.cos(angle) * spread };
+    return [
+      { x: center.x + across.x, y: center.y + across.y },
+      { x: center.x - across.x, y: center.y - across.y }
+    ];
+  }
 
-      const x2 = coord.x + offset * Math.cos(angle2);
-      const y2 = coord.y + offset * Math.sin(angle2);
+  // Draw the single electrons of an atom (see getElectronLayouts)
+  drawSingleElectrons(radicals) {
+    const ctx = this.ctx;
+    const electronRadius = 3; // Slightly larger than lone pairs for visibility
 
-      // Draw first electron
-      ctx.beginPath();
-      ctx.arc(x1, y1, lonePairRadius, 0, 2 * Math.PI);
-      ctx.fill();
+    ctx.fillStyle = 'red'; // Color for single electrons
 
-      // Draw second electron
+    radicals.forEach(dot => {
       ctx.beginPath();
-      ctx.arc(x2, y2, lonePairRadius, 0, 2 * Math.PI);
+      ctx.arc(dot.x, dot.y, electronRadius, 0, 2 * Math.PI);
       ctx.fill();
+    });
+  }
+
+  // Directions (canvas angles) for count lone pairs and single electrons around an atom whose bonds, labels and
+  // charge take up the occupied directions. Each goes into the largest free gap, a gap holding several shares
+  // it evenly, and a tie goes to the larger gap. An atom with nothing around it starts from the top.
+  static getElectronAngles(occupied, count) {
+    if (count === 0) {
+      return [];
+    }
+    if (occupied.length === 0) {
+      return Array.from({ length: count }, (_, i) => -Math.PI / 2 + (2 * Math.PI * i) / count);
+    }
+    const sorted = occupied.map(angle => ((angle % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI)).sort((a, b) => a - b);
+    const gaps = sorted.map((angle, i) => ({
+      start: angle,
+      size: (i + 1 < sorted.length ? sorted[i + 1] : sorted[0] + 2 * Math.PI) - angle,
+      count: 0
+    }));
+    const share = gap => gap.size / (gap.count + 1);
+    for (let i = 0; i < count; i++) {
+      const best = gaps.reduce((best, gap) => {
+        const difference = share(gap) - share(best);
+        return difference > 1e-9 || (Math.abs(difference) <= 1e-9 && gap.size > best.size) ? gap : best;
+      });
+      best.count++;
     }
+    return gaps.flatMap(gap => Array.from({ length: gap.count }, (_, k) => gap.start + (gap.size * (k + 1)) / (gap.count + 1)));
   }
 
-  // New method to draw single electrons
-  drawSingleElectrons(coord, numberOfSingleElectrons) {
-    const ctx = this.ctx;
-    const electronRadius = 3; // Slightly larger than lone pairs for visibility
-    const offset = 15; // Slightly further from the atom center than lone pairs
+  // Electrons of the unfinished transitions of a molecule, and of the ghost bonds that start or end in it, that
+  // are on their way out of an atom into a bond or from a bond onto an atom: { atom, kind: 'pair' | 'radical',
+  // arriving, partner, transitionInfo }. partner is where the bond points, in the coordinates of coords2D (see
+  // getGhostEnds for offset).
+  getElectronTransits(moleculeInfo, bondManipulator, coords2D, offset = null) {
+    const transits = [];
+    const add = (transitionInfo, atom1, atom2, partner1, partner2) => {
+      const { electronMovement } = transitionInfo;
+      if (electronMovement === 'atom-to-bond' || electronMovement === 'atom-to-atom') {
+        transits.push({ atom: atom1, kind: 'pair', arriving: false, partner: partner2, transitionInfo });
+      } else if (electronMovement === 'bond-to-atom') {
+        transits.push({ atom: atom2, kind: 'pair', arriving: true, partner: partner1, transitionInfo });
+      } else if (electronMovement === 'bond-to-atoms' || electronMovement === 'atoms-to-bond') {
+        const arriving = electronMovement === 'bond-to-atoms';
+        transits.push({ atom: atom1, kind: 'radical', arriving, partner: partner2, transitionInfo });
+        transits.push({ atom: atom2, kind: 'radical', arriving, partner: partner1, transitionInfo });
+      }
+    };
+    if (bondManipulator) {
+      bondManipulator.bondTransitions.forEach(transitionInfo => {
+        const { atom1, atom2 } = transitionInfo;
+        if (!transitionInfo.done && !transitionInfo.cancelled && coords2D[atom1] && coords2D[atom2]) {
+          add(transitionInfo, atom1, atom2, coords2D[atom1], coords2D[atom2]);
+        }
+      });
+    }
+    this.getGhostEnds(moleculeInfo, offset).forEach(end => {
+      // The ghost's other atom is outside the molecule, so only the transits of this end are kept
+      const before = transits.length;
+      if (end.first) {
+        add(end.transitionInfo, end.atom, -1, coords2D[end.atom], end.partner);
+      } else {
+        add(end.transitionInfo, -1, end.atom, end.partner, coords2D[end.atom]);
+      }
+      transits.push(...transits.splice(before).filter(transit => transit.atom === end.atom));
+    });
+    return transits;
+  }
 
-    ctx.fillStyle = 'red'; // Color for single electrons
+  // Ends of the unfinished ghost bonds in a molecule: { atom, partner, first, transitionInfo }, partner being the
+  // position of the atom at the other end and first telling whether atom is the transition's first atom. partner
+  // is in canvas coordinates less offset, or with offset null in the molecule's own (those of its geometry).
+  getGhostEnds(moleculeInfo, offset = null) {
+    const ends = [];
+    this.ghostBonds.filter(ghost => !ghost.transitionInfo.done && !ghost.transitionInfo.cancelled).forEach(ghost => {
+      [ghost.from, ghost.to].forEach((ref, i) => {
+        const molecule = this.moleculeMap.get(ref.moleculeId);
+        const other = i === 0 ? ghost.to : ghost.from;
+        const point = molecule && molecule.moleculeInfo === moleculeInfo && this.getAtomCanvasPosition(other.moleculeId, other.atomIndex);
+        if (point) {
+          const origin = offset || molecule.position;
+          ends.push({ atom: ref.atomIndex, partner: { x: point.x - origin.x, y: point.y - origin.y }, first: i === 0, transitionInfo: ghost.transitionInfo });
+        }
+      });
+    });
+    return ends;
+  }
+
+  // Where the electrons of every atom of a molecule are drawn, from its atoms at coords2D (see getGhostEnds for
+  // offset): { lonePairs: [[dot, dot], ...], radicals: [dot, ...], transits: Map } per atom index. They sit
+  // in the largest free gaps between the atom's bonds, the text written after its symbol (hydrogens, atom number)
+  // and its charge (see getElectronAngles). An electron in transit (see getElectronTransits) takes the free
+  // direction closest to its bond, and transits maps its transition to that spot (the centre of a pair), from
+  // which drawMovingElectrons moves it into the bond or where it lands; arriving electrons are already counted
+  // by the ledger but are left out of lonePairs and radicals until they have landed.
+  getElectronLayouts(moleculeData, coords2D, moleculeInfo, bondManipulator, showAtomNumbers, hidden = new Set(), offset = null) {
+    const { bondTypes, formalCharges } = moleculeData;
+    const neighbours = coords2D.map(() => []); // Positions of the atoms each atom has a bond drawn to
+    const hydrogenCounts = coords2D.map(() => 0);
+    bondTypes.forEach(bond => {
+      if (hidden.has(bond.atom1) || hidden.has(bond.atom2)) {
+        hydrogenCounts[hidden.has(bond.atom1) ? bond.atom2 : bond.atom1]++;
+      } else if (bond.type !== 'none' || (bondManipulator && bondManipulator.getBondTransitionProgress(bond.atom1, bond.atom2))) {
+        neighbours[bond.atom1].push(coords2D[bond.atom2]);
+        neighbours[bond.atom2].push(coords2D[bond.atom1]);
+      }
+    });
+    this.getGhostEnds(moleculeInfo, offset).forEach(end => {
+      neighbours[end.atom].push(end.partner);
+    });
+    const transits = this.getElectronTransits(moleculeInfo, bondManipulator, coords2D, offset);
+    const lonePairOffset = 10; // Distance of a lone pair from the atom center
+    const radicalOffset = 15; // Single electrons sit a little further out
+
+    return coords2D.map((coord, atom) => {
+      const layout = { lonePairs: [], radicals: [], transits: new Map() };
+      if (hidden.has(atom)) {
+        return layout;
+      }
+      const direction = point => Math.atan2(point.y - coord.y, point.x - coord.x);
+      const atomTransits = transits.filter(transit => transit.atom === atom);
+      const occupied = neighbours[atom].map(direction);
+      const symbol = moleculeInfo.getAtomSymbol(atom);
+      const labelled = !this.skeletal || symbol !== 'C' || neighbours[atom].length === 0;
+      if ((labelled && (hydrogenCounts[atom] > 0 || symbol.length > 1)) || showAtomNumbers) {
+        occupied.push(showAtomNumbers ? 0.2 : 0); // Text to the right of the symbol
+      }
+      if (formalCharges[atom]) {
+        occupied.push(Math.atan2(-15, 10)); // The charge, above and to the right
+      }
+
+      const counts = { pair: moleculeInfo.getLonePairs(atom), radical: moleculeInfo.getSingleElectron(atom) };
+      atomTransits.filter(transit => !transit.arriving).forEach(transit => counts[transit.kind]++);
+      const angles = MoleculeRenderer.getElectronAngles(occupied, counts.pair + counts.radical);
+      const take = target => {
+        const closest = angles.reduce((best, angle, i) => {
+          const difference = Math.abs(Math.atan2(Math.sin(angle - target), Math.cos(angle - target)));
+          return best === null || difference < best.difference ? { i, difference } : best;
+        }, null);
+        return closest ? angles.splice(closest.i, 1)[0] : null;
+      };
+      const place = (kind, angle) => {
+        const distance = kind === 'pair' ? lonePairOffset : radicalOffset;
+        return { x: coord.x + Math.cos(angle) * distance, y: coord.y + Math.sin(angle) * distance };
+      };
 
-    for (let i = 0; i < numberOfSingleElectrons; i++) {
-      const angle = (Math.PI / 6) * i;
-      const x = coord.x - offset * Math.cos(angle);
-      const y = coord.y + offset * Math.sin(angle);
+      atomTransits.forEach(transit => {
+        const angle = counts[transit.kind] > 0 ? take(direction(transit.partner)) : null;
+        if (angle !== null) {
+          counts[transit.kind]--;
+          layout.transits.set(transit.transitionInfo, place(transit.kind, angle));
+        }
+      });
+      angles.forEach(angle => {
+        if (counts.pair > 0) {
+          counts.pair--;
+          layout.lonePairs.push(MoleculeRenderer.getLonePairDots(place('pair', angle), angle));
+        } else if (counts.radical > 0) {
+          counts.radical--;
+          layout.radicals.push(place('radical', angle));
+        }
+      });
+      return layout;
+    });
+  }
 
-      ctx.beginPath();
-      ctx.arc(x, y, electronRadius, 0, 2 * Math.PI);
-      ctx.fill();
+  // getElectronLayouts of a molecule on the canvas, in canvas coordinates
+  getCanvasElectronLayouts(moleculeId, hidden = this.getHiddenHydrogens(moleculeId)) {
+    const molecule = this.moleculeMap.get(moleculeId);
+    if (!molecule) {
+      return [];
     }
+    const geometry = this.getGeometry(molecule);
+    const points = geometry.coords2D.map((_, atomIndex) => this.getAtomCanvasPosition(moleculeId, atomIndex));
+    return this.getElectronLayouts(geometry, points, molecule.moleculeInfo, molecule.bondManipulator, molecule.showAtomNumbers, hidden, { x: 0, y: 0 });
   }
 
-  // Draw the entire molecule
-  drawMolecule(moleculeData, showAtomNumbers, position = { x: 0, y: 0 }, moleculeInfo, bondManipulator) {
-    const { coordinates3D, bondTypes, formalCharges } = moleculeData;
-    
+  // What is drawn at a canvas point, searched across every molecule with their layout positions and the
+  // projection of project3Dto2D: an arrow endpoint { kind: 'lonePair' | 'radical' | 'atom' | 'bond', atoms }
+  // in the form showArrows takes, or null. Electrons are preferred over their atom, and atoms over bonds.
+  hitTest(x, y) {
+    const electronRadius = 7;
+    const atomRadius = 14;
+    const bondDistance = 6;
+    let best = null;
+    const consider = (kind, atoms, distance, limit, priority) => {
+      if (distance <= limit && (!best || priority < best.priority || (priority === best.priority && distance < best.distance))) {
+        best = { kind, atoms, distance, priority };
+      }
+    };
+
+    for (const [moleculeId, molecule] of this.moleculeMap) {
+      const { moleculeInfo } = molecule;
+      const hidden = this.getHiddenHydrogens(moleculeId);
+      const points = Array.from({ length: moleculeInfo.getAtomCount() }, (_, atomIndex) => this.getAtomCanvasPosition(moleculeId, atomIndex));
+      const electronLayouts = this.getCanvasElectronLayouts(moleculeId, hidden);
+      points.forEach((point, atomIndex) => {
+        if (hidden.has(atomIndex)) {
+          return;
+        }
+        const atoms = [{ moleculeId, atomIndex }];
+        electronLayouts[atomIndex].lonePairs.forEach(dots => {
+          consider('lonePair', atoms, Math.min(...dots.map(dot => Math.hypot(dot.x - x, dot.y - y))), electronRadius, 0);
+        });
+        electronLayouts[atomIndex].radicals.forEach(dot => {
+          consider('radical', atoms, Math.hypot(dot.x - x, dot.y - y), electronRadius, 0);
+        });
+        consider('atom', atoms, Math.hypot(point.x - x, point.y - y), atomRadius, 1);
+      });
+      this.getGeometry(molecule).bondTypes.filter(bond => !hidden.has(bond.atom1) && !hidden.has(bond.atom2)).forEach(bond => {
+        const distance = MoleculeRenderer.distanceToSegment({ x, y }, points[bond.atom1], points[bond.atom2]);
+        consider('bond', [{ moleculeId, atomIndex: bond.atom1 }, { moleculeId, atomIndex: bond.atom2 }], distance, bondDistance, 2);
+      });
+    }
+    return best ? { kind: best.kind, atoms: best.atoms } : null;
+  }
+
+  static distanceToSegment(point, start, end) {
+    const dx = end.x - start.x;
+    const dy = end.y - start.y;
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, ((point.x - start.x) * dx + (point.y - start.y) * dy) / lengthSquared));
+    return Math.hypot(point.x - (start.x + t * dx), point.y - (start.y + t * dy));
+  }
+
+  // Draw the entire molecule from its cached geometry (see getGeometry). part 'static' leaves out the
+  // transitioning bonds, which is what the offscreen layer holds, and 'transitions' draws only them.
+  // hidden lists the hydrogens that are drawn in their neighbour's label instead (see getHiddenHydrogens)
+  drawMolecule(moleculeData, showAtomNumbers, position = { x: 0, y: 0 }, moleculeInfo, bondManipulator, part = 'all', hidden = new Set()) {
+    const { bondTypes, formalCharges } = moleculeData;
+    let coords2D = moleculeData.coords2D;
+
     this.ctx.save();
     this.ctx.translate(position.x, position.y);
-    
-    // Project 3D coordinates to 2D
-    const coords2D = this.project3Dto2D(coordinates3D);
-    
-    // Draw bonds first
+
+    // Shift atoms that are still sliding into place (see BondManipulator.startAtomMotion); the
+    // geometry is shared between frames, so the shifted coordinates are copies
+    if (bondManipulator && bondManipulator.atomMotion) {
+      coords2D = coords2D.map((coord, index) => {
+        const offset = bondManipulator.getAtomOffset(index);
+        return offset ? { x: coord.x + offset.x, y: coord.y + offset.y } : coord;
+      });
+    }
+
+    const circleRings = this.aromaticCircles ? this.getCircleRings(moleculeData, bondManipulator) : [];
+    const circleBonds = new Set(circleRings.flatMap(ring => ring.bonds));
+    (moleculeData.aromaticRings || []).filter(ring => !circleRings.includes(ring)).forEach(ring => {
+      ring.bonds.forEach(bond => circleBonds.delete(bond));
+    });
+
+    // Hidden hydrogens are counted on their neighbour; skeletal drawings leave out the label of every carbon
+    // that has a bond drawn
+    const hydrogenCounts = new Map();
+    const bondedAtoms = new Set();
     bondTypes.forEach(bond => {
-      const start = { ...coords2D[bond.atom1], atomIndex: bond.atom1 };
-      const end = { ...coords2D[bond.atom2], atomIndex: bond.atom2 };
-      this.drawBond(start, end, bond.type, bond.atom1, bond.atom2, bondManipulator);
+      if (hidden.has(bond.atom1) || hidden.has(bond.atom2)) {
+        const parent = hidden.has(bond.atom1) ? bond.atom2 : bond.atom1;
+        hydrogenCounts.set(parent, (hydrogenCounts.get(parent) || 0) + 1);
+      } else if (bond.type !== 'none') {
+        bondedAtoms.add(bond.atom1);
+        bondedAtoms.add(bond.atom2);
+      }
     });
-    // Draw atoms on top of bonds
-    coords2D.forEach((coord, index) => {
-      const atomSymbol = moleculeInfo.getAtomSymbol(index);
-      this.drawAtom(coord, atomSymbol, index, showAtomNumbers, formalCharges[index], moleculeInfo, bondManipulator);
+    const labelled = index => !this.skeletal || moleculeInfo.getAtomSymbol(index) !== 'C' || !bondedAtoms.has(index);
+    const rings = this.skeletal ? moleculeData.rings || [] : [];
+    const electronLayouts = this.getElectronLayouts(moleculeData, coords2D, moleculeInfo, bondManipulator, showAtomNumbers, hidden);
+
+    // Draw bonds first
+    bondTypes.forEach((bond, bondIndex) => {
+      if (hidden.has(bond.atom1) || hidden.has(bond.atom2)) {
+        return;
+      }
+      const transitioning = Boolean(bondManipulator && bondManipulator.getBondTransitionProgress(bond.atom1, bond.atom2));
+      if ((part === 'static' && transitioning) || (part === 'transitions' && !transitioning)) {
+        return;
+      }
+      const start = this.getBondEnd(coords2D, bond.atom1, bond.atom2, labelled(bond.atom1));
+      const end = this.getBondEnd(coords2D, bond.atom2, bond.atom1, labelled(bond.atom2));
+      const ring = MoleculeRenderer.getSmallestRing(rings, bondIndex);
+      const ringCenter = ring && MoleculeRenderer.getCenter(ring.atoms.map(atom => coords2D[atom]));
+      this.drawBond(start, end, circleBonds.has(bondIndex) ? 'single' : bond.type, bond.atom1, bond.atom2, bondManipulator, ringCenter, bond.stereo, electronLayouts);
     });
-    
+    // Draw atoms on top of bonds
+    if (part !== 'transitions') {
+      circleRings.forEach(ring => this.drawAromaticCircle(ring.atoms.map(atom => coords2D[atom])));
+      coords2D.forEach((coord, index) => {
+        if (hidden.has(index)) {
+          return;
+        }
+        const atomSymbol = moleculeInfo.getAtomSymbol(index);
+        this.drawAtom(coord, atomSymbol, index, showAtomNumbers, formalCharges[index], moleculeInfo, bondManipulator, hydrogenCounts.get(index) || 0, labelled(index), electronLayouts[index]);
+      });
+      if (this.stereoLabels) {
+        this.drawStereoLabels(coords2D, moleculeInfo);
+      }
+    }
+
     this.ctx.restore();
   }
 
+  // (R) or (S) under each stereo center whose CIP label OCL could assign
+  drawStereoLabels(coords2D, moleculeInfo) {
+    const ctx = this.ctx;
+    ctx.save();
+    ctx.font = 'italic 12px Arial';
+    ctx.textAlign = 'center';
+    ctx.fillStyle = this.skeletal ? this.inkColor : 'darkgreen';
+    moleculeInfo.getStereoCenters().filter(center => center.cip).forEach(center => {
+      const coord = coords2D[center.atom];
+      ctx.fillText(`(${center.cip})`, coord.x, coord.y + 24);
+    });
+    ctx.restore();
+  }
+
+  // Where a bond from atom towards other is drawn from, as { x, y, atomIndex }: the atom's position, or in
+  // skeletal drawings a little outside it when the atom has a label, so the bond does not run into the text
+  getBondEnd(coords2D, atom, other, labelled) {
+    const point = { ...coords2D[atom], atomIndex: atom };
+    const dx = coords2D[other].x - point.x;
+    const dy = coords2D[other].y - point.y;
+    const length = Math.hypot(dx, dy);
+    if (!this.skeletal || !labelled || length === 0) {
+      return point;
+    }
+    const gap = Math.min(10, length / 3);
+    return { x: point.x + dx / length * gap, y: point.y + dy / length * gap, atomIndex: atom };
+  }
+
+  // Canvas ends of a bond drawn outside drawMolecule between two atom references at the given points, shortened
+  // as getBondEnd does; every atom but carbon counts as labelled
+  getBondEndsBetween(from, to, start, end) {
+    const labelled = ref => this.moleculeMap.get(ref.moleculeId).moleculeInfo.getAtomSymbol(ref.atomIndex) !== 'C';
+    const coords = [start, end];
+    return [this.getBondEnd(coords, 0, 1, labelled(from)), this.getBondEnd(coords, 1, 0, labelled(to))]
+      .map(point => ({ x: point.x, y: point.y }));
+  }
+
+  // The smallest of the rings ({ atoms, bonds }) that hold a bond, or null
+  static getSmallestRing(rings, bondIndex) {
+    return rings.filter(ring => ring.bonds.includes(bondIndex)).reduce((best, ring) => (!best || ring.atoms.length < best.atoms.length ? ring : best), null);
+  }
+
+  static getCenter(points) {
+    return {
+      x: points.reduce((sum, point) => sum + point.x, 0) / points.length,
+      y: points.reduce((sum, point) => sum + point.y, 0) / points.length
+    };
+  }
+
+  // Aromatic rings of a molecule that are drawn as circles: those with no transitioning bond
+  getCircleRings(moleculeData, bondManipulator) {
+    return (moleculeData.aromaticRings || []).filter(ring => !bondManipulator || ring.bonds.every(bondIndex => {
+      const bond = moleculeData.bondTypes[bondIndex];
+      return !bondManipulator.getBondTransitionProgress(bond.atom1, bond.atom2);
+    }));
+  }
+
+  // Circle inside a ring through the given atom positions, kept clear of its bonds
+  drawAromaticCircle(ringCoords) {
+    const center = MoleculeRenderer.getCenter(ringCoords);
+    const bondDistances = ringCoords.map((coord, i) => {
+      const next = ringCoords[(i + 1) % ringCoords.length];
+      return Math.hypot((coord.x + next.x) / 2 - center.x, (coord.y + next.y) / 2 - center.y);
+    });
+    const ctx = this.ctx;
+    ctx.strokeStyle = this.skeletal ? this.inkColor : this.bondColors.single;
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.arc(center.x, center.y, 0.65 * Math.min(...bondDistances), 0, 2 * Math.PI);
+    ctx.stroke();
+  }
+
+  // Number drawn next to an atom for a showAtomNumbers mode: its index, its atom-map number ('map', none when
+  // unmapped) or its stable id ('id')
+  static getAtomNumberLabel(moleculeInfo, atomIndex, showAtomNumbers) {
+    if (showAtomNumbers === 'map') {
+      const mapNo = moleculeInfo.getAtomMapNo(atomIndex);
+      return mapNo > 0 ? String(mapNo) : '';
+    }
+    if (showAtomNumbers === 'id') {
+      return String(moleculeInfo.getAtomId(atomIndex));
+    }
+    return String(atomIndex);
+  }
+
+  // Label the atoms of every molecule with false, true (indices), 'map' or 'id' (see getAtomNumberLabel)
+  setAtomNumbers(showAtomNumbers) {
+    this.moleculeMap.forEach(molecule => {
+      molecule.showAtomNumbers = showAtomNumbers;
+    });
+    this.requestRender();
+  }
+
+  // Which hydrogens are drawn as atoms of their own, the others being counted in their neighbour's label:
+  // 'all', 'hetero' (those not on carbon), 'mechanism' (those the loaded mechanism moves, see
+  // setMechanismHydrogens) or 'none'. Only the drawing changes; the hydrogens stay in the molecules, so atom
+  // indices, map numbers and ids in steps keep pointing at the same atoms whatever the mode.
+  setHydrogenMode(mode) {
+    if (!MoleculeRenderer.HYDROGEN_MODES.includes(mode)) {
+      throw new Error(`Unknown hydrogen mode "${mode}", use one of ${MoleculeRenderer.HYDROGEN_MODES.join(', ')}.`);
+    }
+    this.hydrogenMode = mode;
+    this.requestRender();
+  }
+
+  static get HYDROGEN_MODES() {
+    return ['all', 'hetero', 'mechanism', 'none'];
+  }
+
+  // Stable ids of the hydrogens the 'mechanism' hydrogen mode draws
+  setMechanismHydrogens(atomIds) {
+    this.mechanismHydrogens = new Set(atomIds);
+    this.requestRender();
+  }
+
+  // Indices of the hydrogens of a molecule that the hydrogen mode leaves out of the drawing. Only a hydrogen with
+  // a single bond to a heavier atom can be left out (H+ and H2 are always drawn), and so can none that an arrow,
+  // highlight, annotation or bond transition on screen is about, so a proton being moved is always visible;
+  // extraRefs adds atoms to keep, e.g. those of the arrows an SVG export draws.
+  getHiddenHydrogens(moleculeId, extraRefs = []) {
+    const hidden = new Set();
+    const molecule = this.moleculeMap.get(moleculeId);
+    if (this.hydrogenMode === 'all' || !molecule) {
+      return hidden;
+    }
+    const { moleculeInfo, bondManipulator } = molecule;
+    const oclMolecule = moleculeInfo.getMolecule();
+    const shown = new Set([...this.getShownAtomRefs(), ...extraRefs].filter(ref => ref.moleculeId === moleculeId).map(ref => ref.atomIndex));
+    if (bondManipulator) {
+      bondManipulator.bondTransitions.forEach((transitionInfo, bondKey) => {
+        if (!transitionInfo.done) {
+          bondKey.split('-').forEach(atom => shown.add(Number(atom)));
+        }
+      });
+    }
+    for (let atom = 0; atom < moleculeInfo.getAtomCount(); atom++) {
+      if (oclMolecule.getAtomicNo(atom) !== 1 || oclMolecule.getAllConnAtoms(atom) !== 1 || shown.has(atom)) {
+        continue;
+      }
+      const neighbour = oclMolecule.getConnAtom(atom, 0);
+      const keep = oclMolecule.getAtomicNo(neighbour) === 1
+        || moleculeInfo.getBondStereo(moleculeInfo.findBondIndex(atom, neighbour))
+        || (this.hydrogenMode === 'hetero' && oclMolecule.getAtomicNo(neighbour) !== 6)
+        || (this.hydrogenMode === 'mechanism' && this.mechanismHydrogens.has(moleculeInfo.getAtomId(atom)));
+      if (!keep) {
+        hidden.add(atom);
+      }
+    }
+    return hidden;
+  }
+
+  // Atoms that arrows in their time window, preview arrows, ghost bonds, highlights and annotations point at
+  getShownAtomRefs() {
+    const now = this.timeline.time;
+    const arrows = [
+      ...this.arrows.filter(arrow => now >= arrow.shownAt && now - arrow.shownAt < arrow.visibleFor + arrow.fadeTime),
+      ...this.previewArrows
+    ];
+    return [
+      ...arrows.flatMap(arrow => [...arrow.from.atoms, ...arrow.to.atoms]),
+      ...this.ghostBonds.flatMap(ghost => [ghost.from, ghost.to]),
+      ...this.highlights.flatMap(highlight => highlight.atoms),
+      ...this.getAnnotationRefs()
+    ];
+  }
+
+  // Draw aromatic rings as circles (true) or with their alternating single and double bonds (false)
+  setAromaticCircles(enabled) {
+    this.aromaticCircles = Boolean(enabled);
+    this.requestRender();
+  }
+
+  // Label every stereo center with its CIP descriptor, (R) or (S), as perceived after each change
+  setStereoLabels(enabled) {
+    this.stereoLabels = Boolean(enabled);
+    this.requestRender();
+  }
+
+  // Skeletal (line-angle) drawing (true): carbons are bare vertices, bonds stop short of the labels of other
+  // atoms, the second line of a double bond in a ring lies inside the ring, and bonds, labels and charges are
+  // drawn in inkColor. Electrons, arrows, atom numbers and annotations keep their colors.
+  setSkeletal(enabled) {
+    this.skeletal = Boolean(enabled);
+    this.requestRender();
+  }
+
   // Project 3D coordinates to 2D for rendering
   project3Dto2D(coords3D) {
     const centerX = 10;
@@ -370,6 +974,7 @@ class MoleculeRenderer {
   // Set the scale factor for rendering
   setScaleFactor(scale) {
     this.scaleFactor = scale;
+    this.requestRender();
   }
 
   // Get the current molecule object
@@ -378,7 +983,7 @@ class MoleculeRenderer {
   }
 
   addMolecule(moleculeInfo, bondManipulator, showAtomNumbers) {
-    const id = `molecule_${this.moleculeMap.size}`; // Generate a unique ID
+    const id = `molecule_${this.nextMoleculeNumber++}`; // Generate a unique ID
     const position = this.calculateNextPosition(moleculeInfo);
     const size = this.calculateMoleculeSize(moleculeInfo);
 
@@ -390,10 +995,95 @@ class MoleculeRenderer {
       size
     });
 
-    this.renderMolecules();
+    this.requestRender();
     return id; // Return the unique ID instead of an index
   }
 
+  // Put a molecule under a known ID at a fixed position, e.g. a fragment split off another molecule
+  // or a molecule restored from a snapshot taken before a merge
+  restoreMolecule(id, moleculeInfo, bondManipulator, showAtomNumbers, position) {
+    this.moleculeMap.set(id, {
+      moleculeInfo,
+      bondManipulator,
+      showAtomNumbers,
+      position: { ...position },
+      size: this.calculateMoleculeSize(moleculeInfo)
+    });
+    this.requestRender();
+    return id;
+  }
+
+  // Add a molecule at a given position instead of the next free layout slot
+  addMoleculeAt(moleculeInfo, bondManipulator, showAtomNumbers, position) {
+    return this.restoreMolecule(`molecule_${this.nextMoleculeNumber++}`, moleculeInfo, bondManipulator, showAtomNumbers, position);
+  }
+
+  removeMolecule(id) {
+    this.moleculeMap.delete(id);
+    this.requestRender();
+  }
+
+  // Atoms of a molecule were renumbered or moved to other molecules by a merge or split.
+  // atomMap[oldIndex] = { moleculeId, atomIndex } keeps arrows and ghost bonds on the right atoms.
+  remapAtoms(moleculeId, atomMap) {
+    const remap = ref => {
+      if (ref.moleculeId === moleculeId && !ref.remapped && atomMap[ref.atomIndex]) {
+        Object.assign(ref, atomMap[ref.atomIndex], { remapped: true });
+      }
+    };
+    const refs = [
+      ...this.arrows.flatMap(arrow => [...arrow.from.atoms, ...arrow.to.atoms]),
+      ...this.ghostBonds.flatMap(ghost => [ghost.from, ghost.to]),
+      ...this.highlights.flatMap(highlight => highlight.atoms),
+      ...this.getAnnotationRefs()
+    ];
+    refs.forEach(remap);
+    refs.forEach(ref => delete ref.remapped);
+  }
+
+  // Keep drawing a bond that was removed from its molecule until its transition has finished.
+  // from and to are { moleculeId, atomIndex }, from being the transition's first atom.
+  addGhostBond(from, to, transitionInfo) {
+    this.ghostBonds.push({ from: { ...from }, to: { ...to }, transitionInfo });
+  }
+
+  // Stop the animation of every ghost bond and drop them, e.g. when a snapshot is restored
+  clearGhostBonds() {
+    this.ghostBonds.forEach(ghost => {
+      ghost.transitionInfo.cancelled = true;
+      this.timeline.cancel(ghost.transitionInfo.tween);
+    });
+    this.ghostBonds = [];
+  }
+
+  drawGhostBonds() {
+    this.ghostBonds = this.ghostBonds.filter(ghost => !ghost.transitionInfo.cancelled);
+    this.ghostBonds.filter(ghost => !ghost.transitionInfo.done).forEach(ghost => {
+      const start = this.getAtomCanvasPosition(ghost.from.moleculeId, ghost.from.atomIndex);
+      const end = this.getAtomCanvasPosition(ghost.to.moleculeId, ghost.to.atomIndex);
+      if (start && end) {
+        const spot = ref => (this.getCanvasElectronLayouts(ref.moleculeId)[ref.atomIndex] || { transits: new Map() }).transits.get(ghost.transitionInfo);
+        const spots = { start: spot(ghost.from), end: spot(ghost.to) };
+        this.drawTransitioningBond(...this.getBondEndsBetween(ghost.from, ghost.to, start, end), ghost.transitionInfo, undefined, null, spots);
+      }
+    });
+  }
+
+  // Remove all molecules and restart the layout from the top-left corner
+  clearMolecules() {
+    this.moleculeMap.clear();
+    this.arrows = [];
+    this.previewArrows = [];
+    this.highlights = [];
+    this.annotations = null;
+    this.clearGhostBonds();
+    this.nextMoleculeNumber = 0;
+    this.currentX = this.startX;
+    this.currentY = this.startY;
+    this.maxHeight = 0;
+    this.requestRender();
+  }
+
   calculateNextPosition(moleculeInfo) {
     const size = this.calculateMoleculeSize(moleculeInfo);
     
@@ -430,39 +1120,474 @@ class MoleculeRenderer {
     return { width, height };
   }
 
+  // Ask for the scene to be drawn on the next animation frame. Calls before that frame collapse into
+  // one drawing; while the timeline is animating its frames draw the scene anyway. Without animation
+  // frames (a manual timeline, see timeline.js) whoever advances the timeline draws the frames.
+  requestRender() {
+    this.needsRender = true;
+    if (this.renderFrameId === null && !this.timeline.manual) {
+      this.renderFrameId = requestAnimationFrame(() => {
+        this.renderFrameId = null;
+        if (this.needsRender) {
+          this.renderMolecules();
+        }
+      });
+    }
+  }
+
+  // Draw the scene now
   renderMolecules() {
+    this.needsRender = false;
+    this.drawScene();
+  }
+
+  // Draw every molecule, ghost bond and arrow into this.ctx. With useLayers, molecules without atom motion are
+  // copied from their offscreen layer and only their transitioning bonds are drawn on top. arrows replaces the
+  // timed arrows of showArrows with arrows drawn at full opacity (see toSVG).
+  drawScene({ useLayers = true, arrows = null } = {}) {
     this.clear();
+    const arrowRefs = arrows ? arrows.flatMap(arrow => [...arrow.from.atoms, ...arrow.to.atoms]) : [];
     for (const [id, molecule] of this.moleculeMap) {
       const { moleculeInfo, bondManipulator, showAtomNumbers, position } = molecule;
-      const moleculeData = {
-        coordinates3D: moleculeInfo.getCoordinates3D(),
+      const geometry = this.getGeometry(molecule);
+      const hidden = this.getHiddenHydrogens(id, arrowRefs);
+      const layer = !useLayers || (bondManipulator && bondManipulator.atomMotion) ? null : this.getLayer(molecule, geometry, hidden);
+      if (!layer) {
+        this.drawMolecule(geometry, showAtomNumbers, position, moleculeInfo, bondManipulator, 'all', hidden);
+        continue;
+      }
+      this.ctx.drawImage(layer.canvas, position.x + layer.x, position.y + layer.y);
+      if (layer.transitionKey) {
+        this.drawMolecule(geometry, showAtomNumbers, position, moleculeInfo, bondManipulator, 'transitions', hidden);
+      }
+    }
+    this.drawGhostBonds();
+    this.drawAnnotations();
+    if (arrows) {
+      this.copyArrows(arrows).forEach(arrow => this.drawArrow(arrow, 1));
+    } else {
+      this.drawHighlights();
+      this.drawArrows();
+      this.previewArrows.forEach(arrow => this.drawArrow(arrow, 0.5));
+    }
+  }
+
+  // Mark atoms with a translucent halo; each highlight is { atoms: [{ moleculeId, atomIndex }], color }.
+  // The atoms of a highlighted bond are joined by a band.
+  setHighlights(highlights) {
+    this.highlights = highlights.map(highlight => ({ color: highlight.color || 'gold', atoms: highlight.atoms.map(ref => ({ ...ref })) }));
+    this.requestRender();
+  }
+
+  drawHighlights() {
+    this.highlights.forEach(highlight => {
+      const points = highlight.atoms.map(ref => this.getAtomCanvasPosition(ref.moleculeId, ref.atomIndex)).filter(Boolean);
+      this.drawGlow(points, points.length === 2 ? [points] : [], highlight.color);
+    });
+  }
+
+  // Translucent halo around atom points and a band along bonds, each bond a pair of points
+  drawGlow(points, bonds, color) {
+    const ctx = this.ctx;
+    ctx.save();
+    ctx.globalAlpha = 0.35;
+    ctx.fillStyle = color;
+    ctx.strokeStyle = color;
+    points.forEach(point => {
+      ctx.beginPath();
+      ctx.arc(point.x, point.y, 16, 0, 2 * Math.PI);
+      ctx.fill();
+    });
+    ctx.lineWidth = 14;
+    bonds.forEach(([start, end]) => {
+      ctx.beginPath();
+      ctx.moveTo(start.x, start.y);
+      ctx.lineTo(end.x, end.y);
+      ctx.stroke();
+    });
+    ctx.restore();
+  }
+
+  // Show the caption and annotations of a mechanism step until they are replaced, or none for null:
+  // { caption, highlights: [{ atoms, bonds, color, style }], labels: [{ text, atom } | { text, x, y }],
+  //   partialCharges: [{ atom, sign }], brackets: [{ atom, label, pending }] }
+  // Atoms are { moleculeId, atomIndex } and bonds pairs of them; x and y are fractions of the canvas size.
+  setAnnotations(annotations) {
+    this.annotations = annotations ? JSON.parse(JSON.stringify(annotations)) : null;
+    this.requestRender();
+  }
+
+  // Copy of the annotations on screen, e.g. to store with a state (see Actions.captureState)
+  getAnnotations() {
+    return this.annotations ? JSON.parse(JSON.stringify(this.annotations)) : null;
+  }
+
+  // Brackets are set pending and drawn from here on, once the step that makes their intermediate has been applied
+  revealBrackets() {
+    if (this.annotations) {
+      this.annotations.brackets.forEach(bracket => delete bracket.pending);
+      this.requestRender();
+    }
+  }
+
+  getAnnotationRefs() {
+    const annotations = this.annotations;
+    if (!annotations) {
+      return [];
+    }
+    return [
+      ...annotations.highlights.flatMap(highlight => [...highlight.atoms, ...highlight.bonds.flat()]),
+      ...annotations.labels.filter(label => label.atom).map(label => label.atom),
+      ...annotations.partialCharges.map(mark => mark.atom),
+      ...annotations.brackets.map(bracket => bracket.atom)
+    ];
+  }
+
+  drawAnnotations() {
+    const annotations = this.annotations;
+    if (!annotations) {
+      return;
+    }
+    const ctx = this.ctx;
+    const position = ref => this.getAtomCanvasPosition(ref.moleculeId, ref.atomIndex);
+    annotations.highlights.forEach(highlight => this.drawAnnotationHighlight(highlight));
+    annotations.brackets.forEach(bracket => this.drawBracket(bracket));
+
+    ctx.save();
+    ctx.font = '14px Arial';
+    ctx.fillStyle = 'purple';
+    annotations.partialCharges.forEach(mark => {
+      const point = position(mark.atom);
+      if (point) {
+        ctx.fillText(mark.sign === '+' ? 'δ+' : 'δ−', point.x - 26, point.y - 10);
+      }
+    });
+    ctx.font = 'italic 14px Arial';
+    ctx.textAlign = 'center';
+    annotations.labels.forEach(label => {
+      const point = label.atom ? position(label.atom) : { x: label.x * this.canvas.width, y: label.y * this.canvas.height };
+      if (point) {
+        ctx.fillStyle = label.color || '#444';
+        ctx.fillText(label.text, point.x, label.atom ? point.y + 32 : point.y);
+      }
+    });
+    if (annotations.caption) {
+      ctx.font = '16px Arial';
+      ctx.textAlign = 'left';
+      ctx.fillStyle = '#222';
+      ctx.fillText(annotations.caption, 16, this.canvas.height - 16);
+    }
+    ctx.restore();
+  }
+
+  // A 'glow' highlight is a halo like setHighlights; a 'color' highlight redraws its atom symbols and bonds in
+  // its color. Bonds that are gone, or join two molecules, are skipped.
+  drawAnnotationHighlight({ atoms, bonds, color = 'gold', style = 'glow' }) {
+    const position = ref => this.getAtomCanvasPosition(ref.moleculeId, ref.atomIndex);
+    if (style === 'glow') {
+      const bondPoints = bonds.map(bond => bond.map(position)).filter(points => points.every(Boolean));
+      this.drawGlow(atoms.map(position).filter(Boolean), bondPoints, color);
+      return;
+    }
+    const ctx = this.ctx;
+    ctx.save();
+    bonds.forEach(([a, b]) => {
+      const molecule = this.moleculeMap.get(a.moleculeId);
+      const bond = molecule && a.moleculeId === b.moleculeId && this.getGeometry(molecule).bondTypes
+        .find(entry => (entry.atom1 === a.atomIndex && entry.atom2 === b.atomIndex) || (entry.atom1 === b.atomIndex && entry.atom2 === a.atomIndex));
+      if (bond) {
+        const geometry = this.getGeometry(molecule);
+        const ring = this.skeletal && MoleculeRenderer.getSmallestRing(geometry.rings, geometry.bondTypes.indexOf(bond));
+        const ringCenter = ring && MoleculeRenderer.getCenter(ring.atoms.map(atom => position({ moleculeId: a.moleculeId, atomIndex: atom })));
+        // Drawn from the bond's first atom, where a wedge starts
+        const [from, to] = bond.atom1 === a.atomIndex ? [a, b] : [b, a];
+        this.drawNormalBond(...this.getBondEndsBetween(from, to, position(from), position(to)), bond.type, color, ringCenter, bond.stereo);
+      }
+    });
+    ctx.font = 'bold 16px Arial';
+    ctx.fillStyle = color;
+    atoms.forEach(ref => {
+      const point = position(ref);
+      const symbol = point && this.moleculeMap.get(ref.moleculeId).moleculeInfo.getAtomSymbol(ref.atomIndex);
+      if (point && !(this.skeletal && symbol === 'C')) {
+        const origin = this.getAtomLabelOrigin(point, symbol);
+        ctx.fillText(symbol, origin.x, origin.y);
+      }
+    });
+    ctx.restore();
+  }
+
+  // Square brackets around the molecule holding the bracket's atom, with the label at the lower right
+  drawBracket({ atom, label, pending }) {
+    const molecule = this.moleculeMap.get(atom.moleculeId);
+    if (!molecule || pending) {
+      return;
+    }
+    const points = Array.from({ length: molecule.moleculeInfo.getAtomCount() }, (_, index) => this.getAtomCanvasPosition(atom.moleculeId, index));
+    const margin = 24;
+    const serif = 8;
+    const left = Math.min(...points.map(point => point.x)) - margin;
+    const right = Math.max(...points.map(point => point.x)) + margin;
+    const top = Math.min(...points.map(point => point.y)) - margin;
+    const bottom = Math.max(...points.map(point => point.y)) + margin;
+    const ctx = this.ctx;
+    ctx.save();
+    ctx.strokeStyle = 'black';
+    ctx.lineWidth = 1.5;
+    [[left, serif], [right, -serif]].forEach(([x, direction]) => {
+      ctx.beginPath();
+      ctx.moveTo(x + direction, top);
+      ctx.lineTo(x, top);
+      ctx.lineTo(x, bottom);
+      ctx.lineTo(x + direction, bottom);
+      ctx.stroke();
+    });
+    if (label) {
+      ctx.font = '14px Arial';
+      ctx.fillStyle = 'black';
+      ctx.fillText(label, right + 4, bottom + 14);
+    }
+    ctx.restore();
+  }
+
+  // SVG markup of the current frame, drawn through an SvgContext in place of the canvas context (see
+  // svgContext.js). arrows, in the form showArrows takes, are drawn instead of the arrows on screen;
+  // fitToContent, padding and background are passed to SvgContext.toString.
+  toSVG({ arrows = null, fitToContent = true, padding = 20, background = 'white' } = {}) {
+    const svg = new SvgContext(this.canvas.width, this.canvas.height);
+    const canvasContext = this.ctx;
+    this.ctx = svg;
+    try {
+      this.drawScene({ useLayers: false, arrows });
+    } finally {
+      this.ctx = canvasContext;
+    }
+    return svg.toString({ fitToContent, padding, background });
+  }
+
+  // Canvas coordinates (relative to the molecule's position), bonds and charges of a molecule. They are
+  // rebuilt only when the molecule, the scale or the canvas height changed.
+  getGeometry(molecule) {
+    const { moleculeInfo } = molecule;
+    const key = `${moleculeInfo.version}|${this.scaleFactor}|${this.canvas.height}`;
+    const cached = molecule.geometry;
+    if (!cached || cached.moleculeInfo !== moleculeInfo || cached.key !== key) {
+      molecule.geometry = {
+        key,
+        moleculeInfo,
+        coords2D: this.project3Dto2D(moleculeInfo.getCoordinates3D()),
         bondTypes: moleculeInfo.getBondTypes(),
         formalCharges: moleculeInfo.getFormalCharges(),
+        aromaticRings: moleculeInfo.getAromaticRings(),
+        rings: moleculeInfo.getRings()
       };
-      this.drawMolecule(moleculeData, showAtomNumbers, position, moleculeInfo, bondManipulator);
     }
+    return molecule.geometry;
   }
 
-  startAnimation() {
-    if (!this.isAnimating) {
-      this.isAnimating = true;
-      this.animate();
+  // Offscreen drawing of everything in a molecule but its transitioning bonds, redrawn only when the
+  // geometry, the atom numbers or the set of transitioning bonds changed. null when no offscreen canvas
+  // can be created, in which case the molecule is drawn directly.
+  getLayer(molecule, geometry, hidden = new Set()) {
+    const { moleculeInfo, bondManipulator, showAtomNumbers } = molecule;
+    // Ghost bonds count too, since the electrons they move are left out of the static atoms
+    const transitionKey = [
+      ...(bondManipulator ? Array.from(bondManipulator.bondTransitions.entries()).filter(([, transitionInfo]) => !transitionInfo.done).map(([bondKey]) => bondKey) : []),
+      ...this.getGhostEnds(moleculeInfo).map(end => `ghost${end.atom}`)
+    ].sort().join(',');
+    const key = `${geometry.key}|${showAtomNumbers}|${this.aromaticCircles}|${this.skeletal}|${this.stereoLabels}|${transitionKey}|${Array.from(hidden).join(',')}`;
+    const cached = molecule.layer;
+    if (cached && cached.geometry === geometry && cached.key === key) {
+      return cached;
     }
+
+    const canvas = this.createLayerCanvas();
+    if (!canvas) {
+      return null;
+    }
+    // Room around the atoms for labels, atom numbers, charges and electrons
+    const margin = 40;
+    const xs = geometry.coords2D.map(coord => coord.x);
+    const ys = geometry.coords2D.map(coord => coord.y);
+    const x = Math.floor(Math.min(...xs, 0) - margin);
+    const y = Math.floor(Math.min(...ys, 0) - margin);
+    canvas.width = Math.ceil(Math.max(...xs, 0) + margin - x);
+    canvas.height = Math.ceil(Math.max(...ys, 0) + margin - y);
+
+    const mainContext = this.ctx;
+    this.ctx = canvas.getContext('2d');
+    try {
+      this.drawMolecule(geometry, showAtomNumbers, { x: -x, y: -y }, moleculeInfo, bondManipulator, 'static', hidden);
+    } finally {
+      this.ctx = mainContext;
+    }
+    molecule.layer = { canvas, x, y, key, geometry, transitionKey };
+    return molecule.layer;
+  }
+
+  createLayerCanvas() {
+    return typeof document !== 'undefined' && document.createElement ? document.createElement('canvas') : null;
   }
 
-  stopAnimation() {
-    this.isAnimating = false;
-    if (this.animationFrameId) {
-      cancelAnimationFrame(this.animationFrameId);
-      this.animationFrameId = null;
+  // Show curved arrows for a step. Each arrow is { from, to, fishhook } where from/to are
+  // { kind: 'lonePair' | 'radical' | 'atom' | 'bond', atoms: [{ moleculeId, atomIndex }, ...] }.
+  // Arrows stay fully visible for leadTime + holdTime milliseconds and then fade out over fadeTime.
+  // Times are timeline milliseconds, so arrows freeze when the timeline is paused.
+  showArrows(arrows, { leadTime = 800, holdTime = 3000, fadeTime = 1000 } = {}) {
+    const shownAt = this.timeline.time;
+    this.arrows = this.arrows.filter(arrow => shownAt - arrow.shownAt < arrow.visibleFor + arrow.fadeTime);
+    this.copyArrows(arrows).forEach(arrow => this.arrows.push({
+      ...arrow,
+      shownAt,
+      visibleFor: leadTime + holdTime,
+      fadeTime
+    }));
+    this.timeline.add({ duration: leadTime + holdTime + fadeTime, easing: 'linear', background: true });
+    this.requestRender();
+  }
+
+  clearArrows() {
+    this.arrows = [];
+    this.requestRender();
+  }
+
+  // Arrows drawn half transparent until they are replaced, e.g. while a step is drawn with the mouse (see
+  // arrowEditor.js). Besides the endpoints of showArrows, an endpoint may be a canvas point { kind: 'point', x, y }.
+  setPreviewArrows(arrows) {
+    this.previewArrows = arrows.map(arrow => ({
+      from: arrow.from,
+      to: arrow.to.kind === 'point' ? { ...arrow.to, atoms: [] } : arrow.to,
+      fishhook: arrow.fishhook
+    }));
+    this.requestRender();
+  }
+
+  // Copies of arrows with their own atom references, which remapAtoms updates in place when molecules merge or split
+  copyArrows(arrows) {
+    const copy = endpoint => ({ kind: endpoint.kind, atoms: endpoint.atoms.map(ref => ({ ...ref })) });
+    return arrows.map(arrow => ({ from: copy(arrow.from), to: copy(arrow.to), fishhook: arrow.fishhook }));
+  }
+
+  drawArrows() {
+    // Arrows outside their time window stay in the list, the timeline may be seeked back to them
+    const now = this.timeline.time;
+    this.arrows.forEach(arrow => {
+      if (now < arrow.shownAt || now - arrow.shownAt >= arrow.visibleFor + arrow.fadeTime) {
+        return;
+      }
+      const fade = (now - arrow.shownAt - arrow.visibleFor) / arrow.fadeTime;
+      this.drawArrow(arrow, fade > 0 ? 1 - fade : 1);
+    });
+  }
+
+  drawArrow(arrow, alpha) {
+    const start = this.resolveArrowEndpoint(arrow.from, arrow.to);
+    const end = this.resolveArrowEndpoint(arrow.to, arrow.from);
+    if (start && end) {
+      this.drawCurvedArrow(start, end, { fishhook: arrow.fishhook, alpha, bendAway: this.getMoleculeCenter(arrow.from.atoms[0].moleculeId) });
+    }
+  }
+
+  // Canvas position of an atom, including the molecule's layout position
+  getAtomCanvasPosition(moleculeId, atomIndex) {
+    const molecule = this.moleculeMap.get(moleculeId);
+    if (!molecule || atomIndex >= molecule.moleculeInfo.getAtomCount()) {
+      return null;
+    }
+    const coord = this.getGeometry(molecule).coords2D[atomIndex];
+    const offset = molecule.bondManipulator && molecule.bondManipulator.getAtomOffset(atomIndex);
+    return {
+      x: coord.x + molecule.position.x + (offset ? offset.x : 0),
+      y: coord.y + molecule.position.y + (offset ? offset.y : 0)
+    };
+  }
+
+  getMoleculeCenter(moleculeId) {
+    const molecule = this.moleculeMap.get(moleculeId);
+    if (!molecule) {
+      return null;
+    }
+    const coords = this.getGeometry(molecule).coords2D;
+    const sum = coords.reduce((acc, coord) => ({ x: acc.x + coord.x, y: acc.y + coord.y }), { x: 0, y: 0 });
+    return { x: sum.x / coords.length + molecule.position.x, y: sum.y / coords.length + molecule.position.y };
+  }
+
+  // Turn an arrow endpoint into a canvas point; the other endpoint decides where a lone pair sits
+  resolveArrowEndpoint(endpoint, otherEndpoint) {
+    if (endpoint.kind === 'point') {
+      return { x: endpoint.x, y: endpoint.y };
     }
+    const points = endpoint.atoms.map(ref => this.getAtomCanvasPosition(ref.moleculeId, ref.atomIndex));
+    if (points.some(point => !point)) {
+      return null;
+    }
+
+    if (endpoint.kind === 'bond') {
+      return { x: (points[0].x + points[1].x) / 2, y: (points[0].y + points[1].y) / 2 };
+    }
+
+    // Stop arrows short of the atom label, and start lone-pair arrows just beside it
+    const otherRef = otherEndpoint.atoms[otherEndpoint.atoms.length - 1];
+    const other = (otherEndpoint.kind === 'point' ? otherEndpoint : otherRef && this.getAtomCanvasPosition(otherRef.moleculeId, otherRef.atomIndex)) || points[0];
+    const dx = other.x - points[0].x;
+    const dy = other.y - points[0].y;
+    const length = Math.sqrt(dx * dx + dy * dy) || 1;
+    const fromElectrons = endpoint.kind === 'lonePair' || endpoint.kind === 'radical';
+    const offset = fromElectrons ? 14 : 12;
+    if (fromElectrons) {
+      // Sit on the side away from the target so the curve has room to bend
+      return { x: points[0].x - (dy / length) * offset, y: points[0].y + (dx / length) * offset };
+    }
+    return { x: points[0].x + (dx / length) * offset, y: points[0].y + (dy / length) * offset };
   }
 
-  animate() {
-    if (this.isAnimating) {
-      this.renderMolecules();
-      this.animationFrameId = requestAnimationFrame(() => this.animate());
+  // Draw a Bezier electron-pushing arrow from start to end, bending away from the given point.
+  // Fishhook arrows (single electron moves) get a half head.
+  drawCurvedArrow(start, end, { fishhook = false, alpha = 1, bendAway = null } = {}) {
+    const ctx = this.ctx;
+    const dx = end.x - start.x;
+    const dy = end.y - start.y;
+    const length = Math.sqrt(dx * dx + dy * dy) || 1;
+
+    // Perpendicular bend, flipped so the curve bulges away from the molecule
+    let normalX = -dy / length;
+    let normalY = dx / length;
+    const midX = (start.x + end.x) / 2;
+    const midY = (start.y + end.y) / 2;
+    if (bendAway && (midX - bendAway.x) * normalX + (midY - bendAway.y) * normalY < 0) {
+      normalX = -normalX;
+      normalY = -normalY;
+    }
+    const bend = Math.max(15, length * 0.4);
+    const control1 = { x: start.x + dx * 0.25 + normalX * bend, y: start.y + dy * 0.25 + normalY * bend };
+    const control2 = { x: start.x + dx * 0.75 + normalX * bend, y: start.y + dy * 0.75 + normalY * bend };
+
+    ctx.save();
+    ctx.globalAlpha = alpha;
+    ctx.strokeStyle = 'red';
+    ctx.fillStyle = 'red';
+    ctx.lineWidth = 1.5;
+
+    ctx.beginPath();
+    ctx.moveTo(start.x, start.y);
+    ctx.bezierCurveTo(control1.x, control1.y, control2.x, control2.y, end.x, end.y);
+    ctx.stroke();
+
+    // Arrow head follows the curve's final tangent
+    const angle = Math.atan2(end.y - control2.y, end.x - control2.x);
+    const headLength = 9;
+    const headAngle = Math.PI / 7;
+    ctx.beginPath();
+    ctx.moveTo(end.x, end.y);
+    ctx.lineTo(end.x - headLength * Math.cos(angle - headAngle), end.y - headLength * Math.sin(angle - headAngle));
+    if (fishhook) {
+      ctx.stroke();
+    } else {
+      ctx.lineTo(end.x - headLength * Math.cos(angle + headAngle), end.y - headLength * Math.sin(angle + headAngle));
+      ctx.closePath();
+      ctx.fill();
     }
+    ctx.restore();
   }
 
   getMolecules() {
@@ -0,0 +1,114 @@
+/**
+ The molfileIO.js file reads and writes the MDL file formats that drawing programs exchange structures in, so
+molecules can be brought in with the layout their author drew instead of being retyped as SMILES.
+Formats:
+- Molfile, V2000 or V3000: one molecule. OCL parses it (MoleculeInfo.initializeMolecule accepts the text directly).
+- SD file: Molfile records, each followed by optional data fields ("> <name>" and its lines) and ended by "$$$$".
+- RXN file, V2000 or V3000: a reaction; its reactants become the molecules of a scene (Actions.loadStructures).
+Reading:
+readStructures(text) works out the format and returns { title, molecules }, molecules being one Molfile text per
+molecule. SMILES text is passed through as it is, so every loader can take either.
+Writing:
+toSDF(records) joins Molfiles and their data fields into an SD file. The Molfiles come from MoleculeInfo.toMolfile,
+which writes the current charges and radicals of the electron ledger, so the state after any step can be saved.
+ */
+class MolfileIO {
+  // 'rxn', 'sdf', 'molfile' or 'smiles'
+  static detectFormat(text) {
+    if (typeof text !== 'string') {
+      throw new Error('Structure text must be a string.');
+    }
+    if (/^\s*\$RXN/.test(text)) {
+      return 'rxn';
+    }
+    if (/^\$\$\$\$\s*$/m.test(text)) {
+      return 'sdf';
+    }
+    return MolfileIO.isMolfile(text) ? 'molfile' : 'smiles';
+  }
+
+  static isMolfile(text) {
+    return typeof text === 'string' && /^M {2}END\s*$/m.test(text);
+  }
+
+  // { title, molecules } of a Molfile, SD file, RXN file or SMILES; molecules holds one Molfile (or SMILES) each
+  static readStructures(text) {
+    switch (MolfileIO.detectFormat(text)) {
+      case 'rxn': {
+        const reaction = MolfileIO.parseRxn(text);
+        if (reaction.reactants.length === 0) {
+          throw new Error('The RXN file has no reactants.');
+        }
+        return { title: reaction.name, molecules: reaction.reactants };
+      }
+      case 'sdf': {
+        const records = MolfileIO.parseSDF(text);
+        if (records.length === 0) {
+          throw new Error('The SD file has no records.');
+        }
+        return { title: records[0].name, molecules: records.map(record => record.molfile) };
+      }
+      case 'molfile':
+        return { title: MolfileIO.getName(text), molecules: [text] };
+      default:
+        return { title: '', molecules: [text.trim()] };
+    }
+  }
+
+  // Records of an SD file as { name, molfile, fields }, fields mapping each data field name to its text
+  static parseSDF(text) {
+    return text.split(/^\$\$\$\$[^\n]*\n?/m)
+      .filter(record => MolfileIO.isMolfile(record))
+      .map(record => {
+        const lines = record.split(/\r?\n/);
+        const end = lines.findIndex(line => /^M {2}END\s*$/.test(line));
+        const molfile = `${lines.slice(0, end + 1).join('\n')}\n`;
+        const fields = {};
+        let field = null;
+        lines.slice(end + 1).forEach(line => {
+          const header = line.match(/^>.*<([^>]*)>/);
+          if (header) {
+            field = header[1];
+            fields[field] = [];
+          } else if (field !== null && line.trim() !== '') {
+            fields[field].push(line);
+          } else {
+            field = null;
+          }
+        });
+        Object.keys(fields).forEach(name => {
+          fields[name] = fields[name].join('\n');
+        });
+        return { name: MolfileIO.getName(molfile), molfile, fields };
+      });
+  }
+
+  // SD file from records { molfile, fields }; field values are written one line per line of text
+  static toSDF(records) {
+    return records.map(({ molfile, fields = {} }) => {
+      const data = Object.entries(fields).map(([name, value]) => `> <${name}>\n${String(value)}\n\n`).join('');
+      return `${molfile.replace(/\s*$/, '')}\n${data}$$$$\n`;
+    }).join('');
+  }
+
+  // { name, reactants, products } of an RXN file, the molecules as V3000 Molfiles with their drawn coordinates
+  static parseRxn(text) {
+    let reaction;
+    try {
+      reaction = OCL.Reaction.fromRxn(text);
+    } catch (error) {
+      throw new Error(`Could not read the RXN file: ${error.message || error}`);
+    }
+    const molfiles = (count, get) => Array.from({ length: count }, (_, i) => get(i).toMolfileV3());
+    return {
+      name: reaction.getName() || '',
+      reactants: molfiles(reaction.getReactants(), i => reaction.getReactant(i)),
+      products: molfiles(reaction.getProducts(), i => reaction.getProduct(i))
+    };
+  }
+
+  // The first line of a Molfile holds the molecule's name, often left empty
+  static getName(molfile) {
+    return molfile.split(/\r?\n/)[0].trim();
+  }
+}
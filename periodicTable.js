@@ -0,0 +1,159 @@
+/**
+ The periodicTable.js file holds the element data the rest of the project needs, in one place: valence electrons
+for the lone pair calculation and the electron audit, electron limits for arrow validation and colors for drawing.
+Elements:
+Every element up to xenon is listed, plus the heavier ones that turn up in organic chemistry (Cs, Ba, Pt, Au, Hg, Tl,
+Pb, Bi). Each entry has its atomic number, period, group, typical valences and CPK color (the Jmol scheme).
+Valence electrons:
+Main-group elements have as many valence electrons as their group says (group 1 and 2: one and two, groups 13 to 18:
+three to eight). Transition metals have none here: their d electrons do not follow the lone pair model, so
+MoleculeInfo gives them no lone pairs and the electron audit leaves them out.
+Electron limits (maxValenceElectrons):
+- Hydrogen and helium: a duet (2).
+- Period 2: a strict octet (8). Boron is electron deficient: it is stable with six electrons in BH3 or BF3, and a lone
+  pair may fill it up to an octet but never beyond.
+- Period 3 and below, groups 14 to 18 (Si, P, S, Cl, Se, Br, I, ...): an expanded octet of up to 12, as in phosphates
+  and sulfones. Metals of these periods keep an octet.
+- Transition metals: 18 electrons.
+Electronegativity:
+electronegativity(symbol) gives the Pauling value of main-group elements, for ranking resonance contributors by where
+their charges sit (see resonance.js). Transition metals and noble gases without one give undefined.
+Colors:
+color(symbol) gives the CPK color for drawing on a white background. Hydrogen (white) and carbon (pale gray) would be
+hard to read there, so they are drawn gray and black instead, as chemists draw them.
+ */
+class PeriodicTable {
+  // Element entries by symbol, built once from the rows below: [atomic number, symbol, group, CPK color, typical valences]
+  static get ELEMENTS() {
+    if (!PeriodicTable.elements) {
+      const rows = [
+        [1, 'H', 1, '#FFFFFF', [1]], [2, 'He', 18, '#D9FFFF', [0]],
+        [3, 'Li', 1, '#CC80FF', [1]], [4, 'Be', 2, '#C2FF00', [2]], [5, 'B', 13, '#FFB5B5', [3]],
+        [6, 'C', 14, '#909090', [4]], [7, 'N', 15, '#3050F8', [3]], [8, 'O', 16, '#FF0D0D', [2]],
+        [9, 'F', 17, '#90E050', [1]], [10, 'Ne', 18, '#B3E3F5', [0]],
+        [11, 'Na', 1, '#AB5CF2', [1]], [12, 'Mg', 2, '#8AFF00', [2]], [13, 'Al', 13, '#BFA6A6', [3]],
+        [14, 'Si', 14, '#F0C8A0', [4]], [15, 'P', 15, '#FF8000', [3, 5]], [16, 'S', 16, '#FFFF30', [2, 4, 6]],
+        [17, 'Cl', 17, '#1FF01F', [1, 3, 5, 7]], [18, 'Ar', 18, '#80D1E3', [0]],
+        [19, 'K', 1, '#8F40D4', [1]], [20, 'Ca', 2, '#3DFF00', [2]],
+        [21, 'Sc', 3, '#E6E6E6', []], [22, 'Ti', 4, '#BFC2C7', []], [23, 'V', 5, '#A6A6AB', []],
+        [24, 'Cr', 6, '#8A99C7', []], [25, 'Mn', 7, '#9C7AC7', []], [26, 'Fe', 8, '#E06633', []],
+        [27, 'Co', 9, '#F090A0', []], [28, 'Ni', 10, '#50D050', []], [29, 'Cu', 11, '#C88033', []],
+        [30, 'Zn', 12, '#7D80B0', []],
+        [31, 'Ga', 13, '#C28F8F', [3]], [32, 'Ge', 14, '#668F8F', [4]], [33, 'As', 15, '#BD80E3', [3, 5]],
+        [34, 'Se', 16, '#FFA100', [2, 4, 6]], [35, 'Br', 17, '#A62929', [1, 3, 5, 7]], [36, 'Kr', 18, '#5CB8D1', [0, 2]],
+        [37, 'Rb', 1, '#702EB0', [1]], [38, 'Sr', 2, '#00FF00', [2]],
+        [39, 'Y', 3, '#94FFFF', []], [40, 'Zr', 4, '#94E0E0', []], [41, 'Nb', 5, '#73C2C9', []],
+        [42, 'Mo', 6, '#54B5B5', []], [43, 'Tc', 7, '#3B9E9E', []], [44, 'Ru', 8, '#248F8F', []],
+        [45, 'Rh', 9, '#0A7D8C', []], [46, 'Pd', 10, '#006985', []], [47, 'Ag', 11, '#C0C0C0', []],
+        [48, 'Cd', 12, '#FFD98F', []],
+        [49, 'In', 13, '#A67573', [3]], [50, 'Sn', 14, '#668080', [2, 4]], [51, 'Sb', 15, '#9E63B5', [3, 5]],
+        [52, 'Te', 16, '#D47A00', [2, 4, 6]], [53, 'I', 17, '#940094', [1, 3, 5, 7]], [54, 'Xe', 18, '#429EB0', [0, 2, 4, 6]],
+        [55, 'Cs', 1, '#57178F', [1]], [56, 'Ba', 2, '#00C900', [2]],
+        [78, 'Pt', 10, '#D0D0E0', []], [79, 'Au', 11, '#FFD123', []], [80, 'Hg', 12, '#B8B8D0', []],
+        [81, 'Tl', 13, '#A6544D', [1, 3]], [82, 'Pb', 14, '#575961', [2, 4]], [83, 'Bi', 15, '#9E4FB5', [3, 5]]
+      ];
+      PeriodicTable.elements = new Map();
+      PeriodicTable.elementsByNumber = new Map();
+      rows.forEach(([atomicNo, symbol, group, color, valences]) => {
+        const element = {
+          atomicNo,
+          symbol,
+          period: PeriodicTable.periodOf(atomicNo),
+          group,
+          color,
+          valences,
+          transitionMetal: group >= 3 && group <= 12
+        };
+        PeriodicTable.elements.set(symbol, element);
+        PeriodicTable.elementsByNumber.set(atomicNo, element);
+      });
+    }
+    return PeriodicTable.elements;
+  }
+
+  static periodOf(atomicNo) {
+    const lastOfPeriod = [2, 10, 18, 36, 54, 86, 118];
+    return lastOfPeriod.findIndex(last => atomicNo <= last) + 1;
+  }
+
+  // Entry for an element symbol ('Cl') or atomic number (17), or null when it is not listed
+  static element(symbolOrAtomicNo) {
+    const elements = PeriodicTable.ELEMENTS;
+    const element = typeof symbolOrAtomicNo === 'number'
+      ? PeriodicTable.elementsByNumber.get(symbolOrAtomicNo)
+      : elements.get(symbolOrAtomicNo);
+    return element || null;
+  }
+
+  // Valence electrons of a main-group element; undefined for transition metals and unlisted elements
+  static valenceElectrons(symbolOrAtomicNo) {
+    const element = PeriodicTable.element(symbolOrAtomicNo);
+    if (!element || element.transitionMetal) {
+      return undefined;
+    }
+    if (element.symbol === 'He') {
+      return 2;
+    }
+    return element.group <= 2 ? element.group : element.group - 10;
+  }
+
+  // Numbers of bonds the neutral element usually forms, e.g. [2, 4, 6] for sulfur
+  static typicalValences(symbolOrAtomicNo) {
+    const element = PeriodicTable.element(symbolOrAtomicNo);
+    return element ? element.valences.slice() : [];
+  }
+
+  // Most valence electrons an atom of the element may be surrounded by (see the file comment)
+  static maxValenceElectrons(symbolOrAtomicNo) {
+    const element = PeriodicTable.element(symbolOrAtomicNo);
+    if (!element) {
+      return 8;
+    }
+    if (element.period === 1) {
+      return 2;
+    }
+    if (element.transitionMetal) {
+      return 18;
+    }
+    return element.period >= 3 && element.group >= 14 ? 12 : 8;
+  }
+
+  // Name of the rule behind maxValenceElectrons, for messages
+  static shellName(maxValenceElectrons) {
+    return { 2: 'duet', 8: 'octet', 12: 'expanded octet', 18: '18-electron rule' }[maxValenceElectrons] || 'valence shell';
+  }
+
+  // Pauling electronegativity of a main-group element; undefined for transition metals and elements without one
+  static electronegativity(symbolOrAtomicNo) {
+    const element = PeriodicTable.element(symbolOrAtomicNo);
+    if (!element) {
+      return undefined;
+    }
+    const values = {
+      H: 2.2, Li: 0.98, Be: 1.57, B: 2.04, C: 2.55, N: 3.04, O: 3.44, F: 3.98,
+      Na: 0.93, Mg: 1.31, Al: 1.61, Si: 1.9, P: 2.19, S: 2.58, Cl: 3.16,
+      K: 0.82, Ca: 1.0, Ga: 1.81, Ge: 2.01, As: 2.18, Se: 2.55, Br: 2.96, Kr: 3.0,
+      Rb: 0.82, Sr: 0.95, In: 1.78, Sn: 1.96, Sb: 2.05, Te: 2.1, I: 2.66, Xe: 2.6,
+      Cs: 0.79, Ba: 0.89, Tl: 1.62, Pb: 2.33, Bi: 2.02
+    };
+    return values[element.symbol];
+  }
+
+  // Drawing color on a white background (CPK, with hydrogen gray and carbon black)
+  static color(symbolOrAtomicNo) {
+    const element = PeriodicTable.element(symbolOrAtomicNo);
+    if (!element) {
+      return 'black';
+    }
+    return { H: 'gray', C: 'black' }[element.symbol] || element.color;
+  }
+
+  // Drawing colors of every listed element by symbol
+  static colors() {
+    const colors = {};
+    PeriodicTable.ELEMENTS.forEach((element, symbol) => {
+      colors[symbol] = PeriodicTable.color(symbol);
+    });
+    return colors;
+  }
+}
@@ -0,0 +1,233 @@
+/**
+ The practice.js file is a quiz mode: a learner sees the starting molecules of a reference mechanism and draws each
+arrow themselves, getting feedback on every attempt.
+Grading:
+Arrows come from the mouse (ArrowEditor with an onArrow handler) or any other source, in mechanism form. submitArrow
+compares an attempt with the arrows of the current reference step that have not been found yet, in any order. Both
+are turned into the stable ids of the atoms their electrons come from and go to (see describeArrow), so an arrow
+drawn by id matches a reference written with indices or atom-map numbers. The verdicts are:
+  correct        the arrow is one of the step's arrows
+  invalid        the arrow is impossible as drawn (e.g. a lone pair taken from an atom that has none), found by
+                 ArrowValidator; a step's arrows are only checked together, so an octet exceeded halfway is allowed
+  wrongSink      the electrons are right but go somewhere else
+  wrongSource    none of the step's arrows moves these electrons
+Once every arrow of a step has been found the step plays through Actions.nextStep, with its arrows shown as usual.
+Each wrong attempt uses up one of maxAttempts; when none are left the step is revealed (played) and scores nothing.
+Reference steps are compared in the state before they play, so arrows written with plain indices must name atoms
+as they are numbered then (steps from templates, the arrow editor and map numbers always do).
+Hints:
+hint() highlights the electron source of an arrow still to be found, and from the second call on its destination
+too, naming the roles when the step came from a template (e.g. "the nucleophile"). A hint does not use up an attempt
+but costs as much of the score as one.
+Score:
+A solved step is worth 1 point less 0.25 for each wrong attempt and hint, but at least 0.25; a revealed step is
+worth nothing. getReport() lists every step; formatReport() writes it as text.
+ */
+class PracticeSession {
+  constructor(actions, { maxAttempts = 3 } = {}) {
+    if (!actions.mechanism || actions.mechanism.stepCount === 0) {
+      throw new Error('Practice needs a loaded mechanism with at least one step.');
+    }
+    this.actions = actions;
+    this.maxAttempts = maxAttempts;
+    actions.jumpToStep(0);
+    this.results = actions.mechanism.steps.map((step, index) => ({
+      step: index + 1,
+      caption: step.caption,
+      arrows: step.arrows.length,
+      found: [], // Indices of the step's arrows found so far
+      wrongAttempts: 0,
+      hints: 0,
+      solved: false,
+      revealed: false
+    }));
+  }
+
+  get current() {
+    return this.results[this.actions.currentStep] || null;
+  }
+
+  get finished() {
+    return this.results.every(result => result.solved || result.revealed);
+  }
+
+  get expectedArrows() {
+    return this.actions.mechanism.steps[this.actions.currentStep].arrows;
+  }
+
+  // Grade one arrow of the current step. Resolves to { verdict, message, stepComplete, finished, attemptsLeft };
+  // a step that is complete or revealed has been played by the time it resolves.
+  async submitArrow(arrow) {
+    const result = this.current;
+    if (!result || this.actions.isPlaying) {
+      return { verdict: 'finished', message: 'There is no step to answer.', stepComplete: false, finished: this.finished, attemptsLeft: 0 };
+    }
+    const attempt = this.describeArrow(arrow);
+    const open = this.expectedArrows.map((expected, index) => ({ index, ...this.describeArrow(expected) }))
+      .filter(expected => !result.found.includes(expected.index));
+    const match = open.find(expected => expected.type === attempt.type && expected.source === attempt.source && expected.sink === attempt.sink);
+    if (match) {
+      result.found.push(match.index);
+      if (result.found.length < result.arrows) {
+        const left = result.arrows - result.found.length;
+        return this.feedback('correct', `Correct. ${left} more arrow${left === 1 ? '' : 's'} in this step.`, false);
+      }
+      result.solved = true;
+      await this.playStep();
+      return this.feedback('correct', 'Correct. Step complete.', true);
+    }
+
+    let verdict = 'wrongSource';
+    let message = 'These electrons do not move in this step; look for another electron source.';
+    const problems = this.actions.validateStep({ arrows: [arrow] }).filter(error => error.code !== ArrowValidator.ERRORS.OCTET_EXCEEDED);
+    if (problems.length > 0) {
+      verdict = 'invalid';
+      message = `That arrow is not possible: ${problems[0].message}`;
+    } else if (open.some(expected => expected.source === attempt.source)) {
+      verdict = 'wrongSink';
+      message = 'Right electrons, but they go somewhere else.';
+    }
+    result.wrongAttempts++;
+    if (this.attemptsLeft > 0) {
+      return this.feedback(verdict, message, false);
+    }
+    result.revealed = true;
+    await this.playStep();
+    return this.feedback(verdict, `${message} No attempts left; the answer is shown.`, true);
+  }
+
+  // Give up on the current step and play it
+  async reveal() {
+    const result = this.current;
+    if (!result || this.actions.isPlaying) {
+      return false;
+    }
+    result.revealed = true;
+    await this.playStep();
+    return true;
+  }
+
+  get attemptsLeft() {
+    const result = this.current;
+    return result ? Math.max(0, this.maxAttempts - result.wrongAttempts) : 0;
+  }
+
+  feedback(verdict, message, stepComplete) {
+    return { verdict, message, stepComplete, finished: this.finished, attemptsLeft: this.attemptsLeft };
+  }
+
+  async playStep() {
+    this.actions.renderer.setHighlights([]);
+    await this.actions.nextStep();
+  }
+
+  // Highlight the source of an arrow still to be found, or its source and destination on the next call.
+  // Returns the hint's text, or null when there is no step left.
+  hint() {
+    const result = this.current;
+    if (!result) {
+      return null;
+    }
+    const step = this.actions.mechanism.steps[this.actions.currentStep];
+    const index = step.arrows.findIndex((arrow, i) => !result.found.includes(i));
+    const arrow = this.actions.resolveArrow(step.arrows[index]);
+    const atoms = Mechanism.parsePath(arrow.path).map((atomIndex, position, path) => ({
+      moleculeId: this.actions.moleculeIds[Mechanism.getAtomMolecule(arrow, position, path.length)],
+      atomIndex
+    }));
+    const [sourceAtoms, sinkAtoms] = PracticeSession.getEnds(arrow.arrow, atoms);
+    const detailed = result.hints > 0;
+    result.hints++;
+
+    const source = this.describeRole(this.actions.currentStep, sourceAtoms, sourceAtoms.length === 1 ? 'the atom whose lone pair or single electron moves' : 'the bond whose electrons move');
+    const highlights = [{ atoms: sourceAtoms, color: 'gold' }];
+    let text = `Start from ${source}, highlighted in gold.`;
+    if (detailed) {
+      const sink = this.describeRole(this.actions.currentStep, sinkAtoms, sinkAtoms.length === 1 ? 'the atom that takes the electrons' : 'the bond that forms or grows');
+      highlights.push({ atoms: sinkAtoms, color: 'deepskyblue' });
+      text = `Move electrons from ${source} (gold) to ${sink} (blue).`;
+    }
+    this.actions.renderer.setHighlights(highlights);
+    return text;
+  }
+
+  // Role names of the atoms when the step belongs to a template (see mechanismTemplates.js), e.g. "the nucleophile"
+  // or "the bond between the beta hydrogen and the beta carbon", else fallback
+  describeRole(stepIndex, atoms, fallback) {
+    const steps = this.actions.mechanism.steps.slice(0, stepIndex + 1);
+    const templateStep = steps.reverse().find(step => step.template);
+    const roles = atoms.map(ref => {
+      const atomId = this.actions.renderer.moleculeMap.get(ref.moleculeId).moleculeInfo.getAtomId(ref.atomIndex);
+      const role = templateStep && Object.keys(templateStep.template.atoms).find(name => templateStep.template.atoms[name] === atomId);
+      return role && `the ${role.replace(/([A-Z])/g, ' $1').toLowerCase()}`;
+    });
+    if (!roles.every(role => role)) {
+      return fallback;
+    }
+    return roles.length === 1 ? roles[0] : `the bond between ${roles.join(' and ')}`;
+  }
+
+  // The atoms the electrons of an arrow come from and go to, from its path atoms in order
+  static getEnds(arrowType, [a, b, c]) {
+    switch (arrowType) {
+      case 'A2A':
+        return [[a], [b]];
+      case 'A2B':
+        return [[a], [a, b]];
+      case 'B2A':
+        return [[a, b], [b]];
+      case 'B2B':
+        return [[a, b], [b, c]];
+      default:
+        // Homolysis and radical recombination read the same either way round
+        return [[a, b], [a, b]];
+    }
+  }
+
+  // Arrow type with the stable ids of its source and sink atoms (as sorted lists), whatever notation its path uses
+  describeArrow(arrow) {
+    const resolved = this.actions.resolveArrow(arrow);
+    const atoms = Mechanism.parsePath(resolved.path);
+    const ids = atoms.map((atomIndex, position) => {
+      const moleculeInfo = this.actions.getMoleculeInfo(Mechanism.getAtomMolecule(resolved, position, atoms.length));
+      return moleculeInfo && Number.isInteger(atomIndex) ? moleculeInfo.getAtomId(atomIndex) : null;
+    });
+    const key = list => list.slice().sort((x, y) => x - y).join(',');
+    const [source, sink] = PracticeSession.getEnds(arrow.arrow, ids);
+    return { type: arrow.arrow, source: key(source), sink: key(sink) };
+  }
+
+  // { title, steps, score, maxScore, percent }; each step lists its wrong attempts, hints and points
+  getReport() {
+    const steps = this.results.map(result => {
+      const penalty = 0.25 * (result.wrongAttempts + result.hints);
+      const points = result.solved ? Math.max(0.25, 1 - penalty) : 0;
+      return {
+        step: result.step,
+        caption: result.caption,
+        solved: result.solved,
+        revealed: result.revealed,
+        wrongAttempts: result.wrongAttempts,
+        hints: result.hints,
+        points
+      };
+    });
+    const score = steps.reduce((sum, step) => sum + step.points, 0);
+    return {
+      title: this.actions.mechanism.title,
+      steps,
+      score,
+      maxScore: steps.length,
+      percent: Math.round(score / steps.length * 100)
+    };
+  }
+
+  formatReport() {
+    const report = this.getReport();
+    const lines = report.steps.map(step => {
+      const outcome = step.solved ? 'solved' : step.revealed ? 'answer shown' : 'not answered';
+      return `Step ${step.step}: ${outcome}, ${step.wrongAttempts} wrong, ${step.hints} hint${step.hints === 1 ? '' : 's'}, ${step.points} point${step.points === 1 ? '' : 's'}`;
+    });
+    return [`${report.title}: ${report.score} of ${report.maxScore} points (${report.percent}%)`, ...lines].join('\n');
+  }
+}
@@ -0,0 +1,198 @@
+#!/usr/bin/env node
+/**
+ The renderMechanism.js file is a command line tool that plays a mechanism in Node and writes every frame of it, for
+building course material without a browser.
+Usage:
+  node renderMechanism.js <mechanism.json> [options]
+  --format svg|png|gif   numbered SVG or PNG frames in a folder, or one animated GIF (default svg)
+  --out <path>           folder for the frames, or the GIF file (default: named after the mechanism file)
+  --fps <number>         frames per second of animation time (default 25)
+  --width, --height      frame size in pixels (default 800 x 600)
+  --scale <number>       pixels per bond length unit (default 60)
+  --hold <ms>            how long the final state is shown after the last arrows have faded (default 1000)
+  --hydrogens <mode>     all|hetero|mechanism|none, which hydrogens are drawn (default: the mechanism's own, else all)
+  --skeletal             skeletal (line-angle) drawing in one ink color, without carbon labels
+  --cip                  (R)/(S) labels under the stereocenters, also when the mechanism does not ask for them
+Timing:
+The scene runs on a manual timeline (see headless.js and timeline.js). Between two frames the timeline is advanced
+by exactly 1000 / fps milliseconds, so the same mechanism and options always give the same frames, however fast or
+busy the machine is.
+Requirements:
+OpenChemLib (npm install openchemlib). PNG and GIF frames are drawn with the canvas package (npm install canvas);
+SVG frames need nothing else.
+ */
+const fs = require('fs');
+const path = require('path');
+const { loadScene, createActions } = require('./headless');
+const GifEncoder = require('./gifEncoder');
+
+const FORMATS = ['svg', 'png', 'gif'];
+
+function parseArguments(args) {
+  const options = {
+    format: 'svg', out: null, fps: 25, width: 800, height: 600, scale: 60, hold: 1000, hydrogens: null, skeletal: false,
+    cip: false
+  };
+  const numbers = ['fps', 'width', 'height', 'scale', 'hold'];
+  const flags = ['skeletal', 'cip']; // Options without a value
+  let file = null;
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (!arg.startsWith('--')) {
+      file = arg;
+      continue;
+    }
+    const name = arg.slice(2);
+    if (!(name in options)) {
+      throw new Error(`Unknown option ${arg}.`);
+    }
+    if (flags.includes(name)) {
+      options[name] = true;
+      continue;
+    }
+    const value = args[++i];
+    if (value === undefined) {
+      throw new Error(`Option ${arg} needs a value.`);
+    }
+    options[name] = numbers.includes(name) ? Number(value) : value;
+    const allowsZero = name === 'hold';
+    if (numbers.includes(name) && !(options[name] > 0 || (allowsZero && options[name] === 0))) {
+      throw new Error(`Option ${arg} needs a ${allowsZero ? 'non-negative' : 'positive'} number, got ${value}.`);
+    }
+  }
+  if (!file) {
+    throw new Error('Usage: node renderMechanism.js <mechanism.json> [--format svg|png|gif] [--out path] [--fps 25]');
+  }
+  if (!FORMATS.includes(options.format)) {
+    throw new Error(`Unknown format "${options.format}", use one of ${FORMATS.join(', ')}.`);
+  }
+  const name = path.basename(file, path.extname(file));
+  options.out = options.out || (options.format === 'gif' ? `${name}.gif` : `${name}-frames`);
+  return { file, options };
+}
+
+function loadCanvasPackage() {
+  try {
+    return require('canvas');
+  } catch (error) {
+    throw new Error('PNG and GIF output draw with the canvas package (npm install canvas); SVG output works without it.');
+  }
+}
+
+// Let promise callbacks of the scene run, e.g. a step continuing after its arrows were shown
+function settle() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+// Play every step of the loaded mechanism on the manual timeline, calling onFrame(frameNumber) for each frame:
+// the start state, each step at fixed intervals, the last arrows fading out, then hold milliseconds of the end state
+async function playFrames(actions, { fps, hold }, onFrame) {
+  const interval = 1000 / fps;
+  const { timeline } = actions;
+  let frame = 0;
+  await onFrame(frame++);
+
+  while (actions.currentStep < actions.mechanism.stepCount) {
+    let result = null;
+    actions.nextStep().then(played => {
+      result = { played };
+    }, error => {
+      result = { error };
+    });
+    await settle();
+    while (!result) {
+      timeline.advance(interval);
+      await settle();
+      await onFrame(frame++);
+    }
+    if (result.error) {
+      throw result.error;
+    }
+    if (!result.played) {
+      throw new Error(`Step ${actions.currentStep + 1} could not be played:\n${actions.stepErrors.map(error => error.message).join('\n')}`);
+    }
+  }
+
+  // Arrows fade on background tweens that the last step does not wait for
+  while (timeline.isRunning(true)) {
+    timeline.advance(interval);
+    await onFrame(frame++);
+  }
+  for (let elapsed = 0; elapsed < hold; elapsed += interval) {
+    timeline.advance(interval);
+    await onFrame(frame++);
+  }
+  return frame;
+}
+
+async function renderMechanism(file, options) {
+  const mechanism = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const { width, height, scale, format, out } = options;
+  const frameName = frame => path.join(out, `frame-${String(frame).padStart(4, '0')}.${format}`);
+
+  let canvas = null;
+  if (format !== 'svg') {
+    const { createCanvas } = loadCanvasPackage();
+    canvas = createCanvas(width, height);
+  }
+  const actions = createActions({ width, height, scale, canvas, scene: loadScene() });
+  await actions.loadMechanism(mechanism);
+  if (options.hydrogens) {
+    actions.renderer.setHydrogenMode(options.hydrogens);
+  }
+  actions.renderer.setSkeletal(options.skeletal);
+  if (options.cip) {
+    actions.renderer.setStereoLabels(true);
+  }
+
+  if (format === 'svg') {
+    fs.mkdirSync(out, { recursive: true });
+    const count = await playFrames(actions, options, frame => {
+      fs.writeFileSync(frameName(frame), actions.exportSVG(null, { fitToContent: false }));
+    });
+    return `${count} SVG frames in ${out}`;
+  }
+
+  // Pixel formats: draw the scene on the canvas, then put it on a white background
+  const { createCanvas } = loadCanvasPackage();
+  const output = createCanvas(width, height);
+  const outputContext = output.getContext('2d');
+  const drawFrame = () => {
+    actions.renderer.renderMolecules();
+    outputContext.fillStyle = 'white';
+    outputContext.fillRect(0, 0, width, height);
+    outputContext.drawImage(canvas, 0, 0);
+  };
+
+  if (format === 'png') {
+    fs.mkdirSync(out, { recursive: true });
+    const count = await playFrames(actions, options, frame => {
+      drawFrame();
+      fs.writeFileSync(frameName(frame), output.toBuffer('image/png'));
+    });
+    return `${count} PNG frames in ${out}`;
+  }
+
+  const encoder = new GifEncoder(width, height);
+  const count = await playFrames(actions, options, () => {
+    drawFrame();
+    encoder.addFrame(outputContext.getImageData(0, 0, width, height).data, 1000 / options.fps);
+  });
+  fs.mkdirSync(path.dirname(path.resolve(out)), { recursive: true });
+  fs.writeFileSync(out, encoder.toBuffer());
+  return `${count} frames in ${out}`;
+}
+
+if (require.main === module) {
+  (async () => {
+    try {
+      const { file, options } = parseArguments(process.argv.slice(2));
+      console.log(await renderMechanism(file, options));
+    } catch (error) {
+      console.error(error.message);
+      process.exitCode = 1;
+    }
+  })();
+}
+
+module.exports = { parseArguments, playFrames, renderMechanism };
@@ -0,0 +1,284 @@
+/**
+ The resonance.js file finds the resonance contributors of a molecule and the curved arrows that lead from one to the
+next, so resonance can be shown without writing every arrow of a mechanism file by hand.
+How it works:
+ResonanceEnumerator starts from the electron state of a MoleculeInfo (bond orders and ElectronLedger entries) and
+searches breadth first for structures one electron-pushing step away from those already found. A step is one of
+these concerted moves, written as arrows of mechanism.js:
+- A lone pair moves into the bond to a neighbour (A2B a-b).
+- A pi bond moves into the next bond of one of its atoms (B2B x-a-b).
+- When the atom receiving the electrons would exceed its octet, one of its own pi bonds moves on in the same step,
+  onto the far atom (B2A b-c) or into the next bond (B2B b-c-d).
+- Every pi bond of an aromatic ring moves one bond further round it (B2B arrows played together), which turns one
+  Kekulé structure of benzene into the other.
+- With the polarize option, a pi bond between two elements moves onto the more electronegative one (B2A a-b).
+A structure with more separated charges than the starting one is only kept when its negative charges sit on atoms
+more electronegative than carbon, as in the polar contributors of amides and nitroarenes; pushing a pi bond of
+benzene onto one of its own carbons gives nothing. Every candidate step is checked by ArrowValidator, so contributors follow the rules every
+mechanism follows: the lone pair or bond must be there and no atom may exceed its valence shell. Sigma bonds never
+break, so atoms keep their indices. Structures with a charge beyond +1 or -1 on one atom are left out, unless the
+molecule started with one, and so are structures with more than one incomplete octet beyond those it started with.
+Ranking:
+Contributors are compared by these rules, the first one deciding unless two structures tie on it:
+1. Complete octets: fewer second-period atoms of groups 14 to 17 (C, N, O, F) with less than eight electrons.
+2. Charge separation: a smaller sum of formal charges beyond the net charge of the molecule.
+3. Charge placement: negative charge on electronegative atoms and positive charge on electropositive ones, scored as
+   the sum of charge times Pauling electronegativity (see PeriodicTable.electronegativity).
+rank 1 is the major contributor; equivalent structures, like the two of a carboxylate, share their rank.
+Usage:
+  const enumerator = new ResonanceEnumerator(moleculeInfo);
+  const contributors = enumerator.enumerate();   // [{ index, snapshot, smiles, from, arrows, score, rank }, ...]
+  const document = enumerator.toMechanism('CC(=O)[O-]');
+toMechanism() returns a mechanism document that walks through the contributors in the order they were found, for
+Actions.loadMechanism; Actions.loadResonance(smiles) does both in one call.
+ */
+class ResonanceEnumerator {
+  // moleculeInfo is only read; contributors are built on copies of its electron state
+  constructor(moleculeInfo, { maxContributors = 12, polarize = false } = {}) {
+    this.moleculeInfo = moleculeInfo;
+    this.maxContributors = maxContributors;
+    this.polarize = polarize;
+    this.contributors = [];
+    this.links = []; // Every step found between two contributors, as { from, to, arrows }
+  }
+
+  // Contributors in the order they were found, the first being the structure of the MoleculeInfo. Each one is
+  // { index, snapshot, smiles, from, arrows, score, rank }, where arrows lead from contributor from to it.
+  enumerate() {
+    const start = this.moleculeInfo.getSnapshot();
+    const chargeLimit = Math.max(1, ...start.atoms.map(atom => Math.abs(atom.formalCharge)));
+    const contributors = [this.createContributor(0, start, null, [])];
+    const octetLimit = contributors[0].score.incompleteOctets + 1;
+    const indexByKey = new Map([[ResonanceEnumerator.stateKey(start), 0]]);
+    const links = [];
+
+    for (let current = 0; current < contributors.length; current++) {
+      this.findSteps(contributors[current].snapshot).forEach(arrows => {
+        const snapshot = ResonanceEnumerator.applyArrows(contributors[current].snapshot, arrows);
+        if (snapshot.atoms.some(atom => Math.abs(atom.formalCharge) > chargeLimit)) {
+          return;
+        }
+        const score = ResonanceEnumerator.score(snapshot);
+        if (score.incompleteOctets > octetLimit) {
+          return;
+        }
+        const carbon = PeriodicTable.electronegativity('C');
+        const anionOnCarbon = snapshot.atoms.some(atom => atom.formalCharge < 0 && !(PeriodicTable.electronegativity(atom.atomicNo) > carbon));
+        if (score.chargeSeparation > contributors[0].score.chargeSeparation && anionOnCarbon) {
+          return;
+        }
+        const key = ResonanceEnumerator.stateKey(snapshot);
+        if (!indexByKey.has(key)) {
+          if (contributors.length >= this.maxContributors) {
+            return;
+          }
+          indexByKey.set(key, contributors.length);
+          contributors.push(this.createContributor(contributors.length, snapshot, current, arrows));
+        }
+        links.push({ from: current, to: indexByKey.get(key), arrows });
+      });
+    }
+
+    ResonanceEnumerator.rank(contributors);
+    this.contributors = contributors;
+    this.links = links;
+    return contributors;
+  }
+
+  createContributor(index, snapshot, from, arrows) {
+    return {
+      index,
+      snapshot,
+      smiles: ResonanceEnumerator.toMoleculeInfo(snapshot).toSmiles(),
+      from,
+      arrows,
+      score: ResonanceEnumerator.score(snapshot),
+      rank: null
+    };
+  }
+
+  // Every legal step from a contributor, each a list of arrows on molecule 0
+  findSteps(snapshot) {
+    const moleculeInfo = ResonanceEnumerator.toMoleculeInfo(snapshot);
+    const molecule = moleculeInfo.getMolecule();
+    const validator = new ArrowValidator(index => (index === 0 ? { id: 'resonance', moleculeInfo } : null));
+    const isValid = arrows => validator.validateStep({ arrows }).length === 0;
+    const arrow = (type, ...atoms) => ({ arrow: type, molecule: 0, path: atoms.join('-') });
+    const neighbours = atom => {
+      const list = [];
+      for (let i = 0; i < molecule.getAllConnAtoms(atom); i++) {
+        list.push(molecule.getConnAtom(atom, i));
+      }
+      return list;
+    };
+    const isPiBond = (atom1, atom2) => moleculeInfo.getBondOrder(atom1, atom2) >= 2;
+    const steps = [];
+
+    // first brings electrons to acceptor through its bond with donor; an acceptor pushed past its octet passes
+    // one of its other pi bonds on
+    const addStep = (first, donor, acceptor) => {
+      const errors = validator.validateStep({ arrows: [first] });
+      if (errors.length === 0) {
+        steps.push([first]);
+        return;
+      }
+      if (!errors.every(error => error.code === ArrowValidator.ERRORS.OCTET_EXCEEDED && error.atoms[0] === acceptor)) {
+        return;
+      }
+      neighbours(acceptor).filter(far => far !== donor && isPiBond(acceptor, far)).forEach(far => {
+        const pushes = [
+          arrow('B2A', acceptor, far),
+          ...neighbours(far).filter(next => next !== acceptor).map(next => arrow('B2B', acceptor, far, next))
+        ];
+        pushes.filter(push => isValid([first, push])).forEach(push => steps.push([first, push]));
+      });
+    };
+
+    for (let atom = 0; atom < molecule.getAllAtoms(); atom++) {
+      if (molecule.getAtomicNo(atom) === 1) {
+        continue;
+      }
+      neighbours(atom).forEach(neighbour => {
+        if (moleculeInfo.getLonePairs(atom) > 0) {
+          addStep(arrow('A2B', atom, neighbour), atom, neighbour);
+        }
+        if (!isPiBond(atom, neighbour)) {
+          return;
+        }
+        neighbours(neighbour).filter(next => next !== atom).forEach(next => {
+          addStep(arrow('B2B', atom, neighbour, next), neighbour, next);
+        });
+        const polarizing = PeriodicTable.electronegativity(molecule.getAtomicNo(neighbour)) > PeriodicTable.electronegativity(molecule.getAtomicNo(atom));
+        if (this.polarize && polarizing && isValid([arrow('B2A', atom, neighbour)])) {
+          steps.push([arrow('B2A', atom, neighbour)]);
+        }
+      });
+    }
+
+    // Ring atoms come in ring order, so each pi bond can move on to the next bond in either direction
+    moleculeInfo.getAromaticRings().forEach(ring => {
+      [ring.atoms, ring.atoms.slice().reverse()].forEach(atoms => {
+        const arrows = [];
+        atoms.forEach((atom, i) => {
+          const next = atoms[(i + 1) % atoms.length];
+          if (isPiBond(atom, next)) {
+            arrows.push(arrow('B2B', atom, next, atoms[(i + 2) % atoms.length]));
+          }
+        });
+        if (arrows.length > 1 && isValid(arrows)) {
+          steps.push(arrows);
+        }
+      });
+    });
+    return steps;
+  }
+
+  // Mechanism document (see mechanism.js) for the SMILES or Molfile the MoleculeInfo was built from: it starts at
+  // the first contributor and visits the others in order, going back through earlier ones where no single step leads on.
+  toMechanism(source, { title = 'Resonance contributors', showAtomNumbers = false } = {}) {
+    if (this.contributors.length === 0) {
+      this.enumerate();
+    }
+    const steps = [];
+    let current = 0;
+    for (let target = 1; target < this.contributors.length; target++) {
+      this.findPath(current, target).forEach(link => {
+        const contributor = this.contributors[link.to];
+        steps.push({
+          caption: `Resonance contributor ${link.to + 1} of ${this.contributors.length} (rank ${contributor.rank}): ${contributor.smiles}`,
+          arrows: link.arrows.map(arrow => ({ ...arrow }))
+        });
+      });
+      current = target;
+    }
+    return { title, showAtomNumbers, molecules: [MolfileIO.isMolfile(source) ? { molfile: source } : source], steps };
+  }
+
+  // Shortest list of links from one contributor to another
+  findPath(from, to) {
+    const previous = new Map([[from, null]]);
+    const queue = [from];
+    while (queue.length > 0 && !previous.has(to)) {
+      const index = queue.shift();
+      this.links.filter(link => link.from === index && !previous.has(link.to)).forEach(link => {
+        previous.set(link.to, link);
+        queue.push(link.to);
+      });
+    }
+    if (!previous.has(to)) {
+      throw new Error(`No resonance step leads from contributor ${from + 1} to contributor ${to + 1}.`);
+    }
+    const path = [];
+    for (let link = previous.get(to); link; link = previous.get(link.from)) {
+      path.unshift(link);
+    }
+    return path;
+  }
+
+  static toMoleculeInfo(snapshot) {
+    const moleculeInfo = new MoleculeInfo();
+    moleculeInfo.restoreSnapshot(snapshot);
+    return moleculeInfo;
+  }
+
+  // Snapshot after the arrows of a step, applied through the electron ledger like any mechanism step
+  static applyArrows(snapshot, arrows) {
+    const moleculeInfo = ResonanceEnumerator.toMoleculeInfo(snapshot);
+    arrows.forEach(arrow => {
+      const problems = moleculeInfo.ledger.apply(ElectronLedger.getArrowChanges(arrow.arrow, Mechanism.parsePath(arrow.path)));
+      if (problems.length > 0) {
+        throw new Error(`${arrow.arrow} ${arrow.path} could not be applied: ${problems.join(' ')}`);
+      }
+    });
+    return moleculeInfo.getSnapshot();
+  }
+
+  // Identifies an electron state: bond orders, charges, lone pairs and single electrons
+  static stateKey(snapshot) {
+    const bonds = snapshot.bonds.map(bond => `${Math.min(bond.atom1, bond.atom2)}-${Math.max(bond.atom1, bond.atom2)}:${bond.order}`).sort();
+    const atoms = snapshot.atoms.map(atom => `${atom.formalCharge}/${atom.lonePairs}/${atom.singleElectrons}`);
+    return `${bonds.join(',')}|${atoms.join(',')}`;
+  }
+
+  // { incompleteOctets, chargeSeparation, chargePlacement } of a structure, lower being better (see the file comment)
+  static score(snapshot) {
+    const bondOrderSums = snapshot.atoms.map(() => 0);
+    snapshot.bonds.forEach(bond => {
+      bondOrderSums[bond.atom1] += bond.order;
+      bondOrderSums[bond.atom2] += bond.order;
+    });
+    let incompleteOctets = 0;
+    let totalCharge = 0;
+    let netCharge = 0;
+    let chargePlacement = 0;
+    snapshot.atoms.forEach((atom, index) => {
+      const element = PeriodicTable.element(atom.atomicNo);
+      const electrons = 2 * bondOrderSums[index] + 2 * atom.lonePairs + atom.singleElectrons;
+      if (element && element.period === 2 && element.group >= 14 && electrons < 8) {
+        incompleteOctets++;
+      }
+      totalCharge += Math.abs(atom.formalCharge);
+      netCharge += atom.formalCharge;
+      chargePlacement += atom.formalCharge * (PeriodicTable.electronegativity(atom.atomicNo) || 0);
+    });
+    return {
+      incompleteOctets,
+      chargeSeparation: totalCharge - Math.abs(netCharge),
+      chargePlacement: Math.round(chargePlacement * 100) / 100
+    };
+  }
+
+  static compareScores(a, b) {
+    return a.incompleteOctets - b.incompleteOctets || a.chargeSeparation - b.chargeSeparation || a.chargePlacement - b.chargePlacement;
+  }
+
+  // Give each contributor its rank, 1 for the best score; equal scores share a rank
+  static rank(contributors) {
+    const ordered = contributors.slice().sort((a, b) => ResonanceEnumerator.compareScores(a.score, b.score));
+    ordered.forEach((contributor, position) => {
+      const previous = ordered[position - 1];
+      contributor.rank = previous && ResonanceEnumerator.compareScores(previous.score, contributor.score) === 0 ? previous.rank : position + 1;
+    });
+    return contributors;
+  }
+}
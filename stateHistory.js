@@ -0,0 +1,73 @@
+/**
+ The stateHistory.js file keeps the list of scene snapshots that back undo, redo and jump-to-step.
+Snapshots:
+A snapshot is a plain, JSON-serializable object produced by Actions.captureState(). It holds, for every molecule,
+the atoms (element, coordinates and their ElectronLedger entries: charge, lone pairs, single electrons) and the
+bonds with their orders, so restoring it puts back exactly what was on screen.
+Behaviour:
+record(state) stores a deep copy and drops any states that could have been redone, like an editor's undo stack.
+undo() and redo() move one state back or forward, jumpTo(index) moves to any recorded state.
+Each returns the state to restore, or null when the move is not possible.
+ */
+class StateHistory {
+  constructor() {
+    this.states = [];
+    this.index = -1;
+  }
+
+  // Store a copy of the state after the current position, discarding the redo branch
+  record(state) {
+    this.states.splice(this.index + 1);
+    this.states.push(JSON.parse(JSON.stringify(state)));
+    this.index = this.states.length - 1;
+  }
+
+  reset() {
+    this.states = [];
+    this.index = -1;
+  }
+
+  get current() {
+    return this.states[this.index] || null;
+  }
+
+  get length() {
+    return this.states.length;
+  }
+
+  canUndo() {
+    return this.index > 0;
+  }
+
+  canRedo() {
+    return this.index < this.states.length - 1;
+  }
+
+  undo() {
+    if (!this.canUndo()) {
+      return null;
+    }
+    this.index--;
+    return this.current;
+  }
+
+  redo() {
+    if (!this.canRedo()) {
+      return null;
+    }
+    this.index++;
+    return this.current;
+  }
+
+  jumpTo(index) {
+    if (index < 0 || index >= this.states.length) {
+      return null;
+    }
+    this.index = index;
+    return this.current;
+  }
+
+  toJSON() {
+    return { states: this.states, index: this.index };
+  }
+}
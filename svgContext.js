@@ -0,0 +1,302 @@
+/**
+ The svgContext.js file lets the renderer draw into an SVG document instead of a canvas. MoleculeRenderer only talks
+to its drawing context (this.ctx) through the usual CanvasRenderingContext2D calls, so an object that answers the same
+calls can stand in for the canvas: MoleculeRenderer.toSVG() swaps an SvgContext in for one frame and every bond, atom
+label, charge, lone pair, radical and curved arrow comes out as a scalable vector element.
+Supported calls:
+Paths: beginPath, moveTo, lineTo, bezierCurveTo, arc, closePath, stroke, fill.
+Text: fillText and measureText, using font ("bold 16px Arial"), textAlign and textBaseline.
+State: save, restore, translate, rotate, scale and the properties fillStyle, strokeStyle, lineWidth, globalAlpha
+and setLineDash. fillRect draws a rectangle; clearRect over the whole area starts the drawing over (the renderer only
+ever clears everything). Images cannot be drawn, so the renderer draws molecules directly instead of copying its
+offscreen layers.
+Output:
+toString({ fitToContent, padding, background }) returns the SVG markup. With fitToContent the view box is cropped to
+what was drawn plus padding, which suits slides and papers better than the full canvas size.
+ */
+class SvgContext {
+  constructor(width, height) {
+    this.width = width;
+    this.height = height;
+    this.elements = [];
+    this.stack = [];
+    this.path = [];
+    this.bounds = null;
+    this.matrix = [1, 0, 0, 1, 0, 0];
+    this.fillStyle = 'black';
+    this.strokeStyle = 'black';
+    this.lineWidth = 1;
+    this.font = '10px sans-serif';
+    this.globalAlpha = 1;
+    this.textAlign = 'start';
+    this.textBaseline = 'alphabetic';
+    this.lineDash = [];
+  }
+
+  save() {
+    this.stack.push({
+      matrix: this.matrix.slice(),
+      fillStyle: this.fillStyle,
+      strokeStyle: this.strokeStyle,
+      lineWidth: this.lineWidth,
+      font: this.font,
+      globalAlpha: this.globalAlpha,
+      textAlign: this.textAlign,
+      textBaseline: this.textBaseline,
+      lineDash: this.lineDash.slice()
+    });
+  }
+
+  restore() {
+    const state = this.stack.pop();
+    if (state) {
+      Object.assign(this, state);
+    }
+  }
+
+  // Multiply the current transform by [a, b, c, d, e, f], as CanvasRenderingContext2D.transform does
+  transform(a, b, c, d, e, f) {
+    const [m0, m1, m2, m3, m4, m5] = this.matrix;
+    this.matrix = [
+      m0 * a + m2 * b,
+      m1 * a + m3 * b,
+      m0 * c + m2 * d,
+      m1 * c + m3 * d,
+      m0 * e + m2 * f + m4,
+      m1 * e + m3 * f + m5
+    ];
+  }
+
+  translate(x, y) {
+    this.transform(1, 0, 0, 1, x, y);
+  }
+
+  rotate(angle) {
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    this.transform(cos, sin, -sin, cos, 0, 0);
+  }
+
+  scale(x, y) {
+    this.transform(x, 0, 0, y, 0, 0);
+  }
+
+  setLineDash(segments) {
+    this.lineDash = segments.slice();
+  }
+
+  getLineDash() {
+    return this.lineDash.slice();
+  }
+
+  // Point in SVG coordinates after the current transform
+  point(x, y) {
+    const [a, b, c, d, e, f] = this.matrix;
+    return { x: a * x + c * y + e, y: b * x + d * y + f };
+  }
+
+  // How much the current transform scales lengths (radii, line widths)
+  get lengthScale() {
+    const [a, b, c, d] = this.matrix;
+    return Math.sqrt(Math.abs(a * d - b * c));
+  }
+
+  beginPath() {
+    this.path = [];
+  }
+
+  moveTo(x, y) {
+    const p = this.point(x, y);
+    this.path.push({ command: 'M', points: [p] });
+  }
+
+  lineTo(x, y) {
+    const p = this.point(x, y);
+    this.path.push({ command: this.path.length > 0 ? 'L' : 'M', points: [p] });
+  }
+
+  bezierCurveTo(x1, y1, x2, y2, x, y) {
+    if (this.path.length === 0) {
+      this.moveTo(x1, y1);
+    }
+    this.path.push({ command: 'C', points: [this.point(x1, y1), this.point(x2, y2), this.point(x, y)] });
+  }
+
+  closePath() {
+    if (this.path.length > 0) {
+      this.path.push({ command: 'Z', points: [] });
+    }
+  }
+
+  arc(x, y, radius, startAngle, endAngle, counterclockwise = false) {
+    const at = angle => this.point(x + radius * Math.cos(angle), y + radius * Math.sin(angle));
+    const r = radius * this.lengthScale;
+    const [a, b, c, d] = this.matrix;
+    // A mirrored transform turns clockwise arcs into counterclockwise ones
+    const sweep = (counterclockwise ? 0 : 1) ^ (a * d - b * c < 0 ? 1 : 0);
+    const direction = counterclockwise ? -1 : 1;
+
+    let span = direction * (endAngle - startAngle);
+    const fullCircle = span >= 2 * Math.PI;
+    span = fullCircle ? 2 * Math.PI : ((span % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI);
+
+    this.path.push({ command: this.path.length > 0 ? 'L' : 'M', points: [at(startAngle)] });
+    // SVG cannot draw a whole circle with one arc command, so it is drawn as two halves
+    const center = this.point(x, y);
+    const largeArc = !fullCircle && span > Math.PI ? 1 : 0;
+    const pieces = fullCircle ? [startAngle + direction * Math.PI, startAngle + direction * 2 * Math.PI] : [startAngle + direction * span];
+    pieces.forEach(angle => {
+      this.path.push({ command: 'A', radius: r, largeArc, sweep, center, points: [at(angle)] });
+    });
+  }
+
+  pathData() {
+    return this.path.map(segment => {
+      const points = segment.points.map(p => `${SvgContext.number(p.x)} ${SvgContext.number(p.y)}`).join(' ');
+      if (segment.command === 'A') {
+        const r = SvgContext.number(segment.radius);
+        return `A ${r} ${r} 0 ${segment.largeArc} ${segment.sweep} ${points}`;
+      }
+      return `${segment.command}${points ? ' ' + points : ''}`;
+    }).join(' ');
+  }
+
+  // Grow the drawn area by the points of the current path; arcs count with their whole circle
+  addPathBounds(extra) {
+    this.path.forEach(segment => {
+      segment.points.forEach(p => this.addBounds(p.x - extra, p.y - extra, p.x + extra, p.y + extra));
+      if (segment.center) {
+        const reach = segment.radius + extra;
+        this.addBounds(segment.center.x - reach, segment.center.y - reach, segment.center.x + reach, segment.center.y + reach);
+      }
+    });
+  }
+
+  addBounds(minX, minY, maxX, maxY) {
+    if (!this.bounds) {
+      this.bounds = { minX, minY, maxX, maxY };
+      return;
+    }
+    this.bounds.minX = Math.min(this.bounds.minX, minX);
+    this.bounds.minY = Math.min(this.bounds.minY, minY);
+    this.bounds.maxX = Math.max(this.bounds.maxX, maxX);
+    this.bounds.maxY = Math.max(this.bounds.maxY, maxY);
+  }
+
+  stroke() {
+    if (this.path.length === 0) {
+      return;
+    }
+    const width = this.lineWidth * this.lengthScale;
+    const dash = this.lineDash.length > 0 ? ` stroke-dasharray="${this.lineDash.map(SvgContext.number).join(' ')}"` : '';
+    this.addPathBounds(width / 2);
+    this.elements.push(`<path d="${this.pathData()}" fill="none" stroke="${SvgContext.escape(this.strokeStyle)}" stroke-width="${SvgContext.number(width)}"${dash}${this.opacity()}/>`);
+  }
+
+  fill() {
+    if (this.path.length === 0) {
+      return;
+    }
+    this.addPathBounds(0);
+    this.elements.push(`<path d="${this.pathData()}" fill="${SvgContext.escape(this.fillStyle)}"${this.opacity()}/>`);
+  }
+
+  fillRect(x, y, width, height) {
+    this.beginPath();
+    this.moveTo(x, y);
+    this.lineTo(x + width, y);
+    this.lineTo(x + width, y + height);
+    this.lineTo(x, y + height);
+    this.closePath();
+    this.fill();
+  }
+
+  clearRect(x, y, width, height) {
+    if (x <= 0 && y <= 0 && x + width >= this.width && y + height >= this.height) {
+      this.elements = [];
+      this.bounds = null;
+    }
+  }
+
+  drawImage() {
+    throw new Error('SvgContext cannot draw images.');
+  }
+
+  // { style, weight, size, family } of the current font, e.g. "bold 16px Arial"
+  parseFont() {
+    const match = /^\s*((?:(?:italic|oblique|normal|bold|bolder|lighter|\d{3})\s+)*)(\d+(?:\.\d+)?)px\s+(.+)$/.exec(this.font);
+    if (!match) {
+      return { style: 'normal', weight: 'normal', size: 10, family: 'sans-serif' };
+    }
+    const words = match[1].trim().split(/\s+/);
+    return {
+      style: words.find(word => word === 'italic' || word === 'oblique') || 'normal',
+      weight: words.find(word => /^(bold|bolder|lighter|\d{3})$/.test(word)) || 'normal',
+      size: Number(match[2]),
+      family: match[3].trim()
+    };
+  }
+
+  // Rough text width; exact metrics depend on the font the SVG viewer picks
+  measureText(text) {
+    return { width: String(text).length * this.parseFont().size * 0.6 };
+  }
+
+  fillText(text, x, y) {
+    x = Number(x);
+    y = Number(y);
+    const font = this.parseFont();
+    const anchor = { center: 'middle', right: 'end', end: 'end' }[this.textAlign] || 'start';
+    const baseline = { middle: 'middle', top: 'hanging', hanging: 'hanging', bottom: 'text-after-edge' }[this.textBaseline];
+    const [a, b, c, d, e, f] = this.matrix;
+    const translateOnly = a === 1 && b === 0 && c === 0 && d === 1;
+    const p = translateOnly ? { x: x + e, y: y + f } : { x, y };
+    const transform = translateOnly ? '' : ` transform="matrix(${this.matrix.map(SvgContext.number).join(' ')})"`;
+
+    const width = this.measureText(text).width;
+    const start = this.point(x, y);
+    const left = start.x - (anchor === 'middle' ? width / 2 : anchor === 'end' ? width : 0);
+    this.addBounds(left, start.y - font.size, left + width, start.y + font.size * 0.3);
+
+    const style = `${font.style !== 'normal' ? ` font-style="${font.style}"` : ''}${font.weight !== 'normal' ? ` font-weight="${font.weight}"` : ''}`;
+    this.elements.push(
+      `<text x="${SvgContext.number(p.x)}" y="${SvgContext.number(p.y)}" font-family="${SvgContext.escape(font.family)}" font-size="${SvgContext.number(font.size)}"${style}` +
+      `${anchor !== 'start' ? ` text-anchor="${anchor}"` : ''}${baseline ? ` dominant-baseline="${baseline}"` : ''}` +
+      ` fill="${SvgContext.escape(this.fillStyle)}"${this.opacity()}${transform}>${SvgContext.escape(String(text))}</text>`
+    );
+  }
+
+  opacity() {
+    return this.globalAlpha < 1 ? ` opacity="${SvgContext.number(this.globalAlpha)}"` : '';
+  }
+
+  static number(value) {
+    return String(Math.round(value * 100) / 100);
+  }
+
+  static escape(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  }
+
+  // The SVG document. background fills the view box (e.g. 'white'); fitToContent crops it to the drawing
+  toString({ fitToContent = false, padding = 10, background = null } = {}) {
+    let viewBox = { x: 0, y: 0, width: this.width, height: this.height };
+    if (fitToContent && this.bounds) {
+      viewBox = {
+        x: Math.floor(this.bounds.minX - padding),
+        y: Math.floor(this.bounds.minY - padding),
+        width: Math.ceil(this.bounds.maxX - this.bounds.minX + 2 * padding),
+        height: Math.ceil(this.bounds.maxY - this.bounds.minY + 2 * padding)
+      };
+    }
+    const box = [viewBox.x, viewBox.y, viewBox.width, viewBox.height].join(' ');
+    const backgroundRect = background
+      ? `  <rect x="${viewBox.x}" y="${viewBox.y}" width="${viewBox.width}" height="${viewBox.height}" fill="${SvgContext.escape(background)}"/>\n`
+      : '';
+    return `<?xml version="1.0" encoding="UTF-8"?>\n` +
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${viewBox.width}" height="${viewBox.height}" viewBox="${box}">\n` +
+      backgroundRect +
+      this.elements.map(element => `  ${element}\n`).join('') +
+      `</svg>\n`;
+  }
+}
@@ -0,0 +1,204 @@
+/**
+ The timeline.js file drives every animation of the scene from one clock measured in milliseconds, so an animation
+takes the same time on every monitor no matter how often the browser paints.
+Tweens:
+add({ duration, easing, onUpdate }) registers a tween that starts at the current time. On every frame the timeline
+calls onUpdate(progress) with the eased progress between 0 and 1. Each tween carries a promise that resolves when it
+reaches the end or is cancelled. Background tweens (e.g. the fading of curved arrows) animate like the others but are
+not waited for by finished().
+Playback:
+play() and pause() start and freeze the clock, setSpeed(speed) scales it (2 plays twice as fast), seek(position)
+jumps to a position, in milliseconds, inside the current segment. A segment starts at the last call to prune(), which
+Actions makes before each step, so seeking scrubs the animation of the step being played. Seeking past the end of a
+tween completes it; seeking back before its end brings it back to life.
+Headless use:
+Without requestAnimationFrame (e.g. in Node, see headless.js) the timeline is manual: nothing moves until advance(elapsed)
+is called, so a program that renders frames at fixed intervals gets exactly the same frames on every run.
+Completion:
+finished() returns a promise that resolves once no foreground tween is running, wait(duration) one that resolves
+after the given time on the timeline (so it also stops while paused). Listeners registered with onFrame are called
+after every frame, e.g. to redraw the canvas.
+ */
+class Timeline {
+  constructor() {
+    this.time = 0; // Milliseconds of timeline time since the timeline was created
+    this.origin = 0; // Start of the current segment (see prune)
+    this.speed = 1;
+    this.playing = true;
+    this.tweens = [];
+    this.frameListeners = [];
+    this.idleResolvers = [];
+    this.lastFrameTime = null;
+    this.frameId = null;
+    this.manual = typeof requestAnimationFrame !== 'function'; // Driven by advance() instead of animation frames
+  }
+
+  // Easing curves mapping linear progress (0..1) to eased progress
+  static get EASINGS() {
+    return {
+      linear: t => t,
+      easeIn: t => t * t * t,
+      easeOut: t => 1 - Math.pow(1 - t, 3),
+      easeInOut: t => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2)
+    };
+  }
+
+  onFrame(listener) {
+    this.frameListeners.push(listener);
+  }
+
+  add({ duration, easing = 'easeInOut', onUpdate = () => {}, background = false }) {
+    const tween = {
+      start: this.time,
+      duration: Math.max(0, duration),
+      easing: Timeline.EASINGS[easing] || Timeline.EASINGS.linear,
+      onUpdate,
+      background,
+      progress: 0,
+      done: false,
+      cancelled: false
+    };
+    tween.promise = new Promise(resolve => {
+      tween.resolve = resolve;
+    });
+    this.tweens.push(tween);
+    this.updateTween(tween);
+    this.requestFrame();
+    return tween;
+  }
+
+  // Promise that resolves after duration milliseconds of timeline time
+  wait(duration) {
+    return this.add({ duration, easing: 'linear' }).promise;
+  }
+
+  cancel(tween) {
+    if (!tween || tween.cancelled) {
+      return;
+    }
+    tween.cancelled = true;
+    this.tweens = this.tweens.filter(other => other !== tween);
+    tween.resolve();
+    this.checkIdle();
+  }
+
+  // Cancel every tween, e.g. when a snapshot replaces the scene
+  clear() {
+    this.tweens.slice().forEach(tween => this.cancel(tween));
+    this.origin = this.time;
+  }
+
+  // Drop finished tweens and start a new segment at the current time
+  prune() {
+    this.tweens = this.tweens.filter(tween => !tween.done);
+    this.origin = this.time;
+  }
+
+  play() {
+    this.playing = true;
+    this.requestFrame();
+  }
+
+  pause() {
+    this.playing = false;
+    this.lastFrameTime = null;
+  }
+
+  get isPlaying() {
+    return this.playing;
+  }
+
+  setSpeed(speed) {
+    if (!(speed > 0)) {
+      throw new Error(`Playback speed must be a positive number, got ${speed}.`);
+    }
+    this.speed = speed;
+  }
+
+  // Position inside the current segment and the time at which its last foreground tween ends
+  get position() {
+    return this.time - this.origin;
+  }
+
+  get duration() {
+    const ends = this.tweens.filter(tween => !tween.background).map(tween => tween.start + tween.duration - this.origin);
+    return Math.max(0, ...ends);
+  }
+
+  seek(position) {
+    this.time = this.origin + Math.max(0, position);
+    this.tweens.forEach(tween => this.updateTween(tween));
+    this.emitFrame();
+    this.checkIdle();
+    this.requestFrame();
+  }
+
+  isRunning(includeBackground = false) {
+    return this.tweens.some(tween => !tween.done && (includeBackground || !tween.background));
+  }
+
+  // Resolves once every foreground tween has finished (immediately when none is running)
+  finished() {
+    if (!this.isRunning()) {
+      return Promise.resolve();
+    }
+    return new Promise(resolve => this.idleResolvers.push(resolve));
+  }
+
+  updateTween(tween) {
+    const linear = tween.duration === 0 ? 1 : Math.min(Math.max((this.time - tween.start) / tween.duration, 0), 1);
+    tween.progress = tween.easing(linear);
+    tween.done = linear >= 1;
+    tween.onUpdate(tween.progress);
+    if (tween.done) {
+      tween.resolve();
+    }
+  }
+
+  checkIdle() {
+    if (!this.isRunning()) {
+      const resolvers = this.idleResolvers;
+      this.idleResolvers = [];
+      resolvers.forEach(resolve => resolve());
+    }
+  }
+
+  emitFrame() {
+    this.frameListeners.forEach(listener => listener(this));
+  }
+
+  requestFrame() {
+    if (this.frameId === null && this.playing && !this.manual && this.isRunning(true)) {
+      this.frameId = requestAnimationFrame(now => this.tick(now));
+    }
+  }
+
+  // Animation frame callback: advance by the real time since the previous frame
+  tick(now) {
+    this.frameId = null;
+    if (!this.playing) {
+      return;
+    }
+    const elapsed = this.lastFrameTime === null ? 0 : now - this.lastFrameTime;
+    this.lastFrameTime = now;
+    this.advance(elapsed);
+
+    if (this.isRunning(true)) {
+      this.requestFrame();
+    } else {
+      this.lastFrameTime = null;
+    }
+  }
+
+  // Let elapsed real milliseconds pass, scaled by the playback speed, and emit a frame. A manual
+  // timeline is only ever moved by calling this.
+  advance(elapsed) {
+    if (!this.playing) {
+      return;
+    }
+    this.time += elapsed * this.speed;
+    this.tweens.filter(tween => !tween.done).forEach(tween => this.updateTween(tween));
+    this.emitFrame();
+    this.checkIdle();
+  }
+}